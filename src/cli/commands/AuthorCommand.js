@@ -1,9 +1,10 @@
 const CommandHandler = require('./CommandHandler');
-const ReportWriter = require('../writers/ReportWriter');
+const { createReportWriter } = require('../writers');
 const { colors } = require('../../constants');
 const { isGitRepository } = require('../../services/gitOperations');
-const { getAuthorCommits, getCommitDetails } = require('../../services/authorService');
-const { calculateVelocityMetrics } = require('../../services/metricsService');
+const { getCommitDetails } = require('../../services/authorService');
+const { calculateVelocityMetrics, parseGitStats, parseFileChanges } = require('../../services/metricsService');
+const { findCommitIssues, groupCommitsByIssue } = require('../../services/issueService');
 const GitLogError = require('../../models/GitLogError');
 
 /**
@@ -16,13 +17,16 @@ class AuthorCommand extends CommandHandler {
    */
   constructor(args) {
     super(args);
-    this.author = args[0];
+    this.team = this.getTeam();
+    this.author = this.getAuthor();
     this.since = this.getArg('since');
     this.until = this.getArg('until');
     this.includeDirs = this.getDirList('include-dirs');
     this.excludeDirs = this.getDirList('exclude-dirs');
     this.skipMetrics = this.hasFlag('no-metrics');
-    this.writer = new ReportWriter();
+    this.attribution = this.getAttribution();
+    this.format = this.getFormat();
+    this.writer = createReportWriter(this.format);
   }
 
   /**
@@ -34,26 +38,180 @@ class AuthorCommand extends CommandHandler {
       throw new GitLogError('Author name or email is required', 'INVALID_AUTHOR');
     }
 
+    this.validateTeam();
+
     if (this.includeDirs.length > 0 && this.excludeDirs.length > 0) {
       throw new GitLogError(
         'Cannot use both --include-dirs and --exclude-dirs at the same time',
         'INVALID_ARGS'
       );
     }
+
+    this.validateFormat(['markdown', 'json', 'csv', 'html']);
+    this.validateAttribution();
+  }
+
+  /**
+   * Get the filters applied to this report
+   * @returns {{since: string, until: string, includeDirs: string[], excludeDirs: string[], attribution: string}} Report filters
+   */
+  getFilters() {
+    return {
+      since: this.since,
+      until: this.until,
+      includeDirs: this.includeDirs,
+      excludeDirs: this.excludeDirs,
+      attribution: this.attribution
+    };
+  }
+
+  /**
+   * Summarize each team member's share of the commits
+   * @param {string[]} members - Member names in team order
+   * @param {Object[]} commits - Detailed commits tagged with their member
+   * @returns {Array<{name: string, commits: number, coAuthoredCommits: number, insertions: number, deletions: number, linesChanged: number}>} One row per member
+   */
+  buildMemberBreakdown(members, commits) {
+    return members.map(name => {
+      const memberCommits = commits.filter(commit => commit.member === name);
+      const insertions = memberCommits.reduce((sum, { stats }) => sum + (stats ? stats.insertions : 0), 0);
+      const deletions = memberCommits.reduce((sum, { stats }) => sum + (stats ? stats.deletions : 0), 0);
+      return {
+        name,
+        commits: memberCommits.length,
+        coAuthoredCommits: memberCommits.filter(commit => commit.coAuthored).length,
+        insertions,
+        deletions,
+        linesChanged: insertions + deletions
+      };
+    });
+  }
+
+  /**
+   * Write the per-member breakdown table of a team report
+   * @param {WriteStream} stream - Output stream
+   * @param {Object[]} members - Rows from buildMemberBreakdown
+   */
+  writeMemberBreakdown(stream, members) {
+    stream.write('## Team Members\n\n');
+    stream.write('| Member | Commits | Co-authored | Lines Changed | Insertions | Deletions |\n');
+    stream.write('|--------|---------|-------------|---------------|------------|-----------|\n');
+    members.forEach(member => {
+      stream.write(`| ${member.name} | ${member.commits} | ${member.coAuthoredCommits} | ` +
+        `${member.linesChanged.toLocaleString()} | +${member.insertions.toLocaleString()} | -${member.deletions.toLocaleString()} |\n`);
+    });
+    stream.write('\n');
+  }
+
+  /**
+   * Format an issue key as a Markdown link when it has a URL
+   * @param {{key: string, url: string|null}} issue - Issue from findCommitIssues
+   * @returns {string} Markdown text
+   */
+  formatIssue({ key, url }) {
+    return url ? `[${key}](${url})` : key;
+  }
+
+  /**
+   * Write the per-ticket rollup of the commits
+   * @param {WriteStream} stream - Output stream
+   * @param {Object[]} tickets - Rows from groupCommitsByIssue
+   * @param {Object[]} commits - Commits from the report model
+   */
+  writeTicketBreakdown(stream, tickets, commits) {
+    stream.write('## Work by Ticket\n\n');
+    stream.write('| Ticket | Commits | Lines Changed | Insertions | Deletions | Active Days | First Commit | Last Commit |\n');
+    stream.write('|--------|---------|---------------|------------|-----------|-------------|--------------|-------------|\n');
+    tickets.forEach(ticket => {
+      stream.write(`| ${this.formatIssue(ticket)} | ${ticket.commits} | ${ticket.linesChanged.toLocaleString()} | ` +
+        `+${ticket.insertions.toLocaleString()} | -${ticket.deletions.toLocaleString()} | ${ticket.activeDays} | ` +
+        `${ticket.firstDate.slice(0, 10)} | ${ticket.lastDate.slice(0, 10)} |\n`);
+    });
+
+    const untracked = commits.filter(commit => commit.issues.length === 0).length;
+    if (untracked > 0) {
+      stream.write(`\n${untracked} of ${commits.length} commits reference no ticket.\n`);
+    }
+    stream.write('\n');
+  }
+
+  /**
+   * Collect commit details and metrics into a format-independent report model
+   * @param {Object[]} commits - Commits returned by getAuthorCommits or getTeamCommits
+   * @param {string[]|null} [members=null] - Team member names when reporting on a team
+   * @returns {Promise<Object>} Report model with commits (and their issue keys), (optionally) metrics, the per-ticket
+   *   rollup and, for teams, a per-member breakdown
+   */
+  async buildReport(commits, members = null) {
+    let metrics = null;
+    if (!this.skipMetrics) {
+      console.log(`${colors.blue}Calculating productivity metrics...${colors.reset}`);
+      metrics = await calculateVelocityMetrics(commits, this.includeDirs, this.excludeDirs);
+    }
+
+    console.log(`${colors.blue}Processing commits...${colors.reset}`);
+    const detailedCommits = [];
+
+    // Parse details in chunks while keeping commit order (only unharvested commits hit git)
+    const chunkSize = 15;
+    for (let i = 0; i < commits.length; i += chunkSize) {
+      const chunk = commits.slice(i, Math.min(i + chunkSize, commits.length));
+      const progress = Math.min(((i + chunk.length) / commits.length) * 100, 100).toFixed(0);
+      process.stdout.write(`${colors.dim}Progress: ${progress}%${colors.reset}\r`);
+
+      const chunkResults = await Promise.all(chunk.map(async ({ numstat, ...commit }) => {
+        const details = numstat ?? await getCommitDetails(commit.hash);
+        return {
+          ...commit,
+          stats: parseGitStats(details),
+          files: parseFileChanges(details)
+        };
+      }));
+      detailedCommits.push(...chunkResults);
+    }
+    process.stdout.write('\n');
+
+    const issues = await findCommitIssues(detailedCommits);
+    detailedCommits.forEach(commit => {
+      commit.issues = issues.get(commit.hash) || [];
+    });
+
+    return {
+      author: this.author,
+      team: this.team || null,
+      filters: this.getFilters(),
+      commits: detailedCommits,
+      metrics,
+      tickets: groupCommitsByIssue(detailedCommits),
+      members: members ? this.buildMemberBreakdown(members, detailedCommits) : null
+    };
   }
 
   /**
    * Write commit details to the report
    * @param {WriteStream} stream - Output stream
-   * @param {Object} commit - Commit data
+   * @param {Object} commit - Commit entry from the report model
    */
-  async writeCommitDetails(stream, commit) {
+  writeCommitDetails(stream, commit) {
     const commitContent = [];
     
     const escapedSubject = commit.subject.replace(/([_*`#])/g, '\\$1');
     commitContent.push(`### ${escapedSubject}\n`);
     commitContent.push(`**Date:** ${new Date(commit.date).toLocaleString('en-US', { timeZoneName: 'short' })}\n`);
-    commitContent.push(`**Hash:** \`${commit.hash}\`\n\n`);
+    commitContent.push(`**Hash:** \`${commit.hash}\`\n`);
+    if (commit.member) {
+      commitContent.push(`**Member:** ${commit.member}\n`);
+    }
+    if (commit.issues && commit.issues.length > 0) {
+      commitContent.push(`**Tickets:** ${commit.issues.map(issue => this.formatIssue(issue)).join(', ')}\n`);
+    }
+    if (commit.coAuthored) {
+      commitContent.push(`**Credited as co-author** (authored by ${commit.author.name})\n`);
+    }
+    if (commit.coAuthors && commit.coAuthors.length > 0) {
+      commitContent.push(`**Co-authors:** ${commit.coAuthors.map(({ name }) => name).join(', ')}\n`);
+    }
+    commitContent.push('\n');
 
     if (commit.body.trim()) {
       const escapedBody = commit.body.trim()
@@ -65,10 +223,9 @@ class AuthorCommand extends CommandHandler {
       commitContent.push('\n\n');
     }
 
-    const details = await getCommitDetails(commit.hash);
-    if (details.trim()) {
+    if (commit.files.length > 0) {
       commitContent.push('**Changes:**\n```\n');
-      commitContent.push(details.trim());
+      commitContent.push(this.formatFileChanges(commit.files, commit.stats));
       commitContent.push('\n```\n\n');
     }
 
@@ -76,26 +233,83 @@ class AuthorCommand extends CommandHandler {
     stream.write(commitContent.join(''));
   }
 
+  /**
+   * Format per-file change statistics as a plain-text summary
+   * @param {Object[]} files - File change entries from parseFileChanges
+   * @param {Object} stats - Commit totals from parseGitStats
+   * @returns {string} One line per file followed by a totals line
+   */
+  formatFileChanges(files, stats) {
+    const labels = files.map(({ file, oldFile }) => oldFile ? `${oldFile} → ${file}` : file);
+    const width = Math.max(...labels.map(label => label.length));
+
+    const lines = files.map(({ insertions, deletions, binary }, index) => {
+      const counts = binary ? 'binary' : `+${insertions} -${deletions}`;
+      return `${labels[index].padEnd(width)} | ${counts}`;
+    });
+
+    const binaryNote = stats.binaryFiles > 0 ? ` (${stats.binaryFiles} binary)` : '';
+    lines.push(`${stats.filesChanged} file${stats.filesChanged === 1 ? '' : 's'} changed${binaryNote}, ` +
+      `${stats.insertions} insertion${stats.insertions === 1 ? '' : 's'}(+), ` +
+      `${stats.deletions} deletion${stats.deletions === 1 ? '' : 's'}(-)`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Write commit log report
+   * @param {Object} report - Report model from buildReport
+   * @returns {Promise<string>} Path to commits file
+   */
+  async writeCommitsReport(report) {
+    const commitsFile = this.writer.generateFilename(this.author, 'commits');
+    const commitsStream = this.writer.createStream(commitsFile);
+
+    this.writer.writeHeader(commitsStream, `Git Log for ${this.author}`, report.filters);
+
+    if (report.members) {
+      this.writeMemberBreakdown(commitsStream, report.members);
+    }
+    if (report.tickets.length > 0) {
+      this.writeTicketBreakdown(commitsStream, report.tickets, report.commits);
+    }
+
+    commitsStream.write('## Commits\n\n');
+    report.commits.forEach(commit => this.writeCommitDetails(commitsStream, commit));
+
+    await this.writer.closeStream(commitsStream);
+    this.writer.logSuccess('commits', commitsFile);
+
+    return commitsFile;
+  }
+
   /**
    * Write metrics report
    * @param {Object} metrics - Metrics data
+   * @param {Object[]|null} [members=null] - Per-member breakdown for team reports
+   * @param {Object} [report=null] - Report model, for the per-ticket rollup
    * @returns {Promise<string>} Path to metrics file
    */
-  async writeMetricsReport(metrics) {
+  async writeMetricsReport(metrics, members = null, report = null) {
     const metricsFile = this.writer.generateFilename(this.author, 'metrics');
     const metricsStream = this.writer.createStream(metricsFile);
     
-    this.writer.writeHeader(metricsStream, `Productivity Metrics for ${this.author}`, {
-      since: this.since,
-      until: this.until,
-      includeDirs: this.includeDirs,
-      excludeDirs: this.excludeDirs
-    });
+    this.writer.writeHeader(metricsStream, `Productivity Metrics for ${this.author}`, this.getFilters());
     
+    if (members) {
+      this.writeMemberBreakdown(metricsStream, members);
+    }
+
     metricsStream.write('## Code Velocity\n\n');
-    metricsStream.write(`- **Total Lines Changed:** ${metrics.totalLinesChanged.toLocaleString()}\n`);
+    metricsStream.write(`- **Total Lines Changed:** ${metrics.totalLinesChanged.toLocaleString()} (+${metrics.totalInsertions.toLocaleString()} / -${metrics.totalDeletions.toLocaleString()})\n`);
+    if (metrics.binaryFilesChanged > 0) {
+      metricsStream.write(`- **Binary File Changes:** ${metrics.binaryFilesChanged.toLocaleString()} (not counted in line totals)\n`);
+    }
     metricsStream.write(`- **Average Changes per Commit:** ${metrics.averageCommitSize.toLocaleString()} lines\n`);
     metricsStream.write(`- **Commit Frequency:** ${metrics.commitsPerDay} commits per day\n`);
+    if (metrics.coAuthoredCommits > 0) {
+      metricsStream.write(`- **Co-authored Commits:** ${metrics.coAuthoredCommits.toLocaleString()} (credited via Co-authored-by)\n`);
+    }
     metricsStream.write('\n**Time Distribution:**\n');
     metricsStream.write(`- Morning (5:00-11:59): ${metrics.timeDistribution.morning}%\n`);
     metricsStream.write(`- Afternoon (12:00-16:59): ${metrics.timeDistribution.afternoon}%\n`);
@@ -104,8 +318,8 @@ class AuthorCommand extends CommandHandler {
     metricsStream.write('\n## Impact Analysis\n\n');
     metricsStream.write('**Most Modified Source Files:**\n');
     if (metrics.impactMetrics.topFiles.length > 0) {
-      metrics.impactMetrics.topFiles.forEach(({ file, changes }) => {
-        metricsStream.write(`- \`${file}\`: ${changes.toLocaleString()} changes\n`);
+      metrics.impactMetrics.topFiles.forEach(({ file, changes, insertions, deletions }) => {
+        metricsStream.write(`- \`${file}\`: ${changes.toLocaleString()} changes (+${insertions.toLocaleString()} / -${deletions.toLocaleString()})\n`);
       });
     } else {
       metricsStream.write('No source code changes found\n');
@@ -122,11 +336,27 @@ class AuthorCommand extends CommandHandler {
 
 
     metricsStream.write('\n## Commit Type Analysis\n\n');
-    metricsStream.write(`**Primary Contribution Type:** ${metrics.typeMetrics.primaryContributionType}\n\n`);
+    const { typeNames } = metrics.typeMetrics;
+    const primaryType = metrics.typeMetrics.primaryContributionType;
+    metricsStream.write(`**Primary Contribution Type:** ${typeNames[primaryType] || primaryType}\n\n`);
     metricsStream.write('**Type Breakdown:**\n');
     metrics.typeMetrics.typeBreakdown.forEach(({ type, percentage }) => {
-      metricsStream.write(`- ${type}: ${percentage}%\n`);
+      metricsStream.write(`- ${typeNames[type] || type}: ${percentage}%\n`);
     });
+
+    metricsStream.write(`\n**Breaking Changes:** ${metrics.typeMetrics.breakingChanges}\n`);
+
+    if (metrics.typeMetrics.scopeBreakdown.length > 0) {
+      metricsStream.write('\n**Scope Breakdown:**\n');
+      metrics.typeMetrics.scopeBreakdown.forEach(({ scope, count, percentage }) => {
+        metricsStream.write(`- ${scope}: ${count} (${percentage}%)\n`);
+      });
+    }
+
+    if (report && report.tickets.length > 0) {
+      metricsStream.write('\n');
+      this.writeTicketBreakdown(metricsStream, report.tickets, report.commits);
+    }
     
     await this.writer.closeStream(metricsStream);
     this.writer.logSuccess('metrics', metricsFile);
@@ -148,12 +378,12 @@ class AuthorCommand extends CommandHandler {
 
       console.log(`${colors.blue}Fetching commits for author: ${colors.bright}${this.author}${colors.reset}`);
       
-      const commits = await getAuthorCommits(
-        this.author,
+      const { commits, members } = await this.fetchCommits(
         this.since,
         this.until,
         this.includeDirs,
-        this.excludeDirs
+        this.excludeDirs,
+        { attribution: this.attribution }
       );
 
       console.log(`${colors.green}✓ Found ${colors.bright}${commits.length}${colors.reset}${colors.green} commits${colors.reset}`);
@@ -163,41 +393,18 @@ class AuthorCommand extends CommandHandler {
         return;
       }
 
-      const commitsFile = this.writer.generateFilename(this.author, 'commits');
-      const commitsStream = this.writer.createStream(commitsFile);
-
-      this.writer.writeHeader(commitsStream, `Git Log for ${this.author}`, {
-        since: this.since,
-        until: this.until,
-        includeDirs: this.includeDirs,
-        excludeDirs: this.excludeDirs
-      });
+      const report = await this.buildReport(commits, members);
 
-      let metricsFile;
-      if (!this.skipMetrics) {
-        console.log(`${colors.blue}Calculating productivity metrics...${colors.reset}`);
-        const metrics = await calculateVelocityMetrics(commits, this.includeDirs, this.excludeDirs);
-        metricsFile = await this.writeMetricsReport(metrics);
+      if (this.format !== 'markdown') {
+        const reportFiles = await this.writer.writeReport(this.author, 'author', report);
+        return { reportFiles };
       }
 
-      commitsStream.write('## Commits\n\n');
-      console.log(`${colors.blue}Processing commits and generating log file...${colors.reset}`);
-      
-      // Process commits in chunks while maintaining order
-      const chunkSize = 15;
-      for (let i = 0; i < commits.length; i += chunkSize) {
-        const chunk = commits.slice(i, Math.min(i + chunkSize, commits.length));
-        const progress = Math.min(((i + chunk.length) / commits.length) * 100, 100).toFixed(0);
-        process.stdout.write(`${colors.dim}Progress: ${progress}%${colors.reset}\r`);
-        
-        // Process chunk in parallel but write sequentially
-        const chunkPromises = chunk.map(commit => this.writeCommitDetails(commitsStream, commit));
-        await Promise.all(chunkPromises);
+      let metricsFile;
+      if (report.metrics) {
+        metricsFile = await this.writeMetricsReport(report.metrics, report.members, report);
       }
-
-      await this.writer.closeStream(commitsStream);
-      process.stdout.write('\n');
-      this.writer.logSuccess('commits', commitsFile);
+      const commitsFile = await this.writeCommitsReport(report);
       
       return { commitsFile, metricsFile };
     } catch (error) {
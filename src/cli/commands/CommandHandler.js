@@ -1,3 +1,8 @@
+const GitLogError = require('../../models/GitLogError');
+const { colors } = require('../../constants');
+const { ATTRIBUTION_MODES, getAuthorCommits } = require('../../services/authorService');
+const { getTeamCommits } = require('../../services/teamService');
+
 /**
  * @class CommandHandler
  * @description Base class for handling CLI commands
@@ -40,6 +45,112 @@ class CommandHandler {
     return dirs ? dirs.split(',') : [];
   }
 
+  /**
+   * Get the requested report output format
+   * @returns {string} Lowercased format name (defaults to markdown)
+   */
+  getFormat() {
+    return this.getArg('format', 'markdown').toLowerCase();
+  }
+
+  /**
+   * Ensure the requested output format is supported by the command
+   * @param {string[]} supportedFormats - Formats the command can render
+   * @throws {GitLogError} If the format is not supported
+   */
+  validateFormat(supportedFormats) {
+    const format = this.getFormat();
+    if (!supportedFormats.includes(format)) {
+      throw new GitLogError(
+        `Invalid output format: ${format}. Must be one of: ${supportedFormats.join(', ')}`,
+        'INVALID_FORMAT',
+        { format }
+      );
+    }
+  }
+
+  /**
+   * Get which commits are credited to the author (`--attribution`)
+   * @returns {string} Lowercased attribution mode (defaults to authored)
+   */
+  getAttribution() {
+    return this.getArg('attribution', 'authored').toLowerCase();
+  }
+
+  /**
+   * Ensure the requested attribution mode is known
+   * @throws {GitLogError} If the attribution mode is not supported
+   */
+  validateAttribution() {
+    const attribution = this.getAttribution();
+    if (!ATTRIBUTION_MODES.includes(attribution)) {
+      throw new GitLogError(
+        `Invalid attribution: ${attribution}. Must be one of: ${ATTRIBUTION_MODES.join(', ')}`,
+        'INVALID_ATTRIBUTION',
+        { attribution }
+      );
+    }
+  }
+
+  /**
+   * Get the team requested with `--team`
+   * @returns {string} Team name, or an empty string when reporting on a single author
+   */
+  getTeam() {
+    return this.getArg('team');
+  }
+
+  /**
+   * Get who the report is about: the positional author, or a label for the `--team`
+   * @returns {string|undefined} Author name/email or team label
+   */
+  getAuthor() {
+    const team = this.getTeam();
+    return team ? `Team ${team}` : this.args[0];
+  }
+
+  /**
+   * Ensure an author and a team are not requested together
+   * @throws {GitLogError} If both a positional author and `--team` are given
+   */
+  validateTeam() {
+    if (this.getTeam() && this.args[0] && !this.args[0].startsWith('--')) {
+      throw new GitLogError(
+        'Cannot use an author together with --team',
+        'INVALID_ARGS'
+      );
+    }
+  }
+
+  /**
+   * Fetch the commits of the author, or of every member when `--team` is used
+   * @param {string} since - Start date (may be empty)
+   * @param {string} until - End date (may be empty)
+   * @param {string[]} includeDirs - Directories to include
+   * @param {string[]} excludeDirs - Directories to exclude
+   * @param {Object} [options={}] - Options passed to getAuthorCommits
+   * @returns {Promise<{commits: Object[], members: string[]|null}>} Commits and, for teams, member names
+   */
+  async fetchCommits(since, until, includeDirs, excludeDirs, options = {}) {
+    const team = this.getTeam();
+    if (team) {
+      return getTeamCommits(team, since, until, includeDirs, excludeDirs, options);
+    }
+    const commits = await getAuthorCommits(this.args[0], since, until, includeDirs, excludeDirs, options);
+    return { commits, members: null };
+  }
+
+  /**
+   * Print the identities merged into an author when there is more than one
+   * @param {Object} author - Author returned by getAllAuthors
+   */
+  writeIdentities(author) {
+    if (!author.identities || author.identities.length < 2) return;
+    author.identities.forEach(identity => {
+      console.log(`${colors.dim}       ${identity.name} <${identity.email}> (${identity.commits})${colors.reset}`);
+    });
+  }
+
   /**
    * Validate that command arguments are valid
    * @abstract
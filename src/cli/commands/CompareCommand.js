@@ -0,0 +1,277 @@
+const CommandHandler = require('./CommandHandler');
+const { createReportWriter } = require('../writers');
+const { colors } = require('../../constants');
+const { isGitRepository } = require('../../services/gitOperations');
+const { getComparison } = require('../../services/compareService');
+const GitLogError = require('../../models/GitLogError');
+
+/**
+ * @class CompareCommand
+ * @description Handles side-by-side comparison of two authors, or of one author across two date ranges
+ */
+class CompareCommand extends CommandHandler {
+  /**
+   * @param {string[]} args - Command line arguments
+   */
+  constructor(args) {
+    super(args);
+    this.author = args[0];
+    this.compareAuthor = this.getArg('compare');
+    this.since = this.getArg('since');
+    this.until = this.getArg('until');
+    this.compareSince = this.getArg('compare-since');
+    this.compareUntil = this.getArg('compare-until');
+    this.includeDirs = this.getDirList('include-dirs');
+    this.excludeDirs = this.getDirList('exclude-dirs');
+    this.attribution = this.getAttribution();
+    this.format = this.getFormat();
+    this.writer = createReportWriter(this.format);
+  }
+
+  /**
+   * Validate command arguments
+   * @throws {GitLogError} If validation fails
+   */
+  validateArgs() {
+    if (!this.author || this.author.startsWith('--')) {
+      throw new GitLogError('Author name or email is required', 'INVALID_AUTHOR');
+    }
+
+    if (this.getTeam()) {
+      throw new GitLogError('Cannot use --team together with a comparison', 'INVALID_ARGS');
+    }
+
+    if (!this.compareAuthor && !this.compareSince && !this.compareUntil) {
+      throw new GitLogError(
+        'Nothing to compare: use --compare=<author>, or --compare-since/--compare-until for a second date range',
+        'INVALID_ARGS'
+      );
+    }
+
+    if (this.includeDirs.length > 0 && this.excludeDirs.length > 0) {
+      throw new GitLogError(
+        'Cannot use both --include-dirs and --exclude-dirs at the same time',
+        'INVALID_ARGS'
+      );
+    }
+
+    this.validateFormat(['markdown', 'json']);
+    this.validateAttribution();
+  }
+
+  /**
+   * Describe a date range for labels and tables
+   * @param {string} since - Start date (may be empty)
+   * @param {string} until - End date (may be empty)
+   * @returns {string} Human-readable range
+   */
+  describeRange(since, until) {
+    if (!since && !until) return 'all time';
+    return `${since || 'beginning'} to ${until || 'now'}`;
+  }
+
+  /**
+   * Build the two sides of the comparison. The second side defaults to the first
+   * side's author and date range, so either the author or the range differs.
+   * @returns {Array<{label: string, author: string, since: string, until: string}>} Baseline and compared side
+   */
+  getSides() {
+    const first = { author: this.author, since: this.since, until: this.until };
+    const second = {
+      author: this.compareAuthor || this.author,
+      since: this.compareSince || (this.compareUntil ? '' : this.since),
+      until: this.compareUntil || (this.compareSince ? '' : this.until)
+    };
+
+    const sameAuthor = first.author === second.author;
+    const sameRange = first.since === second.since && first.until === second.until;
+    return [first, second].map(side => {
+      const parts = [];
+      if (!sameAuthor) parts.push(side.author);
+      if (!sameRange) parts.push(this.describeRange(side.since, side.until));
+      return { label: parts.join(', ') || side.author, ...side };
+    });
+  }
+
+  /**
+   * Get the title of the comparison
+   * @param {Object[]} sides - Sides from getSides
+   * @returns {string} Report title
+   */
+  getTitle(sides) {
+    return sides[0].author === sides[1].author
+      ? `Period Comparison for ${this.author}`
+      : `Comparison of ${sides[0].author} and ${sides[1].author}`;
+  }
+
+  /**
+   * Collect the comparison into a format-independent report model
+   * @param {{sides: Object[], comparison: Object}} result - Result of getComparison
+   * @returns {Object} Report model
+   */
+  buildReport({ sides, comparison }) {
+    return {
+      author: this.author,
+      filters: {
+        includeDirs: this.includeDirs,
+        excludeDirs: this.excludeDirs,
+        attribution: this.attribution
+      },
+      sides: sides.map(({ metrics, ...side }) => ({
+        ...side,
+        metrics: {
+          ...metrics,
+          impactMetrics: {
+            topFiles: metrics.impactMetrics.topFiles,
+            directoryImpact: metrics.impactMetrics.directoryImpact
+          }
+        }
+      })),
+      comparison
+    };
+  }
+
+  /**
+   * Format the change between two values, highlighting increases and decreases
+   * @param {{delta: number, percent: number|null}} change - Delta from calculateDelta
+   * @param {string} [unit=''] - Unit appended to the absolute change
+   * @param {boolean} [showPercent=true] - Whether to include the relative change
+   * @returns {string} Markdown cell content
+   */
+  formatDelta({ delta, percent }, unit = '', showPercent = true) {
+    if (delta === 0) return '–';
+
+    const sign = delta > 0 ? '+' : '−';
+    const arrow = delta > 0 ? '▲' : '▼';
+    const absolute = `${sign}${Math.abs(delta).toLocaleString()}${unit}`;
+    if (!showPercent) return `**${arrow} ${absolute}**`;
+
+    const relative = percent === null ? 'new' : `${sign}${Math.abs(percent)}%`;
+    return `**${arrow} ${absolute} (${relative})**`;
+  }
+
+  /**
+   * Write a comparison table
+   * @param {WriteStream} stream - Output stream
+   * @param {string} heading - Section heading
+   * @param {string} firstColumn - Header of the row label column
+   * @param {Object[]} sides - Sides of the report model
+   * @param {Array<{label: string, change: Object}>} rows - Row labels with their deltas
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.unit=''] - Unit for values and changes
+   * @param {boolean} [options.showPercent=true] - Whether to include relative changes
+   */
+  writeTable(stream, heading, firstColumn, sides, rows, { unit = '', showPercent = true } = {}) {
+    stream.write(`## ${heading}\n\n`);
+    if (rows.length === 0) {
+      stream.write('No data available\n\n');
+      return;
+    }
+
+    stream.write(`| ${firstColumn} | ${sides[0].label} | ${sides[1].label} | Change |\n`);
+    stream.write('|---|---:|---:|---:|\n');
+    rows.forEach(({ label, change }) => {
+      stream.write(`| ${label} | ${change.baseline.toLocaleString()}${unit} | ${change.value.toLocaleString()}${unit} | ` +
+        `${this.formatDelta(change, unit, showPercent)} |\n`);
+    });
+    stream.write('\n');
+  }
+
+  /**
+   * Write the comparison report
+   * @param {Object} report - Report model from buildReport
+   * @param {string} title - Report title
+   * @returns {Promise<string>} Path to the comparison file
+   */
+  async writeComparisonReport(report, title) {
+    const { sides, comparison } = report;
+    const comparisonFile = this.writer.generateFilename(this.author, 'comparison');
+    const stream = this.writer.createStream(comparisonFile);
+
+    this.writer.writeHeader(stream, title, report.filters);
+
+    stream.write('## Compared\n\n');
+    stream.write('| | Author | Date Range | Commits |\n');
+    stream.write('|---|---|---|---:|\n');
+    sides.forEach((side, index) => {
+      stream.write(`| ${index === 0 ? 'Baseline' : 'Compared'} | ${side.author} | ` +
+        `${this.describeRange(side.since, side.until)} | ${side.commitCount} |\n`);
+    });
+    stream.write('\nChanges are relative to the baseline.\n\n');
+
+    const { summary } = comparison;
+    this.writeTable(stream, 'Summary', 'Metric', sides, [
+      { label: 'Commits', change: summary.commits },
+      { label: 'Lines Changed', change: summary.totalLinesChanged },
+      { label: 'Insertions', change: summary.totalInsertions },
+      { label: 'Deletions', change: summary.totalDeletions },
+      { label: 'Average Changes per Commit', change: summary.averageCommitSize },
+      { label: 'Commits per Day', change: summary.commitsPerDay },
+      { label: 'Co-authored Commits', change: summary.coAuthoredCommits }
+    ]);
+
+    this.writeTable(stream, 'Commit Types', 'Type', sides,
+      comparison.commitTypes.map(({ type, name, ...change }) => ({ label: name, change })));
+
+    // Time distribution is already a share of commits, so show the change in percentage points
+    this.writeTable(stream, 'Time Distribution', 'Time of Day', sides, [
+      { label: 'Morning (5:00-11:59)', change: comparison.timeDistribution.morning },
+      { label: 'Afternoon (12:00-16:59)', change: comparison.timeDistribution.afternoon },
+      { label: 'Evening (17:00-4:59)', change: comparison.timeDistribution.evening }
+    ], { unit: '%', showPercent: false });
+
+    this.writeTable(stream, 'Top Directories', 'Directory (lines changed)', sides,
+      comparison.directories.map(({ directory, ...change }) => ({ label: `\`${directory}\``, change })));
+
+    await this.writer.closeStream(stream);
+    this.writer.logSuccess('comparison', comparisonFile);
+
+    return comparisonFile;
+  }
+
+  /**
+   * Execute the compare command
+   */
+  async execute() {
+    try {
+      if (!await isGitRepository()) {
+        throw new GitLogError(
+          'Not a git repository. Please run this command from within a git repository.',
+          'NOT_GIT_REPO'
+        );
+      }
+
+      const sides = this.getSides();
+      const title = this.getTitle(sides);
+      console.log(`${colors.blue}Comparing ${colors.bright}${sides[0].label}${colors.reset}${colors.blue} with ${colors.bright}${sides[1].label}${colors.reset}`);
+
+      const result = await getComparison(sides, this.includeDirs, this.excludeDirs, { attribution: this.attribution });
+      result.sides.forEach(side => {
+        if (side.commitCount === 0) {
+          console.log(`${colors.yellow}No commits found for ${side.label}${colors.reset}`);
+        }
+      });
+
+      const report = this.buildReport(result);
+
+      if (this.format !== 'markdown') {
+        const reportFiles = await this.writer.writeReport(this.author, 'comparison', report);
+        return { reportFiles };
+      }
+
+      const comparisonFile = await this.writeComparisonReport(report, title);
+      return { comparisonFile };
+    } catch (error) {
+      if (error instanceof GitLogError) {
+        throw error;
+      }
+      throw new GitLogError(
+        'Error generating comparison: ' + error.message,
+        'COMPARE_FAILED',
+        { error: error.message }
+      );
+    }
+  }
+}
+
+module.exports = CompareCommand;
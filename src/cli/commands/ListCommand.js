@@ -41,6 +41,7 @@ class ListCommand extends CommandHandler {
       console.log(`\n${colors.bright}Authors in this repository:${colors.reset}\n`);
       authors.forEach(author => {
         console.log(`${colors.green}${author.commits.toString().padStart(4)}${colors.reset} ${author.name} <${author.email}>`);
+        this.writeIdentities(author);
       });
       console.log(`\n${colors.bright}Total authors: ${authors.length}${colors.reset}`);
       
@@ -1,62 +1,418 @@
 // src/cli/commands/ReviewCommand.js
 
 const CommandHandler = require('./CommandHandler');
-const ReportWriter = require('../writers/ReportWriter');
+const { createReportWriter } = require('../writers');
 const { colors } = require('../../constants');
-const { isGitRepository } = require('../../services/gitOperations');
-const { getAuthorCommits } = require('../../services/authorService');
+const {
+  isGitRepository,
+  execGitCommand,
+  getCurrentBranch,
+  createReviewBranch,
+  cleanupReviewBranch,
+  getEmptyTreeHash,
+  hasUncommittedChanges,
+  stashChanges,
+  popStash,
+  branchExists
+} = require('../../services/gitOperations');
+const { getRangeEnds, getRevisionCommits } = require('../../services/authorService');
 const GitLogError = require('../../models/GitLogError');
 const RiskAssessmentService = require('../../services/RiskAssessmentService');
+const { loadRiskRules } = require('../../services/riskRuleService');
+const SecretScanService = require('../../services/SecretScanService');
+const ManifestAnalysisService = require('../../services/ManifestAnalysisService');
 const GitChangeService = require('../../services/GitChangeService');
 const ReviewReportGenerator = require('../../services/ReviewReportGenerator');
 
+const REVIEW_MODES = ['commits', 'net'];
+const FAIL_ON_LEVELS = ['high', 'medium'];
+
+/**
+ * Process exit code when the review exceeds a risk threshold (1 is used for errors)
+ * @constant {number}
+ */
+const GATE_FAILED_EXIT_CODE = 2;
+
 /**
- * Handles the review command to generate git commit review reports for a specific author
+ * Handles the review command to generate git commit review reports for a specific author,
+ * a team, or a revision range regardless of author
  * @extends CommandHandler
  */
 class ReviewCommand extends CommandHandler {
   /**
    * Creates a new ReviewCommand instance
    * @param {string[]} args - Command line arguments
-   * @param {string} args[0] - Author name or email
-   * @param {Object} [args.since='1 day ago'] - Start date for commit range
-   * @param {Object} [args.until='now'] - End date for commit range
+   * @param {string} args[0] - Author name or email (not used with --range or --commits)
+   * @param {string} [args.range] - Review a revision range such as `main..feature-x` instead of an author
+   * @param {string} [args.commits] - Review a comma-separated list of commits instead of an author
+   * @param {Object} [args.since='1 day ago'] - Start date for commit range (no limit with --range or --commits)
+   * @param {Object} [args.until='now'] - End date for commit range (no limit with --range or --commits)
    * @param {number} [args.context=5] - Number of lines of context to show in diffs
    * @param {string} [args.include-dirs] - Comma-separated list of directories to include
    * @param {string} [args.exclude-dirs] - Comma-separated list of directories to exclude
+   * @param {string} [args.format='markdown'] - Report output format (markdown, json or sarif)
+   * @param {string} [args.attribution='authored'] - Credit authored, co-authored or both kinds of commits
+   * @param {boolean} [args.create-branch] - Cherry-pick the commits onto a temporary branch and review the accumulated diff
+   * @param {string} [args.branch-name] - Name of the review branch (default: review/<author>/<timestamp>)
+   * @param {string} [args.review-mode='commits'] - Review each commit separately, or the net change per file (`net`)
+   * @param {string} [args.base-commit] - Commit the review branch or net diff starts from (default: parent of the oldest commit, or the merge base of --range)
+   * @param {boolean} [args.no-cleanup] - Keep the review branch after generating the report
+   * @param {string} [args.fail-on] - Exit non-zero if any file is at this risk level or above (`high` or `medium`)
+   * @param {string} [args.max-high-risk] - Exit non-zero if more files than this are high risk
+   * @param {string} [args.max-medium-risk] - Exit non-zero if more files than this are medium risk
    */
   constructor(args) {
     super(args);
-    this.author = args[0];
-    this.since = this.getArg('since', '1 day ago');
-    this.until = this.getArg('until', 'now');
-    this.maxDiffContext = parseInt(this.getArg('context', '5'), 10);
+    this.team = this.getTeam();
+    this.range = this.getArg('range').trim();
+    this.commitRefs = this.getArg('commits').split(',').map(ref => ref.trim()).filter(Boolean);
+    this.author = this.getAuthor();
+    // A range already bounds the review, so only filter by date when asked to
+    const hasRevisions = this.hasRevisions();
+    this.since = this.getArg('since', hasRevisions ? '' : '1 day ago');
+    this.until = this.getArg('until', hasRevisions ? '' : 'now');
+    this.diffContext = this.getArg('context', '5');
+    this.maxDiffContext = parseInt(this.diffContext, 10);
     this.useStream = this.getArg('stream', 'auto'); // 'auto', 'true', or 'false'
     this.includeDirs = this.getDirList('include-dirs');
     this.excludeDirs = this.getDirList('exclude-dirs');
+    this.format = this.getFormat();
+    this.attribution = this.getAttribution();
+    this.reviewMode = this.getArg('review-mode', 'commits').toLowerCase();
+    this.createBranch = this.hasFlag('create-branch');
+    this.branchName = this.getArg('branch-name');
+    this.baseCommit = this.getArg('base-commit');
+    this.cleanup = !this.hasFlag('no-cleanup');
+    this.failOn = this.getArg('fail-on').toLowerCase();
+    this.maxHighRisk = this.getArg('max-high-risk');
+    this.maxMediumRisk = this.getArg('max-medium-risk');
     
     // Initialize services
-    this.writer = new ReportWriter();
+    this.writer = createReportWriter(this.format);
     this.riskService = new RiskAssessmentService();
-    this.gitService = new GitChangeService();
-    this.reportGenerator = new ReviewReportGenerator(this.writer, this.riskService);
+    this.secretService = new SecretScanService();
+    this.manifestService = new ManifestAnalysisService();
+    this.gitService = new GitChangeService({ context: this.maxDiffContext });
+    this.reportGenerator = new ReviewReportGenerator(this.writer, this.riskService, this.secretService, this.manifestService);
+  }
+
+  /**
+   * Whether the review is of a revision range or commit list rather than an author
+   * @returns {boolean} True if --range or --commits is given
+   */
+  hasRevisions() {
+    return Boolean(this.range) || this.commitRefs.length > 0;
+  }
+
+  /**
+   * Get the name the review is reported under: the range or commit list, the team, or the author
+   * @returns {string|undefined} Report subject
+   */
+  getAuthor() {
+    if (this.range) return this.range;
+    if (this.commitRefs.length > 0) {
+      return `${this.commitRefs.length === 1 ? 'Commit' : 'Commits'} ${this.commitRefs.join(', ')}`;
+    }
+    return super.getAuthor();
+  }
+
+  /**
+   * Fetch the commits of the revision range or commit list, or fall back to the author or team
+   * @param {string} since - Start date (may be empty)
+   * @param {string} until - End date (may be empty)
+   * @param {string[]} includeDirs - Directories to include
+   * @param {string[]} excludeDirs - Directories to exclude
+   * @param {Object} [options={}] - Query options passed to getAuthorCommits
+   * @returns {Promise<{commits: Object[], members: Object[]|null}>} Commits, and the team members when reviewing a team
+   */
+  async fetchCommits(since, until, includeDirs, excludeDirs, options = {}) {
+    if (!this.hasRevisions()) {
+      return super.fetchCommits(since, until, includeDirs, excludeDirs, options);
+    }
+    const commits = await getRevisionCommits(
+      { range: this.range, commits: this.commitRefs },
+      since,
+      until,
+      includeDirs,
+      excludeDirs
+    );
+    return { commits, members: null };
   }
 
   /**
    * Validates command arguments
-   * @throws {GitLogError} If author is not provided
+   * @throws {GitLogError} If no author, team or revisions are given, or revisions are combined with an author or team
    */
   validateArgs() {
+    if (this.range && this.commitRefs.length > 0) {
+      throw new GitLogError('Cannot use both --range and --commits at the same time', 'INVALID_ARGS');
+    }
+
+    if (this.hasRevisions() && (this.team || (this.args[0] && !this.args[0].startsWith('--')))) {
+      throw new GitLogError(
+        'Cannot use an author or --team together with --range or --commits',
+        'INVALID_ARGS'
+      );
+    }
+
     if (!this.author) {
       throw new GitLogError('Author name or email is required', 'INVALID_AUTHOR');
     }
 
+    this.validateTeam();
+
     if (this.includeDirs.length > 0 && this.excludeDirs.length > 0) {
       throw new GitLogError(
         'Cannot use both --include-dirs and --exclude-dirs at the same time',
         'INVALID_ARGS'
       );
     }
+
+    if (!REVIEW_MODES.includes(this.reviewMode)) {
+      throw new GitLogError(
+        `Invalid review mode: ${this.reviewMode}. Must be one of: ${REVIEW_MODES.join(', ')}`,
+        'INVALID_ARGS',
+        { reviewMode: this.reviewMode }
+      );
+    }
+
+    if (this.createBranch && this.reviewMode === 'net') {
+      throw new GitLogError(
+        'Cannot use --create-branch together with --review-mode=net',
+        'INVALID_ARGS'
+      );
+    }
+
+    if (!this.createBranch && (this.branchName || !this.cleanup)) {
+      throw new GitLogError(
+        '--branch-name and --no-cleanup require --create-branch',
+        'INVALID_ARGS'
+      );
+    }
+
+    if (this.baseCommit && !this.createBranch && this.reviewMode !== 'net') {
+      throw new GitLogError(
+        '--base-commit requires --create-branch or --review-mode=net',
+        'INVALID_ARGS'
+      );
+    }
+
+    if (!/^\d+$/.test(this.diffContext)) {
+      throw new GitLogError(
+        `Invalid --context: ${this.diffContext}. Must be a non-negative integer`,
+        'INVALID_ARGS',
+        { context: this.diffContext }
+      );
+    }
+
+    if (this.failOn && !FAIL_ON_LEVELS.includes(this.failOn)) {
+      throw new GitLogError(
+        `Invalid --fail-on level: ${this.failOn}. Must be one of: ${FAIL_ON_LEVELS.join(', ')}`,
+        'INVALID_ARGS',
+        { failOn: this.failOn }
+      );
+    }
+
+    [['max-high-risk', this.maxHighRisk], ['max-medium-risk', this.maxMediumRisk]].forEach(([name, value]) => {
+      if (value && !/^\d+$/.test(value)) {
+        throw new GitLogError(
+          `Invalid --${name}: ${value}. Must be a non-negative integer`,
+          'INVALID_ARGS',
+          { [name]: value }
+        );
+      }
+    });
+
+    this.validateFormat(['markdown', 'json', 'sarif']);
+    this.validateAttribution();
+  }
+
+  /**
+   * Combine --fail-on and --max-*-risk into the maximum number of files allowed per risk level
+   * @returns {{HIGH: number|null, MEDIUM: number|null}} Limits, null where no threshold applies
+   */
+  getRiskLimits() {
+    const limits = {
+      HIGH: this.maxHighRisk ? parseInt(this.maxHighRisk, 10) : null,
+      MEDIUM: this.maxMediumRisk ? parseInt(this.maxMediumRisk, 10) : null
+    };
+    if (this.failOn === 'high' || this.failOn === 'medium') limits.HIGH = 0;
+    if (this.failOn === 'medium') limits.MEDIUM = 0;
+    return limits;
+  }
+
+  /**
+   * Check the review's risk distribution against the thresholds, print what tripped the gate
+   * and set a non-zero exit code if any limit is exceeded
+   * @param {Object} report - Review report model with `summary.riskLevels` and `highRiskChanges`
+   * @returns {boolean} True if the review passes (or no threshold is set)
+   */
+  enforceRiskThresholds(report) {
+    const limits = this.getRiskLimits();
+    if (limits.HIGH === null && limits.MEDIUM === null) return true;
+
+    const { riskLevels } = report.summary;
+    const distribution = `${riskLevels.HIGH} high, ${riskLevels.MEDIUM} medium, ${riskLevels.LOW} low`;
+    const violations = Object.entries(limits)
+      .filter(([level, limit]) => limit !== null && riskLevels[level] > limit)
+      .map(([level, limit]) => `${riskLevels[level]} ${level.toLowerCase()}-risk file(s), limit ${limit}`);
+
+    if (violations.length === 0) {
+      console.log(`${colors.green}✓ Review gate passed (${distribution})${colors.reset}`);
+      return true;
+    }
+
+    console.log(`\n${colors.red}✗ Review gate failed (${distribution}):${colors.reset}`);
+    violations.forEach(violation => console.log(`${colors.red}  - ${violation}${colors.reset}`));
+    if (limits.HIGH !== null && riskLevels.HIGH > limits.HIGH) {
+      const files = report.highRiskChanges.slice(0, 5).map(({ file, hash }) => (hash ? `${file} (${hash.slice(0, 7)})` : file));
+      const more = report.highRiskChanges.length - files.length;
+      console.log(`${colors.yellow}  High risk: ${files.join(', ')}${more > 0 ? ` and ${more} more` : ''}${colors.reset}`);
+    }
+    process.exitCode = GATE_FAILED_EXIT_CODE;
+    return false;
+  }
+
+  /**
+   * Build the default review branch name from the author (or range) and the current time
+   * @returns {string} Branch name, e.g. `review/john-doe/2024-02-06T09-00-00-000Z`
+   */
+  getDefaultBranchName() {
+    const slug = this.author.toLowerCase()
+      .replace(/[^a-z0-9._-]+|\.{2,}/g, '-')
+      .replace(/^[-.]+|[-.]+$/g, '') || 'author';
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `review/${slug}/${timestamp}`;
+  }
+
+  /**
+   * Resolve the commit the review branch or net diff starts from: --base-commit, the merge base
+   * of a --range, or the parent of the oldest commit
+   * @param {Object[]} commits - Commits to review, newest first
+   * @param {Object} [options={}] - Resolution options
+   * @param {boolean} [options.allowRoot=false] - Fall back to the empty tree when the oldest commit has no parent
+   * @returns {Promise<string>} Full hash of the base commit (or empty tree)
+   * @throws {GitLogError} If the base commit does not exist or the oldest commit has no parent
+   */
+  async resolveBaseCommit(commits, { allowRoot = false } = {}) {
+    if (this.range && !this.baseCommit) {
+      return (await getRangeEnds(this.range)).base;
+    }
+    const ref = this.baseCommit || `${commits[commits.length - 1].hash}^`;
+    try {
+      const output = await execGitCommand('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+      return output.trim();
+    } catch (error) {
+      if (allowRoot && !this.baseCommit) {
+        return getEmptyTreeHash();
+      }
+      throw new GitLogError(
+        this.baseCommit
+          ? `Invalid base commit: ${this.baseCommit}`
+          : 'The oldest commit under review has no parent. Use --base-commit to choose where the review branch starts',
+        'INVALID_GIT_REF',
+        { ref }
+      );
+    }
+  }
+
+  /**
+   * Cherry-pick the commits onto a temporary branch and categorize the accumulated diff.
+   * Uncommitted changes are stashed first, and the original branch (and stash) is restored afterwards,
+   * even when a step fails.
+   * @param {Object[]} commits - Commits to review, newest first
+   * @param {boolean} stream - Whether to stream the accumulated diff
+   * @returns {Promise<{branch: string, base: string, head: string, changes: Object}>} Accumulated changes for the report
+   * @throws {GitLogError} If the branch cannot be created, a commit does not apply, or the workspace cannot be restored
+   */
+  async reviewOnBranch(commits, stream) {
+    const branch = this.branchName || this.getDefaultBranchName();
+    try {
+      await execGitCommand('git', ['check-ref-format', '--branch', branch]);
+    } catch (error) {
+      throw new GitLogError(`Invalid branch name: ${branch}`, 'INVALID_ARGS', { branch });
+    }
+    if (await branchExists(branch)) {
+      throw new GitLogError(`Branch already exists: ${branch}`, 'INVALID_ARGS', { branch });
+    }
+
+    const base = await this.resolveBaseCommit(commits);
+    let originalRef = await getCurrentBranch();
+    if (originalRef === 'HEAD') {
+      // Detached HEAD: return to the same commit
+      originalRef = (await execGitCommand('git', ['rev-parse', 'HEAD'])).trim();
+    }
+
+    const stashed = await hasUncommittedChanges();
+    if (stashed) {
+      console.log(`${colors.yellow}Stashing uncommitted changes...${colors.reset}`);
+      await stashChanges(`gitlog-author: before review branch ${branch}`);
+    }
+
+    let result;
+    let failure = null;
+    try {
+      console.log(`${colors.blue}Cherry-picking ${commits.length} commits onto ${colors.bright}${branch}${colors.reset}`);
+      await createReviewBranch(branch, commits.map(commit => commit.hash).reverse(), base);
+      const changes = await this.gitService.categorizeBranchChanges(base, branch, { stream });
+      // The branch may be deleted before the report reads files from it
+      const head = (await execGitCommand('git', ['rev-parse', branch])).trim();
+      result = { branch, base, head, changes };
+    } catch (error) {
+      failure = error;
+    }
+
+    try {
+      await this.restoreWorkspace(branch, originalRef, stashed);
+    } catch (error) {
+      // Report the original failure; the restore problem is secondary
+      if (!failure) throw error;
+      console.error(`${colors.red}${error.message}${colors.reset}`);
+    }
+
+    if (failure) throw failure;
+    return result;
+  }
+
+  /**
+   * Categorize the net change per file from the parent of the oldest commit to the newest commit
+   * (for a --range, from its merge base to its tip), limited to files the commits touched
+   * @param {Object[]} commits - Commits to review, newest first
+   * @param {boolean} stream - Whether to stream the net diff
+   * @returns {Promise<Object>} Net changes and the commits that contributed to each file
+   * @throws {GitLogError} If the base commit is invalid or the diff fails
+   */
+  async reviewNet(commits, stream) {
+    const base = await this.resolveBaseCommit(commits, { allowRoot: true });
+    const head = this.range ? (await getRangeEnds(this.range)).head : commits[0].hash;
+    const contributors = await this.gitService.mapFilesToCommits(commits);
+    const changes = await this.gitService.categorizeNetChanges(base, head, new Set(contributors.keys()), { stream });
+    return { branch: null, base, head, changes, contributors };
+  }
+
+  /**
+   * Return to the original branch, remove the review branch unless --no-cleanup is set, and restore stashed changes
+   * @param {string} branch - Review branch name
+   * @param {string} originalRef - Branch name or commit hash that was checked out before the review
+   * @param {boolean} stashed - Whether uncommitted changes were stashed
+   * @returns {Promise<void>}
+   * @throws {GitLogError} If the original branch cannot be checked out or the stash cannot be restored
+   */
+  async restoreWorkspace(branch, originalRef, stashed) {
+    // createReviewBranch removes the branch itself when a cherry-pick fails
+    const exists = await branchExists(branch);
+    if (exists && this.cleanup) {
+      await cleanupReviewBranch(branch, originalRef);
+    } else {
+      await execGitCommand('git', ['checkout', originalRef]);
+      if (exists) {
+        console.log(`${colors.blue}Kept review branch: ${colors.bright}${branch}${colors.reset}`);
+      }
+    }
+
+    if (stashed) {
+      await popStash();
+    }
   }
 
   /**
@@ -76,30 +432,47 @@ class ReviewCommand extends CommandHandler {
         );
       }
 
+      // Apply the project's risk rules before anything is assessed
+      this.riskService.setRules(await loadRiskRules());
+
       console.log(`${colors.blue}Preparing review for ${colors.bright}${this.author}${colors.reset}`);
-      console.log(`${colors.blue}Time range: ${this.since} to ${this.until}${colors.reset}\n`);
+      if (this.since || this.until) {
+        console.log(`${colors.blue}Time range: ${this.since || 'beginning'} to ${this.until || 'now'}${colors.reset}`);
+      }
+      console.log('');
 
-      const commits = await getAuthorCommits(
-        this.author,
+      const { commits, members } = await this.fetchCommits(
         this.since,
         this.until,
         this.includeDirs,
-        this.excludeDirs
+        this.excludeDirs,
+        { attribution: this.attribution }
       );
       
       if (!commits.length) {
-        console.log(`${colors.yellow}No commits found in the specified time range${colors.reset}`);
+        const scope = this.hasRevisions() ? `for ${this.author}` : 'in the specified time range';
+        console.log(`${colors.yellow}No commits found ${scope}${colors.reset}`);
         return;
       }
 
       // Determine if we should use streaming based on conditions
       const shouldUseStream = await this.shouldUseStreaming(commits);
+
+      if (this.createBranch || this.reviewMode === 'net') {
+        const accumulatedReview = this.createBranch
+          ? await this.reviewOnBranch(commits, shouldUseStream)
+          : await this.reviewNet(commits, shouldUseStream);
+        const result = await this.reportGenerator.generateReport(this.author, commits, new Map(), members, accumulatedReview);
+        this.enforceRiskThresholds(result.report);
+        return result;
+      }
       
       // Process all commits in batches for better performance
       const changesMap = await this.gitService.batchProcessCommits(commits, { stream: shouldUseStream });
       
       // Generate the report using the report generator
-      const result = await this.reportGenerator.generateReport(this.author, commits, changesMap);
+      const result = await this.reportGenerator.generateReport(this.author, commits, changesMap, members);
+      this.enforceRiskThresholds(result.report);
 
       // Clean up the git service cache
       this.gitService.clearCache();
@@ -1,10 +1,20 @@
 const CommandHandler = require('./CommandHandler');
-const ReportWriter = require('../writers/ReportWriter');
+const { createReportWriter } = require('../writers');
 const { colors } = require('../../constants');
 const { isGitRepository } = require('../../services/gitOperations');
-const { getRollingTrends } = require('../../services/trendService');
+const { WEEKDAYS, getPeriod, getRollingTrends } = require('../../services/trendService');
 const GitLogError = require('../../models/GitLogError');
 
+// Number of periods shown when no --since is given; custom day periods use `days`
+const DEFAULT_PERIOD_COUNTS = {
+  daily: 7,
+  weekly: 4,
+  monthly: 6,
+  quarterly: 4,
+  yearly: 3,
+  days: 4
+};
+
 /**
  * @class TrendCommand
  * @description Handles generation of trend reports
@@ -15,13 +25,17 @@ class TrendCommand extends CommandHandler {
    */
   constructor(args) {
     super(args);
-    this.author = args[0];
-    this.period = this.getArg('trend');
+    this.team = this.getTeam();
+    this.author = this.getAuthor();
+    this.period = this.getArg('trend').toLowerCase();
+    this.weekStart = this.getArg('week-start').toLowerCase();
     this.since = this.getArg('since');
     this.until = this.getArg('until');
     this.includeDirs = this.getDirList('include-dirs');
     this.excludeDirs = this.getDirList('exclude-dirs');
-    this.writer = new ReportWriter();
+    this.attribution = this.getAttribution();
+    this.format = this.getFormat();
+    this.writer = createReportWriter(this.format);
   }
 
   /**
@@ -33,10 +47,21 @@ class TrendCommand extends CommandHandler {
       throw new GitLogError('Author name or email is required', 'INVALID_AUTHOR');
     }
 
-    if (!['daily', 'weekly', 'monthly'].includes(this.period)) {
+    this.validateTeam();
+
+    if (!getPeriod(this.period)) {
+      throw new GitLogError(
+        'Invalid trend period. Must be one of: daily, weekly, monthly, quarterly, yearly, or a number of days such as 14d',
+        'INVALID_TREND_PERIOD',
+        { period: this.period }
+      );
+    }
+
+    if (this.weekStart && !WEEKDAYS.includes(this.weekStart)) {
       throw new GitLogError(
-        'Invalid trend period. Must be one of: daily, weekly, monthly',
-        'INVALID_TREND_PERIOD'
+        `Invalid week start: ${this.weekStart}. Must be one of: ${WEEKDAYS.join(', ')}`,
+        'INVALID_WEEK_START',
+        { weekStart: this.weekStart }
       );
     }
 
@@ -46,6 +71,17 @@ class TrendCommand extends CommandHandler {
         'INVALID_ARGS'
       );
     }
+
+    this.validateFormat(['markdown', 'json', 'html']);
+    this.validateAttribution();
+  }
+
+  /**
+   * Get the configuration of the requested period
+   * @returns {Object} Period configuration from trendService
+   */
+  getPeriodConfig() {
+    return getPeriod(this.period, { weekStart: this.weekStart });
   }
 
   /**
@@ -53,24 +89,15 @@ class TrendCommand extends CommandHandler {
    * @returns {{ startDate: Date, endDate: Date, periodCount: number }}
    */
   calculateDateRange() {
+    const periodConfig = this.getPeriodConfig();
     const endDate = this.until ? new Date(this.until) : new Date();
     let startDate;
     
     if (this.since) {
       startDate = new Date(this.since);
     } else {
-      startDate = new Date(endDate);
-      switch (this.period) {
-        case 'daily':
-          startDate.setDate(startDate.getDate() - 6); // Last 7 days
-          break;
-        case 'weekly':
-          startDate.setDate(startDate.getDate() - (4 * 7) + 1); // Last 4 weeks
-          break;
-        case 'monthly':
-          startDate.setMonth(startDate.getMonth() - 5); // Last 6 months
-          break;
-      }
+      const defaultCount = DEFAULT_PERIOD_COUNTS[this.period] || DEFAULT_PERIOD_COUNTS.days;
+      startDate = periodConfig.startOf(periodConfig.shift(endDate, defaultCount - 1));
     }
 
     if (startDate > endDate) {
@@ -80,32 +107,73 @@ class TrendCommand extends CommandHandler {
       );
     }
 
-    const msPerDay = 1000 * 60 * 60 * 24;
-    const daysDiff = Math.ceil((endDate - startDate) / msPerDay);
-    
-    let periodCount;
-    switch (this.period) {
-      case 'daily':
-        periodCount = daysDiff;
-        break;
-      case 'weekly':
-        periodCount = Math.ceil(daysDiff / 7);
-        break;
-      case 'monthly':
-        periodCount = Math.ceil(daysDiff / 30.44); // Approximate months
-        break;
+    // Count periods back from the end date until one ends before the start date
+    let periodCount = 0;
+    while (periodConfig.endOf(periodConfig.shift(endDate, periodCount)) >= startDate) {
+      periodCount++;
     }
 
     return { startDate, endDate, periodCount };
   }
 
   /**
-   * Write trend overview section
-   * @param {WriteStream} stream - Output stream
+   * Get the period name used in report titles
+   * @returns {string} E.g. "Weekly" or "14-Day"
+   */
+  getPeriodTitle() {
+    const { days } = this.getPeriodConfig();
+    return days ? `${days}-Day` : this.period.charAt(0).toUpperCase() + this.period.slice(1);
+  }
+
+  /**
+   * Get the name of a single period
+   * @returns {string} E.g. "Week" or "14-Day Period"
+   */
+  getPeriodUnitName() {
+    const { unit, days } = this.getPeriodConfig();
+    return days ? `${days}-Day Period` : unit.charAt(0).toUpperCase() + unit.slice(1);
+  }
+
+  /**
+   * Format the start of a trend bucket for display
+   * @param {Object} trend - Trend bucket
+   * @param {boolean} [short=false] - Use a compact label (for table columns)
+   * @returns {string} Period label
+   */
+  formatPeriod(trend, short = false) {
+    const date = new Date(trend.startDate);
+    const { unit, days } = this.getPeriodConfig();
+
+    if (unit === 'year') {
+      return `${date.getUTCFullYear()}`;
+    }
+    if (unit === 'quarter') {
+      return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`;
+    }
+    if (unit === 'month') {
+      return date.toLocaleDateString('en-US', { year: 'numeric', month: short ? 'short' : 'long' });
+    }
+    if (short) {
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    if (days) {
+      const endDate = new Date(trend.endDate);
+      return `${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })} - ${endDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`;
+    }
+    return unit === 'week'
+      ? `Week of ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`
+      : date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /**
+   * Summarize trend buckets into overview figures
    * @param {Object[]} trends - Trend data
+   * @returns {{totalCommits: number, totalInsertions: number, totalDeletions: number, mostActive: ?{date: string, count: number}, primaryType: ?{type: string, name: string, count: number, percentage: number}}} Overview figures
    */
-  writeOverview(stream, trends) {
+  calculateOverview(trends) {
     const totalCommits = trends.reduce((sum, t) => sum + t.metrics.commitCount, 0);
+    const totalInsertions = trends.reduce((sum, t) => sum + t.metrics.totalInsertions, 0);
+    const totalDeletions = trends.reduce((sum, t) => sum + t.metrics.totalDeletions, 0);
     const mostActive = trends.reduce((max, t) => t.metrics.commitCount > max.count ? 
       { date: t.startDate, count: t.metrics.commitCount } : max, 
       { date: '', count: 0 });
@@ -117,42 +185,105 @@ class TrendCommand extends CommandHandler {
       return types;
     }, {});
     
+    const typeNames = Object.assign({}, ...trends.map(t => t.metrics.typeNames));
     const primaryType = Object.entries(allTypes)
       .sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      totalCommits,
+      totalInsertions,
+      totalDeletions,
+      mostActive: mostActive.count > 0 ? mostActive : null,
+      primaryType: primaryType ? {
+        type: primaryType[0],
+        name: typeNames[primaryType[0]] || primaryType[0],
+        count: primaryType[1],
+        percentage: Math.round((primaryType[1] / totalCommits) * 100)
+      } : null
+    };
+  }
+
+  /**
+   * Collect trend data into a format-independent report model
+   * @param {Object[]} trends - Trend data from getRollingTrends
+   * @returns {Object} Report model with overview and period buckets
+   */
+  buildReport(trends) {
+    return {
+      author: this.author,
+      team: this.team || null,
+      period: this.period,
+      filters: {
+        since: this.since,
+        until: this.until,
+        includeDirs: this.includeDirs,
+        excludeDirs: this.excludeDirs,
+        attribution: this.attribution
+      },
+      startDate: new Date(this.startDate).toISOString(),
+      endDate: new Date(this.endDate).toISOString(),
+      overview: this.calculateOverview(trends),
+      trends
+    };
+  }
+
+  /**
+   * Write trend overview section
+   * @param {WriteStream} stream - Output stream
+   * @param {Object} report - Report model from buildReport
+   */
+  writeOverview(stream, report) {
+    const { totalCommits, totalInsertions, totalDeletions, mostActive, primaryType } = report.overview;
     
     stream.write('## Overview\n');
-    stream.write(`- Period: ${new Date(this.startDate).toLocaleDateString('en-US')} to ${new Date(this.endDate).toLocaleDateString('en-US')}\n`);
+    stream.write(`- Period: ${new Date(report.startDate).toLocaleDateString('en-US')} to ${new Date(report.endDate).toLocaleDateString('en-US')}\n`);
     stream.write(`- Total Commits: ${totalCommits}\n`);
-    if (mostActive.count > 0) {
-      stream.write(`- Most Active ${this.period === 'daily' ? 'Day' : this.period === 'weekly' ? 'Week' : 'Month'}: ${new Date(mostActive.date).toLocaleDateString('en-US')} (${mostActive.count} commits)\n`);
+    stream.write(`- Lines Changed: ${totalInsertions + totalDeletions} (+${totalInsertions} / -${totalDeletions})\n`);
+    if (mostActive) {
+      stream.write(`- Most Active ${this.getPeriodUnitName()}: ${new Date(mostActive.date).toLocaleDateString('en-US')} (${mostActive.count} commits)\n`);
     }
     if (primaryType) {
-      const percentage = Math.round((primaryType[1] / totalCommits) * 100);
-      stream.write(`- Primary Contribution Type: ${primaryType[0]} (${percentage}%)\n`);
+      stream.write(`- Primary Contribution Type: ${primaryType.name} (${primaryType.percentage}%)\n`);
     }
     stream.write('\n');
   }
 
+  /**
+   * Write the commits per member and period for team trends
+   * @param {WriteStream} stream - Output stream
+   * @param {Object[]} trends - Trend data with per-member commit counts
+   */
+  writeMemberBreakdown(stream, trends) {
+    const members = Object.keys(trends[0].metrics.members);
+    const labels = trends.map(trend => this.formatPeriod(trend, true));
+
+    stream.write('## Team Members\n\n');
+    stream.write(`| Member | ${labels.join(' | ')} | Total |\n`);
+    stream.write(`|--------|${labels.map(() => '---').join('|')}|-------|\n`);
+    members.forEach(member => {
+      const counts = trends.map(trend => trend.metrics.members[member] || 0);
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      stream.write(`| ${member} | ${counts.join(' | ')} | ${total} |\n`);
+    });
+    stream.write('\n');
+  }
+
   /**
    * Write detailed trend breakdown
    * @param {WriteStream} stream - Output stream
    * @param {Object[]} trends - Trend data
    */
   writeBreakdown(stream, trends) {
-    stream.write(`## ${this.period.charAt(0).toUpperCase() + this.period.slice(1)} Breakdown\n\n`);
+    stream.write(`## ${this.getPeriodTitle()} Breakdown\n\n`);
 
     for (const trend of trends) {
-      const date = new Date(trend.startDate);
-      const dateStr = this.period === 'daily' 
-        ? date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
-        : this.period === 'weekly'
-          ? `Week of ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`
-          : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
-
-      stream.write(`### ${dateStr}\n`);
+      stream.write(`### ${this.formatPeriod(trend)}\n`);
       stream.write(`Commits: ${trend.metrics.commitCount}\n\n`);
 
       if (trend.metrics.commitCount > 0) {
+        const { totalLinesChanged, totalInsertions, totalDeletions } = trend.metrics;
+        stream.write(`Lines Changed: ${totalLinesChanged} (+${totalInsertions} / -${totalDeletions})\n\n`);
+
         // Time distribution
         stream.write('Time Distribution:\n');
         const { morningPercent, afternoonPercent, eveningPercent } = trend.metrics.timeDistribution;
@@ -166,7 +297,7 @@ class TrendCommand extends CommandHandler {
           Object.entries(trend.metrics.commitTypes)
             .sort((a, b) => b[1] - a[1])
             .forEach(([type, count]) => {
-              stream.write(`- ${type}: ${count}\n`);
+              stream.write(`- ${trend.metrics.typeNames[type] || type}: ${count}\n`);
             });
           stream.write('\n');
         }
@@ -202,25 +333,31 @@ class TrendCommand extends CommandHandler {
         endDate,
         this.includeDirs,
         this.excludeDirs,
-        userTimezone
+        userTimezone,
+        { attribution: this.attribution, team: this.team, weekStart: this.weekStart }
       );
 
 
+      const report = this.buildReport(trends);
+
+      if (this.format !== 'markdown') {
+        const reportFiles = await this.writer.writeReport(this.author, `${this.period}_trend`, report);
+        return { reportFiles };
+      }
+
       const trendFile = this.writer.generateFilename(this.author, `${this.period}_trend`);
       const trendStream = this.writer.createStream(trendFile);
 
       this.writer.writeHeader(trendStream, 
-        `${this.period.charAt(0).toUpperCase() + this.period.slice(1)} Contribution Trend for ${this.author}`,
-        {
-          since: this.since,
-          until: this.until,
-          includeDirs: this.includeDirs,
-          excludeDirs: this.excludeDirs
-        }
+        `${this.getPeriodTitle()} Contribution Trend for ${this.author}`,
+        report.filters
       );
 
-      this.writeOverview(trendStream, trends);
-      this.writeBreakdown(trendStream, trends);
+      this.writeOverview(trendStream, report);
+      if (report.team && report.trends.length > 0) {
+        this.writeMemberBreakdown(trendStream, report.trends);
+      }
+      this.writeBreakdown(trendStream, report.trends);
 
       await this.writer.closeStream(trendStream);
       this.writer.logSuccess('trend', trendFile);
@@ -40,8 +40,10 @@ class VerifyCommand extends CommandHandler {
   findMatchingAuthors(authors) {
     const searchStr = this.authorQuery.toLowerCase();
     return authors.filter(author => 
-      author.name.toLowerCase().includes(searchStr) || 
-      author.email.toLowerCase().includes(searchStr)
+      [author, ...(author.identities || [])].some(identity =>
+        identity.name.toLowerCase().includes(searchStr) || 
+        identity.email.toLowerCase().includes(searchStr)
+      )
     );
   }
 
@@ -98,6 +100,7 @@ class VerifyCommand extends CommandHandler {
       console.log(`\n${colors.bright}Matching authors:${colors.reset}\n`);
       for (const author of matchingAuthors) {
         console.log(`${colors.green}✓${colors.reset} ${author.name} <${author.email}> (${colors.bright}${author.commits}${colors.reset} commits)`);
+        this.writeIdentities(author);
       }
 
       await this.checkCommitHistory(matchingAuthors);
@@ -0,0 +1,72 @@
+const ReviewCommand = require('../ReviewCommand');
+
+/**
+ * Builds a review report model with the given risk distribution
+ * @param {Object} riskLevels - Files per risk level
+ * @returns {Object} Report model
+ */
+function buildReport(riskLevels) {
+  return {
+    summary: { riskLevels },
+    highRiskChanges: Array.from({ length: riskLevels.HIGH }, (_, index) => ({ file: `src/f${index}.js`, hash: 'abcdef1234' }))
+  };
+}
+
+describe('ReviewCommand risk thresholds', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.exitCode = undefined;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    process.exitCode = undefined;
+  });
+
+  it('should combine --fail-on and --max-*-risk into per-level limits', () => {
+    expect(new ReviewCommand(['Jane', '--review']).getRiskLimits()).toEqual({ HIGH: null, MEDIUM: null });
+    expect(new ReviewCommand(['Jane', '--review', '--fail-on=high', '--max-medium-risk=3']).getRiskLimits())
+      .toEqual({ HIGH: 0, MEDIUM: 3 });
+    expect(new ReviewCommand(['Jane', '--review', '--fail-on=medium']).getRiskLimits()).toEqual({ HIGH: 0, MEDIUM: 0 });
+    expect(new ReviewCommand(['Jane', '--review', '--max-high-risk=2']).getRiskLimits()).toEqual({ HIGH: 2, MEDIUM: null });
+  });
+
+  it('should set a non-zero exit code only when a limit is exceeded', () => {
+    const command = new ReviewCommand(['Jane', '--review', '--max-high-risk=1']);
+
+    expect(command.enforceRiskThresholds(buildReport({ HIGH: 1, MEDIUM: 4, LOW: 2 }))).toBe(true);
+    expect(process.exitCode).toBeUndefined();
+
+    expect(command.enforceRiskThresholds(buildReport({ HIGH: 2, MEDIUM: 0, LOW: 0 }))).toBe(false);
+    expect(process.exitCode).toBe(2);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('2 high-risk file(s), limit 1'));
+  });
+
+  it('should reject invalid thresholds', () => {
+    expect(() => new ReviewCommand(['Jane', '--review', '--fail-on=low']).validateArgs()).toThrow('Invalid --fail-on level: low');
+    expect(() => new ReviewCommand(['Jane', '--review', '--max-high-risk=-1']).validateArgs()).toThrow('Invalid --max-high-risk: -1');
+  });
+});
+
+describe('ReviewCommand revisions', () => {
+  it('should name the review after the range or commit list without a date limit', () => {
+    const range = new ReviewCommand(['--review', '--range=main..feature-x']);
+    expect(range.author).toBe('main..feature-x');
+    expect(range.since).toBe('');
+    expect(range.until).toBe('');
+    expect(range.getDefaultBranchName()).toMatch(/^review\/main-feature-x\//);
+
+    expect(new ReviewCommand(['--commits=abc1234, def5678']).author).toBe('Commits abc1234, def5678');
+    expect(new ReviewCommand(['Jane', '--review']).since).toBe('1 day ago');
+  });
+
+  it('should reject revisions combined with each other, an author or a team', () => {
+    expect(() => new ReviewCommand(['--range=a..b', '--commits=abc1234']).validateArgs())
+      .toThrow('Cannot use both --range and --commits at the same time');
+    expect(() => new ReviewCommand(['Jane', '--review', '--range=a..b']).validateArgs())
+      .toThrow('Cannot use an author or --team together with --range or --commits');
+    expect(() => new ReviewCommand(['--review', '--team=platform', '--commits=abc1234']).validateArgs())
+      .toThrow('Cannot use an author or --team together with --range or --commits');
+    expect(() => new ReviewCommand(['--review', '--range=main..feature-x']).validateArgs()).not.toThrow();
+  });
+});
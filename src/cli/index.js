@@ -7,11 +7,14 @@
 
 const { colors } = require('../constants');
 const { fetchLatestChanges } = require('../services/gitOperations');
+const { setCacheEnabled, clearCache, pruneCache } = require('../services/cacheService');
+const { setConfigPath } = require('../services/configService');
 const AuthorCommand = require('./commands/AuthorCommand');
 const TrendCommand = require('./commands/TrendCommand');
 const ListCommand = require('./commands/ListCommand');
 const VerifyCommand = require('./commands/VerifyCommand');
 const ReviewCommand = require('./commands/ReviewCommand');
+const CompareCommand = require('./commands/CompareCommand');
 const GitLogError = require('../models/GitLogError');
 
 /**
@@ -21,7 +24,7 @@ function printHelp() {
   console.log(`
 ${colors.bright}Generate Git Log by Author${colors.reset}
 
-Usage: gitlog-author <author> [--since=<date>] [--until=<date>] [--verify] [--no-metrics] [--trend=<period>] [--review] [--create-branch] [--branch-name=<name>] [--base-commit=<hash>] [--no-cleanup] [--include-dirs=<dirs>] [--exclude-dirs=<dirs>]
+Usage: gitlog-author <author> [--since=<date>] [--until=<date>] [--verify] [--no-metrics] [--trend=<period>] [--week-start=<day>] [--review] [--range=<from..to>] [--commits=<refs>] [--context=<n>] [--review-mode=<mode>] [--create-branch] [--branch-name=<name>] [--base-commit=<hash>] [--no-cleanup] [--fail-on=<level>] [--max-high-risk=<n>] [--max-medium-risk=<n>] [--include-dirs=<dirs>] [--exclude-dirs=<dirs>] [--format=<format>] [--no-cache] [--clear-cache] [--config=<path>] [--attribution=<mode>] [--team=<name>] [--compare=<author>] [--compare-since=<date>] [--compare-until=<date>]
 
 Arguments:
   author         Author name or email to filter commits by
@@ -33,14 +36,31 @@ Options:
   --list-authors Show all authors in the repository
   --skip-fetch   Skip fetching latest changes from remote
   --no-metrics   Skip productivity metrics calculation
-  --trend=<period> Generate contribution trend report (daily, weekly, or monthly)
+  --trend=<period> Generate contribution trend report (daily, weekly, monthly, quarterly, yearly, or a number of days such as 14d)
+  --week-start=<day> First day of weekly trend periods (default: sunday)
   --review       Generate detailed code review report with risk assessment
+  --range=<from..to> Review every commit in a revision range (e.g. main..feature-x or v1.0..v1.1) regardless of author
+  --commits=<refs> Review a comma-separated list of commits, branches or tags regardless of author
+  --context=<n>  Lines of context around each change in review diffs (default: 5)
+  --review-mode=<mode> Review each commit (commits) or the net change per file (net) (default: commits)
   --create-branch Create a temporary branch for accumulated review changes
   --branch-name=<name> Custom name for review branch (default: review/author/timestamp)
-  --base-commit=<hash> Base commit to compare changes against (default: first commit's parent)
+  --base-commit=<hash> Base commit to compare changes against with --create-branch or net mode (default: first commit's parent)
   --no-cleanup   Keep the review branch after generating report (default: cleanup)
+  --fail-on=<level> Exit with code 2 if any reviewed file is high risk (high) or medium risk and above (medium)
+  --max-high-risk=<n> Exit with code 2 if more than n reviewed files are high risk
+  --max-medium-risk=<n> Exit with code 2 if more than n reviewed files are medium risk
   --include-dirs=<dirs> Only include commits affecting these directories (comma-separated)
   --exclude-dirs=<dirs> Exclude commits affecting these directories (comma-separated)
+  --format=<format> Report output format: markdown (default), json, csv (commit log only), html (metrics and trends) or sarif (review only)
+  --team=<name>  Report on every member of a team from the project config instead of one author
+  --compare=<author> Compare the author side by side with another author
+  --compare-since=<date> Compare the author's --since/--until range with a second range starting at this date
+  --compare-until=<date> End of the second range to compare against
+  --attribution=<mode> Commits to credit: authored (default), co-authored (Co-authored-by trailers) or both
+  --no-cache     Don't read or write the commit cache in .git/gitlog-author/
+  --clear-cache  Delete the commit cache before running (can be used on its own)
+  --config=<path> Project config file (default: .gitlog-author.json in the repository root)
   --help, -h     Show this help message
 
 Examples:
@@ -49,6 +69,13 @@ Examples:
   gitlog-author "John Doe" --since="2023-01-01" --until="2023-12-31" # Show commits by John Doe in the year 2023
   gitlog-author "John Doe" --skip-fetch # Skip fetching latest changes from remote
   gitlog-author "John Doe" --no-metrics # Skip productivity metrics calculation
+  gitlog-author --team=platform --since="1 month ago" # Combined metrics with a per-member breakdown
+  gitlog-author --team=platform --trend=weekly # Weekly team trend with commits per member
+  gitlog-author "John Doe" --compare="Jane Doe" --since="1 month ago" # Compare two authors side by side
+  gitlog-author "John Doe" --since="2024-01-01" --until="2024-03-31" --compare-since="2024-04-01" --compare-until="2024-06-30" # Compare two quarters
+  gitlog-author "John Doe" --attribution=both # Include commits where John Doe is a co-author
+  gitlog-author "John Doe" --no-cache # Read every commit from git instead of the cache
+  gitlog-author --clear-cache # Delete cached commit data for this repository
 
   gitlog-author "John" --verify # Verify author existence and show matching authors
   gitlog-author --list-authors # Show all authors in the repository
@@ -57,14 +84,44 @@ Examples:
   gitlog-author "John Doe" --trend=daily --since="2023-01-01" --until="2023-12-31"    # Show based on date range
   gitlog-author "John Doe" --trend=weekly   # Show last 4 weeks trends
   gitlog-author "John Doe" --trend=monthly  # Show last 6 months trends
+  gitlog-author "John Doe" --trend=quarterly  # Show last 4 quarters trends
+  gitlog-author "John Doe" --trend=yearly   # Show last 3 years trends
+  gitlog-author "John Doe" --trend=14d      # Show last 4 two-week (sprint) periods
+  gitlog-author "John Doe" --trend=weekly --week-start=monday  # Weeks from Monday to Sunday
   gitlog-author "John Doe" --include-dirs="src,tests"  # Only src and tests directories and show commits and metrics for those directories
   gitlog-author "John Doe" --trend=monthly --exclude-dirs="core/backend,core/shared"  # Exclude some directories and show last 6 months trends
   gitlog-author "John Doe" --review  # Generate detailed code review report with risk assessment
   gitlog-author "John Doe" --review --since="1 week ago"  # Review code changes from the last week
+  gitlog-author --review --range="main..feature-x"  # Review every commit of a pull request branch
+  gitlog-author --review --range="v1.0..v1.1" --review-mode=net  # Review the net change between two tags
+  gitlog-author --review --commits="a1b2c3d,e4f5a6b"  # Review specific commits
+  gitlog-author "John Doe" --format=json  # Write commits and metrics as a single JSON document
+  gitlog-author "John Doe" --trend=weekly --format=json  # Write weekly trend buckets as JSON
+  gitlog-author "John Doe" --format=csv  # Write commits and per-file changes as CSV
+  gitlog-author "John Doe" --format=html  # Write an offline HTML metrics page with charts
+  gitlog-author "John Doe" --review --format=sarif  # Write review findings as SARIF for code-scanning viewers
+  gitlog-author "John Doe" --review --fail-on=high  # Fail a CI job when the review contains high-risk files
 
   `);
 }
 
+/**
+ * Verify the requested author exists before generating a report.
+ * Team reports resolve their members from the project config instead, and
+ * range reviews are not tied to an author.
+ * @async
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<boolean>} True if the report should be generated
+ */
+async function verifyAuthor(args) {
+  if (args.some(arg => /^--(team|range|commits)=/.test(arg))) {
+    return true;
+  }
+  const command = new VerifyCommand(args);
+  command.validateArgs();
+  return Boolean(await command.execute());
+}
+
 /**
  * Main CLI entry point
  * @async
@@ -79,6 +136,18 @@ async function main() {
       return;
     }
 
+    setCacheEnabled(!args.includes('--no-cache'));
+    const configArg = args.find(arg => arg.startsWith('--config='));
+    setConfigPath(configArg ? configArg.slice('--config='.length) : null);
+
+    if (args.includes('--clear-cache')) {
+      const cacheDir = await clearCache();
+      console.log(`${colors.green}✓ Cleared cache: ${colors.reset}${cacheDir}`);
+      if (args.every(arg => arg === '--clear-cache' || arg === '--skip-fetch')) {
+        return;
+      }
+    }
+
     if (!args.includes('--skip-fetch')) {
       console.log(`${colors.blue}Fetching latest changes...${colors.reset}`);
       await fetchLatestChanges();
@@ -89,37 +158,21 @@ async function main() {
       command = new ListCommand(args);
     } else if (args.includes('--verify')) {
       command = new VerifyCommand(args);
+    } else if (!await verifyAuthor(args)) {
+      return;
+    } else if (args.some(arg => /^--compare(-since|-until)?=/.test(arg))) {
+      command = new CompareCommand(args);
     } else if (args.find(arg => arg.startsWith('--trend='))) {
-      command = new VerifyCommand(args);
-      command.validateArgs();
-      const result = await command.execute();
-      if (result) {
-        command = new TrendCommand(args);
-      } else {
-        return
-      }
-    } else if (args.includes('--review')) {
-      command = new VerifyCommand(args);
-      command.validateArgs();
-      const result = await command.execute();
-      if (result) {
-        command = new ReviewCommand(args);
-      } else {
-        return
-      }
+      command = new TrendCommand(args);
+    } else if (args.includes('--review') || args.some(arg => /^--(range|commits)=/.test(arg))) {
+      command = new ReviewCommand(args);
     } else {
-      command = new VerifyCommand(args);
-      command.validateArgs();
-      const result = await command.execute();
-      if (result) {
-        command = new AuthorCommand(args);
-      } else {
-        return
-      }
+      command = new AuthorCommand(args);
     }
 
     command.validateArgs();
     await command.execute();
+    await pruneCache();
   } catch (error) {
     if (error instanceof GitLogError) {
       console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
@@ -0,0 +1,113 @@
+const ReportWriter = require('./ReportWriter');
+const GitLogError = require('../../models/GitLogError');
+
+/**
+ * @class CsvReportWriter
+ * @extends ReportWriter
+ * @description Writes commit reports as spreadsheet-friendly CSV files (RFC 4180 quoting)
+ */
+class CsvReportWriter extends ReportWriter {
+  /**
+   * @param {string} outputDir - Directory to write reports to
+   */
+  constructor(outputDir) {
+    super(outputDir);
+    this.format = 'csv';
+    this.extension = 'csv';
+  }
+
+  /**
+   * Escape a single CSV field, quoting it when it contains commas, quotes or line breaks
+   * @param {*} value - Field value
+   * @returns {string} Escaped field
+   */
+  escapeValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Format a list of values as one CSV record
+   * @param {Array<*>} values - Field values
+   * @returns {string} CSV record terminated by CRLF
+   */
+  formatRow(values) {
+    return values.map(value => this.escapeValue(value)).join(',') + '\r\n';
+  }
+
+  /**
+   * Write a CSV file with a header row
+   * @private
+   * @param {string} filePath - Path of the CSV file
+   * @param {string[]} columns - Header columns
+   * @param {Array<Array<*>>} rows - Data rows
+   * @returns {Promise<void>}
+   */
+  async writeCsvFile(filePath, columns, rows) {
+    const stream = this.createStream(filePath);
+    stream.write(this.formatRow(columns));
+    rows.forEach(row => stream.write(this.formatRow(row)));
+    await this.closeStream(stream);
+  }
+
+  /**
+   * Write a commit report as two CSV files: one row per commit and one row per changed file
+   * @param {string} author - Author name used in the filenames
+   * @param {string} type - Report type
+   * @param {Object} model - Report model with a `commits` array
+   * @returns {Promise<string[]>} Paths of the written files
+   * @throws {GitLogError} If the model does not contain commits
+   */
+  async writeReport(author, type, model) {
+    if (!Array.isArray(model.commits)) {
+      throw new GitLogError(
+        `CSV output is not available for ${type} reports`,
+        'INVALID_FORMAT',
+        { format: this.format, type }
+      );
+    }
+
+    const commitsFile = this.generateFilename(author, 'commits');
+    await this.writeCsvFile(
+      commitsFile,
+      ['hash', 'date', 'subject', 'body', 'files_changed', 'insertions', 'deletions', 'co_authored', 'tickets'],
+      model.commits.map(commit => [
+        commit.hash,
+        commit.date,
+        commit.subject,
+        commit.body,
+        commit.files ? commit.files.length : '',
+        commit.stats ? commit.stats.insertions : '',
+        commit.stats ? commit.stats.deletions : '',
+        Boolean(commit.coAuthored),
+        (commit.issues || []).map(({ key }) => key).join(' ')
+      ])
+    );
+    this.logSuccess('commits', commitsFile);
+
+    const filesFile = this.generateFilename(author, 'file_changes');
+    await this.writeCsvFile(
+      filesFile,
+      ['hash', 'date', 'file', 'old_file', 'insertions', 'deletions', 'changes', 'binary'],
+      model.commits.flatMap(commit => (commit.files || []).map(file => [
+        commit.hash,
+        commit.date,
+        file.file,
+        file.oldFile,
+        file.insertions,
+        file.deletions,
+        file.changes,
+        file.binary
+      ]))
+    );
+    this.logSuccess('file changes', filesFile);
+
+    return [commitsFile, filesFile];
+  }
+}
+
+module.exports = CsvReportWriter;
@@ -0,0 +1,395 @@
+const ReportWriter = require('./ReportWriter');
+const GitLogError = require('../../models/GitLogError');
+
+// Chart colors, reused in order for bars and pie slices
+const CHART_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 2rem; color: #24292f; background: #f6f8fa; }
+  main { max-width: 960px; margin: 0 auto; }
+  h1 { margin-top: 0; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 1rem 1.5rem; margin-bottom: 1.5rem; }
+  .meta { color: #57606a; font-size: 0.9rem; }
+  .stats { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .stat { flex: 1 1 150px; }
+  .stat strong { display: block; font-size: 1.5rem; }
+  .legend { list-style: none; padding: 0; }
+  .legend li { margin: 0.25rem 0; }
+  .swatch { display: inline-block; width: 0.8rem; height: 0.8rem; margin-right: 0.4rem; border-radius: 2px; vertical-align: middle; }
+  .pie { display: flex; align-items: center; gap: 2rem; flex-wrap: wrap; }
+  .tree ul { list-style: none; padding-left: 1.25rem; margin: 0; }
+  .tree > ul { padding-left: 0; }
+  .tree summary { cursor: pointer; }
+  .tree .changes { color: #57606a; font-size: 0.85rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  code { font-family: SFMono-Regular, Consolas, monospace; font-size: 0.85rem; }
+  button { margin-right: 0.5rem; }
+`;
+
+const SCRIPT = `
+  document.querySelectorAll('[data-tree-toggle]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var open = button.getAttribute('data-tree-toggle') === 'expand';
+      document.querySelectorAll('.tree details').forEach(function (node) { node.open = open; });
+    });
+  });
+`;
+
+/**
+ * @class HtmlReportWriter
+ * @extends ReportWriter
+ * @description Writes metrics and trend reports as a single offline HTML page with inline SVG charts
+ */
+class HtmlReportWriter extends ReportWriter {
+  /**
+   * @param {string} outputDir - Directory to write reports to
+   */
+  constructor(outputDir) {
+    super(outputDir);
+    this.format = 'html';
+    this.extension = 'html';
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {*} value - Raw value
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render a vertical bar chart as inline SVG
+   * @param {Array<{label: string, value: number}>} items - Bars in display order
+   * @param {string} [unit=''] - Unit suffix shown in bar tooltips
+   * @returns {string} SVG markup
+   */
+  renderBarChart(items, unit = '') {
+    if (items.length === 0) return '<p>No data available</p>';
+
+    const height = 200;
+    const labelHeight = 90; // room for rotated axis labels
+    const margin = 90;
+    const barWidth = Math.max(12, Math.min(48, Math.floor(900 / items.length) - 4));
+    const width = margin + items.length * (barWidth + 4);
+    const maxValue = Math.max(1, ...items.map(item => item.value));
+
+    const bars = items.map((item, index) => {
+      const barHeight = Math.round((item.value / maxValue) * (height - 20));
+      const x = margin + index * (barWidth + 4);
+      const y = height - barHeight;
+      const labelX = x + barWidth / 2;
+      return `<g><title>${this.escapeHtml(item.label)}: ${item.value}${unit}</title>` +
+        `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${CHART_COLORS[0]}"></rect>` +
+        `<text x="${labelX}" y="${y - 4}" font-size="10" text-anchor="middle">${item.value || ''}</text>` +
+        `<text x="${labelX}" y="${height + 12}" font-size="10" text-anchor="end" transform="rotate(-45 ${labelX} ${height + 12})">${this.escapeHtml(item.label)}</text></g>`;
+    }).join('');
+
+    return `<svg role="img" width="${width}" height="${height + labelHeight}" viewBox="0 0 ${width} ${height + labelHeight}">` +
+      `<line x1="${margin}" y1="${height}" x2="${width}" y2="${height}" stroke="#d0d7de"></line>${bars}</svg>`;
+  }
+
+  /**
+   * Render a pie chart with legend as inline SVG
+   * @param {Array<{label: string, value: number}>} slices - Pie slices
+   * @returns {string} SVG and legend markup
+   */
+  renderPieChart(slices) {
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    if (total === 0) return '<p>No data available</p>';
+
+    const radius = 90;
+    let angle = -Math.PI / 2;
+    const paths = slices.map((slice, index) => {
+      const color = CHART_COLORS[index % CHART_COLORS.length];
+      const title = `<title>${this.escapeHtml(slice.label)}: ${slice.value}</title>`;
+      if (slice.value === total) {
+        return `<circle cx="0" cy="0" r="${radius}" fill="${color}">${title}</circle>`;
+      }
+      const sweep = (slice.value / total) * Math.PI * 2;
+      const start = [Math.cos(angle) * radius, Math.sin(angle) * radius];
+      angle += sweep;
+      const end = [Math.cos(angle) * radius, Math.sin(angle) * radius];
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      return `<path d="M 0 0 L ${start[0].toFixed(2)} ${start[1].toFixed(2)} A ${radius} ${radius} 0 ${largeArc} 1 ${end[0].toFixed(2)} ${end[1].toFixed(2)} Z" fill="${color}">${title}</path>`;
+    }).join('');
+
+    const legend = slices.map((slice, index) =>
+      `<li><span class="swatch" style="background:${CHART_COLORS[index % CHART_COLORS.length]}"></span>` +
+      `${this.escapeHtml(slice.label)}: ${slice.value} (${((slice.value / total) * 100).toFixed(1)}%)</li>`
+    ).join('');
+
+    return `<div class="pie"><svg role="img" width="200" height="200" viewBox="-100 -100 200 200">${paths}</svg><ul class="legend">${legend}</ul></div>`;
+  }
+
+  /**
+   * Render the hierarchical directory map produced by groupPaths as a collapsible tree
+   * @param {Map<string, {changes: number, percentage: string, subPaths: Map}>} groups - Directory hierarchy
+   * @returns {string} Nested list markup
+   */
+  renderDirectoryTree(groups) {
+    const items = Array.from(groups.entries())
+      .sort((a, b) => b[1].changes - a[1].changes)
+      .map(([directory, { changes, percentage, subPaths }]) => {
+        const name = directory.split('/').pop();
+        const label = `<code>${this.escapeHtml(name)}</code> <span class="changes">${changes.toLocaleString()} changes (${percentage}%)</span>`;
+        if (subPaths && subPaths.size > 0) {
+          return `<li><details open><summary>${label}</summary>${this.renderDirectoryTree(subPaths)}</details></li>`;
+        }
+        return `<li>${label}</li>`;
+      })
+      .join('');
+
+    return `<ul>${items}</ul>`;
+  }
+
+  /**
+   * Render the filter description for the report header
+   * @private
+   * @param {Object} [filters={}] - Report filters
+   * @returns {string} HTML paragraph
+   */
+  renderFilters(filters = {}) {
+    const parts = [`Generated on: ${this.escapeHtml(new Date().toLocaleString('en-US', { timeZoneName: 'short' }))}`];
+    if (filters.since) parts.push(`From: ${this.escapeHtml(filters.since)}`);
+    if (filters.until) parts.push(`To: ${this.escapeHtml(filters.until)}`);
+    if (filters.includeDirs && filters.includeDirs.length > 0) {
+      parts.push(`Including only: ${this.escapeHtml(filters.includeDirs.join(', '))}`);
+    }
+    if (filters.excludeDirs && filters.excludeDirs.length > 0) {
+      parts.push(`Excluding: ${this.escapeHtml(filters.excludeDirs.join(', '))}`);
+    }
+    if (filters.attribution && filters.attribution !== 'authored') {
+      parts.push(`Attribution: ${this.escapeHtml(filters.attribution)}`);
+    }
+    return `<p class="meta">${parts.join(' &middot; ')}</p>`;
+  }
+
+  /**
+   * Count commits per day, or per month when the commits span more than a month
+   * @param {Array<{date: string}>} commits - Commits to bucket
+   * @returns {Array<{label: string, value: number}>} Commit counts in chronological order
+   */
+  countCommitsByPeriod(commits) {
+    if (commits.length === 0) return [];
+
+    const times = commits.map(commit => new Date(commit.date).getTime());
+    const spanDays = (Math.max(...times) - Math.min(...times)) / (1000 * 60 * 60 * 24);
+    const keyLength = spanDays > 31 ? 7 : 10; // YYYY-MM or YYYY-MM-DD
+
+    const counts = new Map();
+    times
+      .sort((a, b) => a - b)
+      .forEach(time => {
+        const key = new Date(time).toISOString().slice(0, keyLength);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+
+    return Array.from(counts.entries()).map(([label, value]) => ({ label, value }));
+  }
+
+  /**
+   * Render the author metrics report body
+   * @param {Object} model - Author report model
+   * @returns {string} HTML sections
+   */
+  renderAuthorReport(model) {
+    const sections = [];
+    const { metrics } = model;
+
+    const commitCounts = this.countCommitsByPeriod(model.commits);
+    const periodLabel = commitCounts.some(item => item.label.length === 7) ? 'Month' : 'Day';
+    sections.push(`<section><h2>Commits per ${periodLabel}</h2>${this.renderBarChart(commitCounts)}</section>`);
+
+    if (model.members) {
+      const memberRows = model.members.map(member =>
+        `<tr><td>${this.escapeHtml(member.name)}</td><td>${member.commits.toLocaleString()}</td>` +
+        `<td>${member.linesChanged.toLocaleString()}</td><td>+${member.insertions.toLocaleString()} / -${member.deletions.toLocaleString()}</td></tr>`
+      ).join('');
+      sections.push('<section><h2>Team Members</h2>' +
+        `<table><tr><th>Member</th><th>Commits</th><th>Lines changed</th><th>Insertions / deletions</th></tr>${memberRows}</table>` +
+        this.renderBarChart(model.members.map(({ name, commits }) => ({ label: name, value: commits }))) +
+        '</section>');
+    }
+
+    if (metrics) {
+      sections.push(`<section><h2>Code Velocity</h2><div class="stats">` +
+        `<div class="stat"><strong>${model.commits.length.toLocaleString()}</strong>Commits</div>` +
+        `<div class="stat"><strong>${metrics.totalLinesChanged.toLocaleString()}</strong>Lines changed</div>` +
+        `<div class="stat"><strong>${metrics.averageCommitSize.toLocaleString()}</strong>Lines per commit</div>` +
+        `<div class="stat"><strong>${metrics.commitsPerDay}</strong>Commits per day</div>` +
+        (metrics.coAuthoredCommits > 0
+          ? `<div class="stat"><strong>${metrics.coAuthoredCommits.toLocaleString()}</strong>Co-authored</div>`
+          : '') +
+        `</div></section>`);
+
+      sections.push(`<section><h2>Time Distribution</h2>${this.renderBarChart([
+        { label: 'Morning (5:00-11:59)', value: metrics.timeDistribution.morning },
+        { label: 'Afternoon (12:00-16:59)', value: metrics.timeDistribution.afternoon },
+        { label: 'Evening (17:00-4:59)', value: metrics.timeDistribution.evening }
+      ], '%')}</section>`);
+
+      const { typeMetrics } = metrics;
+      sections.push(`<section><h2>Commit Types</h2><p>Primary contribution type: <strong>${this.escapeHtml(typeMetrics.typeNames[typeMetrics.primaryContributionType] || typeMetrics.primaryContributionType)}</strong>` +
+        ` · Breaking changes: <strong>${typeMetrics.breakingChanges}</strong></p>` +
+        this.renderPieChart(typeMetrics.typeBreakdown.map(({ type, count }) => ({ label: typeMetrics.typeNames[type] || type, value: count }))) +
+        (typeMetrics.scopeBreakdown.length > 0
+          ? `<h3>Scopes</h3>${this.renderBarChart(typeMetrics.scopeBreakdown.map(({ scope, count }) => ({ label: scope, value: count })))}`
+          : '') +
+        '</section>');
+
+      const topFiles = metrics.impactMetrics.topFiles.map(({ file, changes }) =>
+        `<tr><td><code>${this.escapeHtml(file)}</code></td><td>${changes.toLocaleString()}</td></tr>`
+      ).join('');
+      sections.push(`<section><h2>Most Modified Source Files</h2>${topFiles ? `<table><tr><th>File</th><th>Changes</th></tr>${topFiles}</table>` : '<p>No source code changes found</p>'}</section>`);
+
+      const groups = metrics.impactMetrics.groupedDirectories;
+      sections.push('<section><h2>Directory Impact</h2>' + (groups && groups.size > 0
+        ? '<button type="button" data-tree-toggle="expand">Expand all</button><button type="button" data-tree-toggle="collapse">Collapse all</button>' +
+          `<div class="tree">${this.renderDirectoryTree(groups)}</div>`
+        : '<p>No directory impact data available</p>') + '</section>');
+    }
+
+    if (model.tickets && model.tickets.length > 0) {
+      const ticketRows = model.tickets.map(ticket =>
+        `<tr><td>${ticket.url ? `<a href="${this.escapeHtml(ticket.url)}">${this.escapeHtml(ticket.key)}</a>` : this.escapeHtml(ticket.key)}</td>` +
+        `<td>${ticket.commits.toLocaleString()}</td><td>${ticket.linesChanged.toLocaleString()}</td>` +
+        `<td>${ticket.activeDays}</td><td>${this.escapeHtml(ticket.firstDate.slice(0, 10))} – ${this.escapeHtml(ticket.lastDate.slice(0, 10))}</td></tr>`
+      ).join('');
+      sections.push('<section><h2>Work by Ticket</h2>' +
+        `<table><tr><th>Ticket</th><th>Commits</th><th>Lines changed</th><th>Active days</th><th>Dates</th></tr>${ticketRows}</table></section>`);
+    }
+
+    const rows = model.commits.map(commit =>
+      `<tr><td>${this.escapeHtml(new Date(commit.date).toLocaleString('en-US'))}</td><td><code>${this.escapeHtml(commit.hash.slice(0, 7))}</code></td><td>${this.escapeHtml(commit.subject)}</td></tr>`
+    ).join('');
+    sections.push(`<section><h2>Commits</h2><table><tr><th>Date</th><th>Hash</th><th>Subject</th></tr>${rows}</table></section>`);
+
+    return sections.join('\n');
+  }
+
+  /**
+   * Render the trend report body
+   * @param {Object} model - Trend report model
+   * @returns {string} HTML sections
+   */
+  renderTrendReport(model) {
+    const sections = [];
+    const buckets = [...model.trends].reverse(); // oldest period first
+    const { totalCommits, totalInsertions, totalDeletions, mostActive, primaryType } = model.overview;
+
+    sections.push(`<section><h2>Overview</h2><div class="stats">` +
+      `<div class="stat"><strong>${totalCommits}</strong>Total commits</div>` +
+      `<div class="stat"><strong>+${totalInsertions} / -${totalDeletions}</strong>Lines changed</div>` +
+      (mostActive ? `<div class="stat"><strong>${this.escapeHtml(mostActive.date.slice(0, 10))}</strong>Most active (${mostActive.count} commits)</div>` : '') +
+      (primaryType ? `<div class="stat"><strong>${this.escapeHtml(primaryType.name)}</strong>Primary type (${primaryType.percentage}%)</div>` : '') +
+      `</div></section>`);
+
+    sections.push(`<section><h2>Commits per Period</h2>${this.renderBarChart(
+      buckets.map(trend => ({ label: trend.startDate.slice(0, 10), value: trend.metrics.commitCount }))
+    )}</section>`);
+
+    sections.push(`<section><h2>Lines Changed per Period</h2>${this.renderBarChart(
+      buckets.map(trend => ({ label: trend.startDate.slice(0, 10), value: trend.metrics.totalLinesChanged })),
+      ' lines'
+    )}</section>`);
+
+    const timeTotals = buckets.reduce((totals, trend) => {
+      totals.morning += trend.metrics.timeDistribution.morning;
+      totals.afternoon += trend.metrics.timeDistribution.afternoon;
+      totals.evening += trend.metrics.timeDistribution.evening;
+      return totals;
+    }, { morning: 0, afternoon: 0, evening: 0 });
+    sections.push(`<section><h2>Time Distribution</h2>${this.renderBarChart([
+      { label: 'Morning (5:00-11:59)', value: timeTotals.morning },
+      { label: 'Afternoon (12:00-16:59)', value: timeTotals.afternoon },
+      { label: 'Evening (17:00-4:59)', value: timeTotals.evening }
+    ], ' commits')}</section>`);
+
+    const typeTotals = new Map();
+    buckets.forEach(trend => {
+      Object.entries(trend.metrics.commitTypes).forEach(([type, count]) => {
+        const name = trend.metrics.typeNames[type] || type;
+        typeTotals.set(name, (typeTotals.get(name) || 0) + count);
+      });
+    });
+    sections.push(`<section><h2>Commit Types</h2>${this.renderPieChart(
+      Array.from(typeTotals.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, value]) => ({ label, value }))
+    )}</section>`);
+
+    return sections.join('\n');
+  }
+
+  /**
+   * Wrap report sections into a complete HTML document
+   * @param {string} title - Page title
+   * @param {Object} filters - Report filters
+   * @param {string} body - Rendered sections
+   * @returns {string} HTML document
+   */
+  renderPage(title, filters, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${this.escapeHtml(title)}</h1>
+${this.renderFilters(filters)}
+${body}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write an author or trend report model as a single HTML file
+   * @param {string} author - Author name used in the filename
+   * @param {string} type - Report type
+   * @param {Object} model - Report model produced by a command
+   * @returns {Promise<string[]>} Paths of the written files
+   * @throws {GitLogError} If the report type has no HTML rendering
+   */
+  async writeReport(author, type, model) {
+    let title;
+    let body;
+    if (Array.isArray(model.trends)) {
+      title = `${model.period.charAt(0).toUpperCase() + model.period.slice(1)} Contribution Trend for ${model.author}`;
+      body = this.renderTrendReport(model);
+    } else if (Array.isArray(model.commits) && 'metrics' in model) {
+      title = `Productivity Metrics for ${model.author}`;
+      body = this.renderAuthorReport(model);
+    } else {
+      throw new GitLogError(
+        `HTML output is not available for ${type} reports`,
+        'INVALID_FORMAT',
+        { format: this.format, type }
+      );
+    }
+
+    const filePath = this.generateFilename(author, type);
+    const stream = this.createStream(filePath);
+    stream.write(this.renderPage(title, model.filters, body));
+    await this.closeStream(stream);
+    this.logSuccess(type, filePath);
+
+    return [filePath];
+  }
+}
+
+module.exports = HtmlReportWriter;
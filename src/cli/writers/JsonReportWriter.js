@@ -0,0 +1,75 @@
+const ReportWriter = require('./ReportWriter');
+
+/**
+ * Version of the JSON report document layout. Bump when fields are renamed or removed.
+ * @constant {string}
+ */
+const REPORT_SCHEMA_VERSION = '1.0';
+
+/**
+ * @class JsonReportWriter
+ * @extends ReportWriter
+ * @description Writes report models as versioned JSON documents for machine consumption
+ */
+class JsonReportWriter extends ReportWriter {
+  /**
+   * @param {string} outputDir - Directory to write reports to
+   */
+  constructor(outputDir) {
+    super(outputDir);
+    this.format = 'json';
+    this.extension = 'json';
+  }
+
+  /**
+   * Wrap a report model into the versioned document envelope
+   * @param {string} type - Report type
+   * @param {Object} model - Report model produced by a command
+   * @returns {Object} JSON document
+   */
+  buildDocument(type, model) {
+    return {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      reportType: type,
+      generatedAt: new Date().toISOString(),
+      ...model
+    };
+  }
+
+  /**
+   * JSON.stringify replacer converting Maps and Sets into plain JSON structures
+   * @private
+   * @param {string} key - Property key
+   * @param {*} value - Property value
+   * @returns {*} Serializable value
+   */
+  serializeValue(key, value) {
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return Array.from(value);
+    return value;
+  }
+
+  /**
+   * Write a report model to a JSON file
+   * @param {string} author - Author name used in the filename
+   * @param {string} type - Report type
+   * @param {Object} model - Report model produced by a command
+   * @returns {Promise<string[]>} Paths of the written files
+   */
+  async writeReport(author, type, model) {
+    const filePath = this.generateFilename(author, type);
+    const stream = this.createStream(filePath);
+
+    stream.write(JSON.stringify(this.buildDocument(type, model), this.serializeValue, 2));
+    stream.write('\n');
+
+    await this.closeStream(stream);
+    this.logSuccess(type, filePath);
+
+    return [filePath];
+  }
+}
+
+JsonReportWriter.SCHEMA_VERSION = REPORT_SCHEMA_VERSION;
+
+module.exports = JsonReportWriter;
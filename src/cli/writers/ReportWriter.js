@@ -12,6 +12,8 @@ class ReportWriter {
    */
   constructor(outputDir = 'git-logs') {
     this.outputDir = path.join(process.cwd(), outputDir);
+    this.format = 'markdown';
+    this.extension = 'md';
   }
 
   /**
@@ -22,7 +24,7 @@ class ReportWriter {
    */
   generateFilename(author, type) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    return path.join(this.outputDir, `${this.sanitizeFilename(author)}_${type}_${timestamp}.md`);
+    return path.join(this.outputDir, `${this.sanitizeFilename(author)}_${type}_${timestamp}.${this.extension}`);
   }
 
   /**
@@ -43,8 +45,9 @@ class ReportWriter {
    * @param {string} [options.until] - End date
    * @param {string[]} [options.includeDirs] - Included directories
    * @param {string[]} [options.excludeDirs] - Excluded directories
+   * @param {string} [options.attribution] - Attribution mode (authored, co-authored or both)
    */
-  writeHeader(stream, title, { since = '', until = '', includeDirs = [], excludeDirs = [] } = {}) {
+  writeHeader(stream, title, { since = '', until = '', includeDirs = [], excludeDirs = [], attribution = 'authored' } = {}) {
     stream.write(`# ${title}\n\n`);
     stream.write(`Generated on: ${new Date().toLocaleString('en-US', { timeZoneName: 'short' })}\n\n`);
 
@@ -71,6 +74,13 @@ class ReportWriter {
       }
       stream.write('\n');
     }
+
+    if (attribution !== 'authored') {
+      stream.write('## Attribution\n');
+      stream.write(attribution === 'co-authored'
+        ? 'Only commits crediting the author via Co-authored-by\n\n'
+        : 'Authored commits and commits crediting the author via Co-authored-by\n\n');
+    }
   }
 
   /**
@@ -0,0 +1,190 @@
+const ReportWriter = require('./ReportWriter');
+const GitLogError = require('../../models/GitLogError');
+const { name, version, repository } = require('../../../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF result levels for the review risk levels
+ * @constant {Object<string, string>}
+ */
+const SARIF_LEVELS = {
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note'
+};
+
+/**
+ * @class SarifReportWriter
+ * @extends ReportWriter
+ * @description Writes review findings as SARIF 2.1.0 logs for code-scanning viewers
+ */
+class SarifReportWriter extends ReportWriter {
+  /**
+   * @param {string} outputDir - Directory to write reports to
+   */
+  constructor(outputDir) {
+    super(outputDir);
+    this.format = 'sarif';
+    this.extension = 'sarif';
+  }
+
+  /**
+   * Collect the reviewed files with the commit they belong to
+   * @private
+   * @param {Object} model - Review report model
+   * @returns {Array<Object>} File entries with a `hash` (null for accumulated reviews)
+   */
+  collectFiles(model) {
+    if (model.accumulated) {
+      return model.accumulated.files.map(entry => ({ ...entry, hash: null }));
+    }
+    return model.commits.flatMap(commit => commit.files.map(entry => ({ ...entry, hash: commit.hash })));
+  }
+
+  /**
+   * Build a SARIF location for a file and line
+   * @private
+   * @param {string} file - File name from the review (`old → new` for renames)
+   * @param {number|null} line - Line number in the new file
+   * @returns {Object} SARIF location
+   */
+  buildLocation(file, line) {
+    const physicalLocation = {
+      artifactLocation: { uri: file.split(' → ').pop(), uriBaseId: '%SRCROOT%' }
+    };
+    if (line) {
+      physicalLocation.region = { startLine: line };
+    }
+    return { physicalLocation };
+  }
+
+  /**
+   * Convert a review model into a SARIF log with one result per risk finding and potential secret,
+   * plus file-level results (without a region) for file path rules and new or changed install scripts
+   * @param {Object} model - Review report model from ReviewReportGenerator
+   * @returns {Object} SARIF log
+   */
+  buildLog(model) {
+    const rules = new Map();
+    const results = [];
+
+    const addResult = (rule, level, text, file, line, properties) => {
+      if (!rules.has(rule.id)) {
+        rules.set(rule.id, {
+          id: rule.id,
+          shortDescription: { text: rule.message },
+          defaultConfiguration: { level },
+          properties: { category: rule.category }
+        });
+      }
+      results.push({
+        ruleId: rule.id,
+        ruleIndex: Array.from(rules.keys()).indexOf(rule.id),
+        level,
+        message: { text },
+        locations: [this.buildLocation(file, line)],
+        properties
+      });
+    };
+
+    this.collectFiles(model).forEach(({ file, hash, fileRiskLevel, fileRule, riskFindings = [], secrets = [], dependencies }) => {
+      const inCommit = hash ? ` in commit ${hash.slice(0, 7)}` : '';
+
+      if (fileRule) {
+        addResult(
+          { id: `file/${fileRule.id}`, message: fileRule.message, category: 'filePath' },
+          SARIF_LEVELS[fileRiskLevel],
+          `File path rated ${fileRiskLevel}: ${fileRule.message}${inCommit}`,
+          file,
+          null,
+          { severity: fileRiskLevel, commit: hash }
+        );
+      }
+
+      (dependencies ? dependencies.installScripts : []).forEach(({ name: script, command, previous }) => {
+        addResult(
+          { id: 'dependency/install-script', message: 'Install script runs on every install', category: 'dependencies' },
+          SARIF_LEVELS.HIGH,
+          `${previous === null ? 'New' : 'Changed'} install script "${script}": ${command}${inCommit}`,
+          file,
+          null,
+          { script, commit: hash }
+        );
+      });
+
+      secrets.forEach(secret => {
+        addResult(
+          { id: `secret/${secret.rule}`, message: secret.description, category: 'secrets' },
+          SARIF_LEVELS.HIGH,
+          `Potential secret: ${secret.description} (${secret.value})${inCommit}`,
+          file,
+          secret.line,
+          { commit: hash }
+        );
+      });
+
+      riskFindings.forEach(finding => {
+        const removed = finding.change === 'removed' ? ' on a removed line' : '';
+        addResult(
+          { id: finding.rule, message: finding.message, category: finding.category },
+          SARIF_LEVELS[finding.severity],
+          `${finding.message}: matched "${finding.match}"${removed}${inCommit}`,
+          file,
+          finding.line,
+          { category: finding.category, severity: finding.severity, change: finding.change, commit: hash }
+        );
+      });
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [{
+        tool: {
+          driver: {
+            name,
+            version,
+            informationUri: repository.url.replace(/^git\+/, '').replace(/\.git$/, ''),
+            rules: Array.from(rules.values())
+          }
+        },
+        results
+      }]
+    };
+  }
+
+  /**
+   * Write a review report model to a SARIF file
+   * @param {string} author - Author name used in the filename
+   * @param {string} type - Report type
+   * @param {Object} model - Review report model
+   * @returns {Promise<string[]>} Paths of the written files
+   * @throws {GitLogError} If the report is not a review
+   */
+  async writeReport(author, type, model) {
+    if (type !== 'review') {
+      throw new GitLogError(
+        `SARIF output is not available for ${type} reports`,
+        'INVALID_FORMAT',
+        { format: this.format, type }
+      );
+    }
+
+    const filePath = this.generateFilename(author, type);
+    const stream = this.createStream(filePath);
+
+    stream.write(JSON.stringify(this.buildLog(model), null, 2));
+    stream.write('\n');
+
+    await this.closeStream(stream);
+    this.logSuccess(type, filePath);
+
+    return [filePath];
+  }
+}
+
+SarifReportWriter.SARIF_VERSION = SARIF_VERSION;
+
+module.exports = SarifReportWriter;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CsvReportWriter = require('../CsvReportWriter');
+
+describe('CsvReportWriter', () => {
+  let outputDir;
+  let writer;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlog-csv-'));
+    writer = new CsvReportWriter(path.relative(process.cwd(), outputDir));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe('escapeValue', () => {
+    it('should leave plain values unquoted', () => {
+      expect(writer.escapeValue('feat: add login')).toBe('feat: add login');
+      expect(writer.escapeValue(42)).toBe('42');
+      expect(writer.escapeValue(null)).toBe('');
+    });
+
+    it('should quote values containing commas, quotes and newlines', () => {
+      expect(writer.escapeValue('fix: a, b')).toBe('"fix: a, b"');
+      expect(writer.escapeValue('say "hi"')).toBe('"say ""hi"""');
+      expect(writer.escapeValue('line1\nline2')).toBe('"line1\nline2"');
+    });
+  });
+
+  describe('writeReport', () => {
+    it('should write commit and per-file change files', async () => {
+      const model = {
+        commits: [{
+          hash: 'abc123',
+          date: '2024-02-05T10:00:00Z',
+          subject: 'fix: handle "quotes", commas',
+          body: 'first\nsecond',
+          stats: { insertions: 7, deletions: 3 },
+          issues: [{ key: 'PROJ-1', url: null }, { key: '#12', url: null }],
+          files: [
+            { file: 'src/a.js', oldFile: null, insertions: 5, deletions: 1, changes: 6, binary: false },
+            { file: 'src/b,c.js', oldFile: 'src/b.js', insertions: 2, deletions: 2, changes: 4, binary: false },
+            { file: 'logo.png', oldFile: null, insertions: 0, deletions: 0, changes: 0, binary: true }
+          ]
+        }]
+      };
+
+      const [commitsFile, filesFile] = await writer.writeReport('John Doe', 'author', model);
+
+      expect(fs.readFileSync(commitsFile, 'utf8')).toBe(
+        'hash,date,subject,body,files_changed,insertions,deletions,co_authored,tickets\r\n' +
+        'abc123,2024-02-05T10:00:00Z,"fix: handle ""quotes"", commas","first\nsecond",3,7,3,false,PROJ-1 #12\r\n'
+      );
+      expect(fs.readFileSync(filesFile, 'utf8')).toBe(
+        'hash,date,file,old_file,insertions,deletions,changes,binary\r\n' +
+        'abc123,2024-02-05T10:00:00Z,src/a.js,,5,1,6,false\r\n' +
+        'abc123,2024-02-05T10:00:00Z,"src/b,c.js",src/b.js,2,2,4,false\r\n' +
+        'abc123,2024-02-05T10:00:00Z,logo.png,,0,0,0,true\r\n'
+      );
+    });
+
+    it('should reject reports without commits', async () => {
+      await expect(writer.writeReport('John Doe', 'daily_trend', { trends: [] }))
+        .rejects.toThrow('CSV output is not available for daily_trend reports');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HtmlReportWriter = require('../HtmlReportWriter');
+
+describe('HtmlReportWriter', () => {
+  let outputDir;
+  let writer;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlog-html-'));
+    writer = new HtmlReportWriter(path.relative(process.cwd(), outputDir));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('should escape HTML special characters', () => {
+    expect(writer.escapeHtml('<script>"a" & \'b\'</script>'))
+      .toBe('&lt;script&gt;&quot;a&quot; &amp; &#39;b&#39;&lt;/script&gt;');
+  });
+
+  it('should render nested directories as collapsible nodes', () => {
+    const groups = new Map([
+      ['src', { changes: 30, percentage: '100.0', subPaths: new Map([
+        ['src/utils', { changes: 30, percentage: '100.0', subPaths: new Map() }]
+      ]) }]
+    ]);
+
+    const html = writer.renderDirectoryTree(groups);
+
+    expect(html).toContain('<details open><summary><code>src</code>');
+    expect(html).toContain('<li><code>utils</code>');
+  });
+
+  it('should bucket commits by month when they span more than a month', () => {
+    const counts = writer.countCommitsByPeriod([
+      { date: '2024-01-05T10:00:00Z' },
+      { date: '2024-01-20T10:00:00Z' },
+      { date: '2024-03-02T10:00:00Z' }
+    ]);
+
+    expect(counts).toEqual([
+      { label: '2024-01', value: 2 },
+      { label: '2024-03', value: 1 }
+    ]);
+  });
+
+  it('should render the per-ticket rollup with links', () => {
+    const html = writer.renderAuthorReport({
+      commits: [],
+      metrics: null,
+      members: null,
+      tickets: [
+        { key: 'PROJ-1', url: 'https://jira.example.com/browse/PROJ-1?a=1&b=2', commits: 2, linesChanged: 40, activeDays: 1,
+          firstDate: '2024-02-05T09:00:00Z', lastDate: '2024-02-05T12:00:00Z' },
+        { key: '#4', url: null, commits: 1, linesChanged: 3, activeDays: 1,
+          firstDate: '2024-02-06T09:00:00Z', lastDate: '2024-02-06T09:00:00Z' }
+      ]
+    });
+
+    expect(html).toContain('<h2>Work by Ticket</h2>');
+    expect(html).toContain('<a href="https://jira.example.com/browse/PROJ-1?a=1&amp;b=2">PROJ-1</a>');
+    expect(html).toContain('<td>#4</td>');
+  });
+
+  it('should write a self-contained trend page', async () => {
+    const model = {
+      author: 'John <Doe>',
+      period: 'daily',
+      filters: {},
+      overview: { totalCommits: 2, totalInsertions: 10, totalDeletions: 4, mostActive: null, primaryType: null },
+      trends: [{
+        startDate: '2024-02-06T00:00:00.000Z',
+        metrics: {
+          commitCount: 2,
+          totalLinesChanged: 14,
+          timeDistribution: { morning: 1, afternoon: 1, evening: 0 },
+          commitTypes: { FEATURE: 1, BUG_FIX: 1 },
+          typeNames: { FEATURE: 'New feature', BUG_FIX: 'BUG_FIX' }
+        }
+      }]
+    };
+
+    const [filePath] = await writer.writeReport('John Doe', 'daily_trend', model);
+    const html = fs.readFileSync(filePath, 'utf8');
+
+    expect(filePath.endsWith('.html')).toBe(true);
+    expect(html).toContain('Daily Contribution Trend for John &lt;Doe&gt;');
+    expect(html).toContain('<svg');
+    expect(html).toContain('New feature');
+    expect(html).toContain('+10 / -4');
+    expect(html).not.toMatch(/<(script|link)[^>]+(src|href)=/);
+  });
+
+  it('should reject review reports', async () => {
+    await expect(writer.writeReport('John Doe', 'review', { summary: {} }))
+      .rejects.toThrow('HTML output is not available for review reports');
+  });
+});
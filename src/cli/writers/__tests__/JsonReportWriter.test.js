@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonReportWriter = require('../JsonReportWriter');
+const { createReportWriter } = require('..');
+
+describe('JsonReportWriter', () => {
+  let outputDir;
+  let writer;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlog-json-'));
+    writer = new JsonReportWriter(path.relative(process.cwd(), outputDir));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('should wrap the model in a versioned envelope', () => {
+    const document = writer.buildDocument('author', { author: 'John Doe', commits: [] });
+
+    expect(document.schemaVersion).toBe(JsonReportWriter.SCHEMA_VERSION);
+    expect(document.reportType).toBe('author');
+    expect(document.author).toBe('John Doe');
+    expect(new Date(document.generatedAt).toString()).not.toBe('Invalid Date');
+  });
+
+  it('should write Maps and Sets as plain JSON', async () => {
+    const model = {
+      groupedDirectories: new Map([
+        ['src', { changes: 3, subPaths: new Map([['src/utils', { changes: 3, subPaths: new Map() }]]) }]
+      ]),
+      types: new Set(['FEATURE'])
+    };
+
+    const [filePath] = await writer.writeReport('John Doe', 'author', model);
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    expect(filePath.endsWith('.json')).toBe(true);
+    expect(document.groupedDirectories.src.subPaths['src/utils'].changes).toBe(3);
+    expect(document.types).toEqual(['FEATURE']);
+  });
+
+  it('should reject unknown formats in the writer registry', () => {
+    expect(createReportWriter('json')).toBeInstanceOf(JsonReportWriter);
+    expect(() => createReportWriter('pdf')).toThrow('Invalid output format: pdf');
+  });
+});
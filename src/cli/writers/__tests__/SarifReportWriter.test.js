@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SarifReportWriter = require('../SarifReportWriter');
+
+/**
+ * Builds a review model with one commit
+ * @param {Object[]} files - Reviewed files of the commit
+ * @returns {Object} Review report model
+ */
+function buildReview(files) {
+  return {
+    author: 'John Doe',
+    accumulated: null,
+    commits: [{ hash: 'abcdef1234567890', subject: 'feat: login', files }]
+  };
+}
+
+describe('SarifReportWriter', () => {
+  let outputDir;
+  let writer;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlog-sarif-'));
+    writer = new SarifReportWriter(path.relative(process.cwd(), outputDir));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('should map risk findings and secrets to results with rules and line regions', () => {
+    const log = writer.buildLog(buildReview([{
+      file: 'src/auth/login.js → src/lib/login.js',
+      riskFindings: [
+        { severity: 'HIGH', category: 'security', rule: 'security-auth', message: 'Authentication & authorization', match: 'token', change: 'added', line: 12 },
+        { severity: 'MEDIUM', category: 'codeQuality', rule: 'quality-error-handling', message: 'Error handling', match: 'catch', change: 'removed', line: null }
+      ],
+      secrets: [{ rule: 'jwt', description: 'JSON Web Token', line: 3, value: 'eyJh[REDACTED]' }]
+    }]));
+
+    expect(log.version).toBe(SarifReportWriter.SARIF_VERSION);
+    const [run] = log.runs;
+    expect(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level])).toEqual([
+      ['secret/jwt', 'error'],
+      ['security-auth', 'error'],
+      ['quality-error-handling', 'warning']
+    ]);
+    expect(run.results.map(result => [result.ruleId, result.ruleIndex, result.level])).toEqual([
+      ['secret/jwt', 0, 'error'],
+      ['security-auth', 1, 'error'],
+      ['quality-error-handling', 2, 'warning']
+    ]);
+    expect(run.results[1].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/lib/login.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 12 }
+    });
+    expect(run.results[1].message.text).toBe('Authentication & authorization: matched "token" in commit abcdef1');
+    expect(run.results[2].locations[0].physicalLocation.region).toBeUndefined();
+    expect(run.results[0].message.text).toContain('eyJh[REDACTED]');
+  });
+
+  it('should add file-level results for file path rules and install scripts', () => {
+    const log = writer.buildLog(buildReview([
+      { file: 'services/payments/charge.js', fileRiskLevel: 'HIGH', fileRule: { id: 'payments', message: 'Payments code' }, riskFindings: [], secrets: [], dependencies: null },
+      {
+        file: 'package.json',
+        fileRiskLevel: 'LOW',
+        fileRule: null,
+        riskFindings: [],
+        secrets: [],
+        dependencies: { installScripts: [{ name: 'postinstall', command: 'node setup.js', previous: null }] }
+      }
+    ]));
+
+    const [run] = log.runs;
+    expect(run.results.map(result => [result.ruleId, result.level])).toEqual([
+      ['file/payments', 'error'],
+      ['dependency/install-script', 'error']
+    ]);
+    expect(run.results[0].message.text).toBe('File path rated HIGH: Payments code in commit abcdef1');
+    expect(run.results[1].message.text).toBe('New install script "postinstall": node setup.js in commit abcdef1');
+    expect(run.results.map(result => result.locations[0].physicalLocation)).toEqual([
+      { artifactLocation: { uri: 'services/payments/charge.js', uriBaseId: '%SRCROOT%' } },
+      { artifactLocation: { uri: 'package.json', uriBaseId: '%SRCROOT%' } }
+    ]);
+  });
+
+  it('should write review reports and reject other report types', async () => {
+    const [filePath] = await writer.writeReport('John Doe', 'review', buildReview([]));
+
+    expect(filePath.endsWith('.sarif')).toBe(true);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).runs[0].results).toEqual([]);
+    await expect(writer.writeReport('John Doe', 'author', { commits: [] })).rejects.toThrow('SARIF output is not available for author reports');
+  });
+});
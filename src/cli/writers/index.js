@@ -0,0 +1,43 @@
+/**
+ * @module writers
+ * @description Registry of report writers keyed by output format
+ */
+
+const ReportWriter = require('./ReportWriter');
+const JsonReportWriter = require('./JsonReportWriter');
+const CsvReportWriter = require('./CsvReportWriter');
+const HtmlReportWriter = require('./HtmlReportWriter');
+const SarifReportWriter = require('./SarifReportWriter');
+const GitLogError = require('../../models/GitLogError');
+
+const REPORT_WRITERS = {
+  markdown: ReportWriter,
+  json: JsonReportWriter,
+  csv: CsvReportWriter,
+  html: HtmlReportWriter,
+  sarif: SarifReportWriter
+};
+
+/**
+ * Create a report writer for the given output format
+ * @param {string} [format='markdown'] - Output format
+ * @param {string} [outputDir] - Directory to write reports to
+ * @returns {ReportWriter} Writer instance for the format
+ * @throws {GitLogError} If the format is not supported
+ */
+function createReportWriter(format = 'markdown', outputDir) {
+  const Writer = REPORT_WRITERS[format];
+  if (!Writer) {
+    throw new GitLogError(
+      `Invalid output format: ${format}. Must be one of: ${Object.keys(REPORT_WRITERS).join(', ')}`,
+      'INVALID_FORMAT',
+      { format }
+    );
+  }
+  return new Writer(outputDir);
+}
+
+module.exports = {
+  REPORT_WRITERS,
+  createReportWriter
+};
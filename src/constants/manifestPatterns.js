@@ -0,0 +1,18 @@
+// Dependency manifests analyzed in reviews, matched against the file path
+const MANIFEST_FILES = [
+  { ecosystem: 'npm', pattern: /(^|\/)package\.json$/ },
+  { ecosystem: 'pip', pattern: /(^|\/)requirements([-_.][\w.-]*)?\.txt$/i },
+  { ecosystem: 'go', pattern: /(^|\/)go\.mod$/ }
+];
+
+// package.json sections holding dependencies, reported as the dependency scope
+const NPM_DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// package.json scripts npm runs when the package is installed
+const NPM_INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+
+module.exports = {
+  MANIFEST_FILES,
+  NPM_DEPENDENCY_SECTIONS,
+  NPM_INSTALL_SCRIPTS
+};
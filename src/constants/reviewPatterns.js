@@ -1,97 +1,64 @@
-// Review risk patterns for code analysis
+// Review risk rules for code analysis. Every rule has an id so the project config can override or disable it.
 const RISK_PATTERNS = {
   HIGH: {
     security: [
-      // Authentication & Authorization
-      /auth|login|logout|permission|role|credential|session|token|jwt|oauth|password|secret|key/i,
-      // Data Protection
-      /encrypt|decrypt|hash|salt|cipher|ssl|tls|https?/i,
-      // Database Operations
-      /delete.*from|drop.*table|truncate|update.*set|insert.*into/i,
-      /(select|update|delete).*where/i,
-      // API Security
-      /api.*key|bearer|basic.*auth|cors|csrf|xss|sanitize/i,
-      // File Operations
-      /upload|download|file.*stream|readFile|writeFile|unlink|rmdir/i,
-      // Environment & Configuration
-      /env|config|setting|process\.env|dotenv/i,
-      // Payment & Sensitive Operations
-      /payment|credit.*card|stripe|paypal|billing|invoice/i
+      { id: 'security-auth', message: 'Authentication & authorization', pattern: /auth|login|logout|permission|role|credential|session|token|jwt|oauth|password|secret|key/i },
+      { id: 'security-data-protection', message: 'Data protection', pattern: /encrypt|decrypt|hash|salt|cipher|ssl|tls|https?/i },
+      { id: 'security-database-write', message: 'Database write operation', pattern: /delete.*from|drop.*table|truncate|update.*set|insert.*into/i },
+      { id: 'security-database-filter', message: 'Database query with conditions', pattern: /(select|update|delete).*where/i },
+      { id: 'security-api', message: 'API security', pattern: /api.*key|bearer|basic.*auth|cors|csrf|xss|sanitize/i },
+      { id: 'security-file-operations', message: 'File operations', pattern: /upload|download|file.*stream|readFile|writeFile|unlink|rmdir/i },
+      { id: 'security-environment', message: 'Environment & configuration', pattern: /env|config|setting|process\.env|dotenv/i },
+      { id: 'security-payment', message: 'Payment & sensitive operations', pattern: /payment|credit.*card|stripe|paypal|billing|invoice/i }
     ],
     dataFlow: [
-      // State Management
-      /store|reducer|action|dispatch|commit|state\./i,
-      // Data Transformations
-      /parse|stringify|transform|convert|migrate/i,
-      // Cache Operations
-      /cache|redis|memcached|invalidate/i,
-      // Database Transactions
-      /transaction|commit|rollback|lock|deadlock/i,
-      // Async Operations
-      /async|await|promise|callback|observable|subscribe/i
+      { id: 'dataflow-state', message: 'State management', pattern: /store|reducer|action|dispatch|commit|state\./i },
+      { id: 'dataflow-transform', message: 'Data transformation', pattern: /parse|stringify|transform|convert|migrate/i },
+      { id: 'dataflow-cache', message: 'Cache operation', pattern: /cache|redis|memcached|invalidate/i },
+      { id: 'dataflow-transaction', message: 'Database transaction', pattern: /transaction|commit|rollback|lock|deadlock/i },
+      { id: 'dataflow-async', message: 'Async operation', pattern: /async|await|promise|callback|observable|subscribe/i }
     ],
     infrastructure: [
-      // Server Configuration
-      /server|cluster|docker|kubernetes|deployment|nginx|apache/i,
-      // Database Configuration
-      /database|connection|pool|replica|shard/i,
-      // Network Operations
-      /http|socket|tcp|udp|port|dns|proxy/i
+      { id: 'infrastructure-server', message: 'Server configuration', pattern: /server|cluster|docker|kubernetes|deployment|nginx|apache/i },
+      { id: 'infrastructure-database', message: 'Database configuration', pattern: /database|connection|pool|replica|shard/i },
+      { id: 'infrastructure-network', message: 'Network operation', pattern: /http|socket|tcp|udp|port|dns|proxy/i }
     ]
   },
   MEDIUM: {
     codeQuality: [
-      // Code Complexity
-      /function.*\([^)]{50,}\)/,  // Functions with many parameters
-      /\b(while|for)\b.*\b(while|for)\b/,  // Nested loops
-      /(if|switch).*\b(if|switch)\b/,  // Nested conditionals
-      /\b(TODO|FIXME|HACK|XXX|BUG|OPTIMIZE)\b/i,  // Code markers
-      // Error Handling
-      /try|catch|throw|error|exception|finally/i,
-      // Memory Management
-      /memory|leak|garbage|collect|dispose|cleanup/i
+      { id: 'quality-long-parameters', message: 'Function with many parameters', pattern: /function.*\([^)]{50,}\)/ },
+      { id: 'quality-nested-loops', message: 'Nested loops', pattern: /\b(while|for)\b.*\b(while|for)\b/ },
+      { id: 'quality-nested-conditionals', message: 'Nested conditionals', pattern: /(if|switch).*\b(if|switch)\b/ },
+      { id: 'quality-code-markers', message: 'Code marker', pattern: /\b(TODO|FIXME|HACK|XXX|BUG|OPTIMIZE)\b/i },
+      { id: 'quality-error-handling', message: 'Error handling', pattern: /try|catch|throw|error|exception|finally/i },
+      { id: 'quality-memory', message: 'Memory management', pattern: /memory|leak|garbage|collect|dispose|cleanup/i }
     ],
     userExperience: [
-      // Frontend Routes
-      /route|navigation|redirect|history|link/i,
-      // UI State
-      /loading|error|success|disabled|enabled|active|inactive/i,
-      // Form Handling
-      /form|validation|input|submit|reset|onChange|onSubmit/i,
-      // User Interactions
-      /click|submit|change|focus|blur|keyup|keydown|mouseup|mousedown/i
+      { id: 'ux-routes', message: 'Frontend route', pattern: /route|navigation|redirect|history|link/i },
+      { id: 'ux-ui-state', message: 'UI state', pattern: /loading|error|success|disabled|enabled|active|inactive/i },
+      { id: 'ux-forms', message: 'Form handling', pattern: /form|validation|input|submit|reset|onChange|onSubmit/i },
+      { id: 'ux-interactions', message: 'User interaction', pattern: /click|submit|change|focus|blur|keyup|keydown|mouseup|mousedown/i }
     ],
     dataManagement: [
-      // Data Validation
-      /validate|sanitize|escape|trim|parse/i,
-      // Data Formatting
-      /format|normalize|serialize|deserialize/i,
-      // State Updates
-      /setState|useState|useReducer|mutations/i,
-      // API Integration
-      /api|fetch|axios|http|request|response/i
+      { id: 'data-validation', message: 'Data validation', pattern: /validate|sanitize|escape|trim|parse/i },
+      { id: 'data-formatting', message: 'Data formatting', pattern: /format|normalize|serialize|deserialize/i },
+      { id: 'data-state-updates', message: 'State update', pattern: /setState|useState|useReducer|mutations/i },
+      { id: 'data-api', message: 'API integration', pattern: /api|fetch|axios|http|request|response/i }
     ]
   },
   LOW: {
     documentation: [
-      // Comments & Documentation
-      /\/\*\*|\*\/|\/\/|@param|@return|@throws/i,
-      // Type Definitions
-      /interface|type|enum|@types/i
+      { id: 'docs-comments', message: 'Comments & documentation', pattern: /\/\*\*|\*\/|\/\/|@param|@return|@throws/i },
+      { id: 'docs-types', message: 'Type definition', pattern: /interface|type|enum|@types/i }
     ],
     styling: [
-      // CSS & Styling
-      /style|css|scss|less|tailwind|theme/i,
-      // Layout
-      /flex|grid|position|margin|padding|width|height/i
+      { id: 'style-css', message: 'CSS & styling', pattern: /style|css|scss|less|tailwind|theme/i },
+      { id: 'style-layout', message: 'Layout', pattern: /flex|grid|position|margin|padding|width|height/i }
     ],
     utilities: [
-      // Helper Functions
-      /util|helper|formatter|parser|converter/i,
-      // Constants
-      /const|enum|constant/i,
-      // Testing
-      /test|spec|describe|it|expect|assert|mock/i
+      { id: 'utility-helpers', message: 'Helper function', pattern: /util|helper|formatter|parser|converter/i },
+      { id: 'utility-constants', message: 'Constant', pattern: /const|enum|constant/i },
+      { id: 'utility-testing', message: 'Testing', pattern: /test|spec|describe|it|expect|assert|mock/i }
     ]
   }
 };
@@ -99,19 +66,19 @@ const RISK_PATTERNS = {
 // File patterns for risk assessment
 const FILE_PATTERNS = {
   HIGH: [
-    /\.(env|key|pem|crt|csr|p12|pfx)$/i,  // Security files
-    /(auth|security|permission|role|login|payment).*\.(js|ts|py|rb|php|java|go)$/i,  // Security-related code
-    /middleware.*\.(js|ts|py|rb|php|java|go)$/i,  // Middleware
-    /migration.*\.(js|ts|py|rb|php|java|go)$/i    // Database migrations
+    { id: 'file-security', message: 'Security file', pattern: /\.(env|key|pem|crt|csr|p12|pfx)$/i },
+    { id: 'file-security-code', message: 'Security-related code', pattern: /(auth|security|permission|role|login|payment).*\.(js|ts|py|rb|php|java|go)$/i },
+    { id: 'file-middleware', message: 'Middleware', pattern: /middleware.*\.(js|ts|py|rb|php|java|go)$/i },
+    { id: 'file-migration', message: 'Database migration', pattern: /migration.*\.(js|ts|py|rb|php|java|go)$/i }
   ],
   MEDIUM: [
-    /\.(config|settings)\.(js|ts|json|yml|yaml)$/i,  // Configuration files
-    /(api|service|controller|router).*\.(js|ts|py|rb|php|java|go)$/i,  // API/Service files
-    /(store|reducer|context).*\.(js|ts|jsx|tsx)$/i,  // State management
-    /\.sql$/i  // SQL files
+    { id: 'file-config', message: 'Configuration file', pattern: /\.(config|settings)\.(js|ts|json|yml|yaml)$/i },
+    { id: 'file-api', message: 'API/service file', pattern: /(api|service|controller|router).*\.(js|ts|py|rb|php|java|go)$/i },
+    { id: 'file-state', message: 'State management', pattern: /(store|reducer|context).*\.(js|ts|jsx|tsx)$/i },
+    { id: 'file-sql', message: 'SQL file', pattern: /\.sql$/i }
   ],
   LOW: [
-    /\.(md|mdx|markdown)$/i  // Markdown documentation
+    { id: 'file-markdown', message: 'Markdown documentation', pattern: /\.(md|mdx|markdown)$/i }
   ]
 };
 
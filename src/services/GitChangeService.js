@@ -1,4 +1,10 @@
-const { getCommitDiff } = require('./gitOperations');
+const { getCommitDiff, getBranchDiff } = require('./gitOperations');
+const { getCommitDetails } = require('./authorService');
+const { getCache } = require('./cacheService');
+const { parseNumstat } = require('../utils/numstat');
+const { continuationHeader } = require('../utils/hunks');
+
+const CHANGE_TYPES = ['added', 'modified', 'deleted', 'renamed'];
 
 /**
  * Service for handling Git commit changes and diffs
@@ -6,16 +12,14 @@ const { getCommitDiff } = require('./gitOperations');
 class GitChangeService {
   /**
    * Creates a new GitChangeService instance with an empty diff cache
+   * @param {Object} [options={}] - Service options
+   * @param {number|null} [options.context=null] - Lines of context around each change (git's default when null)
    */
-  constructor() {
+  constructor({ context = null } = {}) {
+    this.context = context;
     this.diffCache = new Map();
   }
 
-  /**
-   * Retrieves the diff for a specific commit hash, using cache if available
-   * @param {string} hash - The commit hash
-   * @returns {Promise<string>} The commit diff
-   */
   /**
    * Retrieves the diff for a specific commit hash, using cache if available
    * @param {string} hash - The commit hash
@@ -26,19 +30,20 @@ class GitChangeService {
   async getCommitDiff(hash, { stream = false } = {}) {
     if (stream) {
       // Don't use cache for streaming
-      return getCommitDiff(hash, null, { stream: true });
+      return getCommitDiff(hash, null, { stream: true, context: this.context });
     }
 
     if (this.diffCache.has(hash)) {
       return this.diffCache.get(hash);
     }
-    const diff = await getCommitDiff(hash);
+    const diff = await getCommitDiff(hash, null, { context: this.context });
     this.diffCache.set(hash, diff);
     return diff;
   }
 
   /**
-   * Categorizes file changes in a commit into added, modified, deleted, and renamed
+   * Categorizes file changes in a commit into added, modified, deleted, and renamed,
+   * reusing the categorization stored in the disk cache when available
    * @param {Object} commit - The commit object
    * @param {string} commit.hash - The commit hash
    * @param {Object} [options={}] - Options for categorizing changes
@@ -46,6 +51,119 @@ class GitChangeService {
    * @returns {Promise<Object>} Object containing categorized file changes
    */
   async categorizeFileChanges(commit, { stream = false } = {}) {
+    const cache = await getCache();
+    // The hunks depend on the context size, so each size is cached separately
+    const key = this.context === null ? commit.hash : `${commit.hash}-U${this.context}`;
+    const cached = cache && cache.get('changes', key);
+    if (cached) {
+      return this.deserializeChanges(cached);
+    }
+
+    const changes = await this.parseCommitChanges(commit, { stream });
+    if (cache) {
+      cache.set('changes', key, this.serializeChanges(changes));
+    }
+    return changes;
+  }
+
+  /**
+   * Converts categorized changes into a JSON-serializable object
+   * @param {Object} changes - Categorized changes with a Map per change type
+   * @returns {Object} Change type to array of [file, hunks] entries
+   */
+  serializeChanges(changes) {
+    return Object.fromEntries(
+      CHANGE_TYPES.map(type => [type, Array.from(changes[type].entries())])
+    );
+  }
+
+  /**
+   * Restores categorized changes produced by serializeChanges
+   * @param {Object} data - Serialized changes
+   * @returns {Object} Categorized changes with a Map per change type
+   */
+  deserializeChanges(data) {
+    return Object.fromEntries(
+      CHANGE_TYPES.map(type => [type, new Map(data[type] || [])])
+    );
+  }
+
+  /**
+   * Parses a commit's diff into added, modified, deleted, and renamed files
+   * @private
+   * @param {Object} commit - The commit object
+   * @param {string} commit.hash - The commit hash
+   * @param {Object} [options={}] - Options for categorizing changes
+   * @param {boolean} [options.stream=false] - Whether to use streaming for processing diffs
+   * @returns {Promise<Object>} Object containing categorized file changes
+   */
+  async parseCommitChanges(commit, { stream = false } = {}) {
+    return this.parseDiffChanges(options => this.getCommitDiff(commit.hash, options), { stream });
+  }
+
+  /**
+   * Categorizes the accumulated changes between two refs, e.g. a base commit and a review branch
+   * @param {string} base - Base branch/commit
+   * @param {string} compare - Branch/commit to compare against base
+   * @param {Object} [options={}] - Options for categorizing changes
+   * @param {boolean} [options.stream=false] - Whether to use streaming for processing the diff
+   * @returns {Promise<Object>} Object containing categorized file changes
+   */
+  async categorizeBranchChanges(base, compare, { stream = false } = {}) {
+    return this.parseDiffChanges(options => getBranchDiff(base, compare, { ...options, context: this.context }), { stream });
+  }
+
+  /**
+   * Categorizes the net changes between two commits, limited to the given files.
+   * Lines changed and later reverted within the range do not appear.
+   * @param {string} base - Commit (or tree) before the first change
+   * @param {string} head - Last commit of the range
+   * @param {Set<string>} files - Paths to keep; renames are kept when either path is listed
+   * @param {Object} [options={}] - Options for categorizing changes
+   * @param {boolean} [options.stream=false] - Whether to use streaming for processing the diff
+   * @returns {Promise<Object>} Object containing categorized file changes
+   */
+  async categorizeNetChanges(base, head, files, { stream = false } = {}) {
+    const changes = await this.parseDiffChanges(options => getCommitDiff(head, base, { ...options, context: this.context }), { stream });
+    return Object.fromEntries(CHANGE_TYPES.map(type => [
+      type,
+      new Map(Array.from(changes[type]).filter(([file]) => file.split(' → ').some(path => files.has(path))))
+    ]));
+  }
+
+  /**
+   * Maps every file touched by the given commits to those commits
+   * @param {Object[]} commits - Commits (with numstat when harvested)
+   * @returns {Promise<Map<string, Array<{hash: string, subject: string}>>>} Path to contributing commits, oldest first;
+   *   renamed files are listed under both paths, and the new path includes the commits to the old one
+   */
+  async mapFilesToCommits(commits) {
+    const files = new Map();
+    for (const commit of [...commits].reverse()) {
+      const details = commit.numstat ?? await getCommitDetails(commit.hash);
+      parseNumstat(details).forEach(({ file, oldFile }) => {
+        const entry = { hash: commit.hash, subject: commit.subject };
+        if (oldFile) {
+          // Carry the history of the old path over to the new one
+          files.set(file, [...(files.get(oldFile) || []), ...(files.get(file) || [])]);
+          files.set(oldFile, [...(files.get(oldFile) || []), entry]);
+        }
+        if (!files.has(file)) files.set(file, []);
+        files.get(file).push(entry);
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Parses a diff into added, modified, deleted, and renamed files
+   * @private
+   * @param {function({stream: boolean}): Promise<string|Readable>} loadDiff - Loads the diff as a string or stream
+   * @param {Object} [options={}] - Options for categorizing changes
+   * @param {boolean} [options.stream=false] - Whether to use streaming for processing diffs
+   * @returns {Promise<Object>} Object containing categorized file changes
+   */
+  async parseDiffChanges(loadDiff, { stream = false } = {}) {
     const changes = {
       added: new Map(),
       modified: new Map(),
@@ -57,20 +175,24 @@ class GitChangeService {
     let currentType = null;
     let currentHunk = [];
     let isInDiff = false;
-    let fullDiff = '';
+    let header = null;
 
     const processDiffLine = (line) => {
       if (line.startsWith('diff --git')) {
-        if (currentFile && currentHunk.length > 0) {
+        if (currentFile && currentHunk.length > 1) {
           this.addFileChange(changes, currentType, currentFile, [currentHunk]);
         }
-        const [status, newFile] = this.parseFileStatus(line, fullDiff);
-        currentFile = newFile;
-        currentType = status;
+        header = this.parseDiffHeader(line);
+        currentFile = null;
+        currentType = null;
         currentHunk = [];
         isInDiff = false;
       } else if (line.startsWith('@@ ')) {
-        if (currentHunk.length > 0) {
+        if (!isInDiff && header) {
+          // The extended header (new/deleted file mode, renames) is complete once the first hunk starts
+          [currentType, currentFile] = this.parseFileStatus(header);
+        }
+        if (currentHunk.length > 1) {
           this.addFileChange(changes, currentType, currentFile, [currentHunk]);
           currentHunk = [];
         }
@@ -80,23 +202,26 @@ class GitChangeService {
         if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ')) {
           currentHunk.push(line);
         }
+      } else if (header) {
+        this.parseHeaderLine(header, line);
       }
 
       // Process chunks periodically to avoid memory buildup
       if (currentHunk.length > 1000) {
         this.addFileChange(changes, currentType, currentFile, [currentHunk]);
-        currentHunk = [];
+        // Continue with a header so the rest of the hunk keeps its line numbers
+        const nextHeader = continuationHeader(currentHunk);
+        currentHunk = nextHeader ? [nextHeader] : [];
       }
     };
 
     if (stream) {
-      const diffStream = await this.getCommitDiff(commit.hash, { stream: true });
+      const diffStream = await loadDiff({ stream: true });
       let buffer = '';
 
       return new Promise((resolve, reject) => {
         diffStream.on('data', (chunk) => {
           buffer += chunk;
-          fullDiff += chunk;
           const lines = buffer.split('\n');
           buffer = lines.pop() || ''; // Keep the last partial line in buffer
           
@@ -109,7 +234,7 @@ class GitChangeService {
           if (buffer) {
             processDiffLine(buffer);
           }
-          if (currentFile && currentHunk.length > 0) {
+          if (currentFile && currentHunk.length > 1) {
             this.addFileChange(changes, currentType, currentFile, [currentHunk]);
           }
           resolve(changes);
@@ -118,15 +243,14 @@ class GitChangeService {
         diffStream.on('error', reject);
       });
     } else {
-      const diff = await this.getCommitDiff(commit.hash);
-      fullDiff = diff;
+      const diff = await loadDiff({ stream: false });
       const lines = diff.split('\n');
 
       for (const line of lines) {
         processDiffLine(line);
       }
 
-      if (currentFile && currentHunk.length > 0) {
+      if (currentFile && currentHunk.length > 1) {
         this.addFileChange(changes, currentType, currentFile, [currentHunk]);
       }
 
@@ -151,21 +275,58 @@ class GitChangeService {
   }
 
   /**
-   * Parses the file status from a diff line
+   * Parses the file paths from a diff line
    * @param {string} diffLine - The diff line starting with 'diff --git'
-   * @param {string} fullDiff - The complete diff content
-   * @returns {[string, string]} Tuple of [status, filename]
+   * @returns {{oldFile: string|null, newFile: string|null, status: string}} File header, initially `modified`
    * @private
    */
-  parseFileStatus(diffLine, fullDiff) {
-    const oldFile = diffLine.match(/a\/(.+?)\s+b\//)?.[1];
-    const newFile = diffLine.match(/b\/(.+?)$/)?.[1];
+  parseDiffHeader(diffLine) {
+    const paths = diffLine.slice('diff --git '.length);
+
+    // Unrenamed files list the same path twice, which also handles paths containing " b/"
+    const length = (paths.length - 5) / 2;
+    if (Number.isInteger(length) && paths.startsWith('a/') &&
+      paths.slice(length + 2, length + 5) === ' b/' && paths.slice(2, length + 2) === paths.slice(length + 5)) {
+      const file = paths.slice(2, length + 2);
+      return { oldFile: file, newFile: file, status: 'modified' };
+    }
 
-    if (fullDiff.includes('\nnew file mode ')) {
+    const match = paths.match(/^a\/(.+?) b\/(.+)$/);
+    return { oldFile: match?.[1] ?? null, newFile: match?.[2] ?? null, status: 'modified' };
+  }
+
+  /**
+   * Applies an extended header line (between 'diff --git' and the first hunk) to the file header
+   * @param {Object} header - File header from parseDiffHeader
+   * @param {string} line - Diff line
+   * @private
+   */
+  parseHeaderLine(header, line) {
+    if (line.startsWith('new file mode ')) {
+      header.status = 'added';
+    } else if (line.startsWith('deleted file mode ')) {
+      header.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      header.status = 'renamed';
+      header.oldFile = line.slice('rename from '.length);
+    } else if (line.startsWith('rename to ')) {
+      header.status = 'renamed';
+      header.newFile = line.slice('rename to '.length);
+    }
+  }
+
+  /**
+   * Determines the change type and display name of a file
+   * @param {Object} header - File header from parseDiffHeader and parseHeaderLine
+   * @returns {[string, string]} Tuple of [status, filename]
+   * @private
+   */
+  parseFileStatus({ oldFile, newFile, status }) {
+    if (status === 'added') {
       return ['added', newFile];
-    } else if (fullDiff.includes('\ndeleted file mode ')) {
+    } else if (status === 'deleted') {
       return ['deleted', oldFile];
-    } else if (oldFile !== newFile && oldFile && newFile) {
+    } else if (status === 'renamed' || (oldFile && newFile && oldFile !== newFile)) {
       return ['renamed', `${oldFile} → ${newFile}`];
     } else {
       return ['modified', newFile];
@@ -0,0 +1,223 @@
+const { MANIFEST_FILES, NPM_DEPENDENCY_SECTIONS, NPM_INSTALL_SCRIPTS } = require('../constants/manifestPatterns');
+const { getFileAtRevision } = require('./gitOperations');
+const { parseVersion, compareVersions, isMajorChange } = require('../utils/semver');
+
+/**
+ * Service for comparing dependency manifests (package.json, requirements.txt, go.mod) before and after a change
+ */
+class ManifestAnalysisService {
+  /**
+   * Initializes the ManifestAnalysisService with the supported manifest files
+   */
+  constructor() {
+    this.manifestFiles = MANIFEST_FILES;
+  }
+
+  /**
+   * Finds the package ecosystem of a manifest file
+   * @param {string} filePath - Repository-relative path
+   * @returns {string|null} `npm`, `pip` or `go`, or null if the file is not a supported manifest
+   */
+  getEcosystem(filePath) {
+    const manifest = this.manifestFiles.find(({ pattern }) => pattern.test(filePath));
+    return manifest ? manifest.ecosystem : null;
+  }
+
+  /**
+   * Parses a package.json
+   * @param {string} content - File content
+   * @returns {{dependencies: Map<string, Object>, scripts: Object<string, string>}} Dependencies keyed by scope and name,
+   *   and the install scripts
+   * @throws {SyntaxError} If the file is not valid JSON
+   */
+  parsePackageJson(content) {
+    const manifest = JSON.parse(content);
+    const dependencies = new Map();
+    NPM_DEPENDENCY_SECTIONS.forEach(scope => {
+      Object.entries(manifest[scope] || {}).forEach(([name, version]) => {
+        dependencies.set(`${scope}:${name}`, { name, scope, version: String(version) });
+      });
+    });
+
+    const scripts = {};
+    NPM_INSTALL_SCRIPTS.forEach(name => {
+      if (manifest.scripts && typeof manifest.scripts[name] === 'string') {
+        scripts[name] = manifest.scripts[name];
+      }
+    });
+    return { dependencies, scripts };
+  }
+
+  /**
+   * Parses a pip requirements file. Options (`-r`, `-e`, `--index-url`) and comments are skipped.
+   * @param {string} content - File content
+   * @returns {{dependencies: Map<string, Object>, scripts: Object}} Dependencies keyed by normalized name
+   */
+  parseRequirements(content) {
+    const dependencies = new Map();
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').split(';')[0].trim();
+      if (!line || line.startsWith('-')) return;
+
+      const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+      if (!match) return;
+      // pip treats case, `_` and `.` in names as equivalent
+      const name = match[1].toLowerCase().replace(/[_.]+/g, '-');
+      dependencies.set(name, { name, scope: 'requirements', version: match[2].replace(/^@\s*/, '').trim() });
+    });
+    return { dependencies, scripts: {} };
+  }
+
+  /**
+   * Parses the `require` directives of a go.mod
+   * @param {string} content - File content
+   * @returns {{dependencies: Map<string, Object>, scripts: Object}} Dependencies keyed by module path,
+   *   with scope `direct` or `indirect`
+   */
+  parseGoMod(content) {
+    const dependencies = new Map();
+    let inRequireBlock = false;
+
+    content.split('\n').forEach(rawLine => {
+      const indirect = /\/\/\s*indirect\b/.test(rawLine);
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+
+      if (/^require\s*\($/.test(line)) {
+        inRequireBlock = true;
+        return;
+      }
+      if (inRequireBlock && line === ')') {
+        inRequireBlock = false;
+        return;
+      }
+
+      const match = inRequireBlock ? line.match(/^(\S+)\s+(\S+)$/) : line.match(/^require\s+(\S+)\s+(\S+)$/);
+      if (match) {
+        dependencies.set(match[1], { name: match[1], scope: indirect ? 'indirect' : 'direct', version: match[2] });
+      }
+    });
+    return { dependencies, scripts: {} };
+  }
+
+  /**
+   * Parses a manifest of the given ecosystem
+   * @param {string} ecosystem - `npm`, `pip` or `go`
+   * @param {string|null} content - File content, null if the file does not exist
+   * @returns {{dependencies: Map<string, Object>, scripts: Object<string, string>}} Parsed manifest (empty for null content)
+   * @throws {SyntaxError} If a package.json is not valid JSON
+   */
+  parseManifest(ecosystem, content) {
+    if (content === null) {
+      return { dependencies: new Map(), scripts: {} };
+    }
+    if (ecosystem === 'npm') return this.parsePackageJson(content);
+    if (ecosystem === 'pip') return this.parseRequirements(content);
+    return this.parseGoMod(content);
+  }
+
+  /**
+   * Compares two versions of a manifest
+   * @param {string} ecosystem - `npm`, `pip` or `go`
+   * @param {string|null} before - Content before the change, null if the file was added
+   * @param {string|null} after - Content after the change, null if the file was deleted
+   * @returns {{ecosystem: string, added: Object[], removed: Object[], upgraded: Object[], downgraded: Object[],
+   *   changed: Object[], installScripts: Object[]}} Added and removed dependencies (`name`, `scope`, `version`),
+   *   version changes (`name`, `scope`, `from`, `to`, plus `major` for upgrades and downgrades; `changed` holds
+   *   changes without comparable version numbers) and new or modified install scripts (`name`, `command`, `previous`)
+   * @throws {SyntaxError} If a package.json is not valid JSON
+   */
+  compareManifests(ecosystem, before, after) {
+    const previous = this.parseManifest(ecosystem, before);
+    const current = this.parseManifest(ecosystem, after);
+    const analysis = { ecosystem, added: [], removed: [], upgraded: [], downgraded: [], changed: [], installScripts: [] };
+
+    current.dependencies.forEach((dependency, key) => {
+      const old = previous.dependencies.get(key);
+      if (!old) {
+        analysis.added.push(dependency);
+        return;
+      }
+      if (old.version === dependency.version) return;
+
+      const change = { name: dependency.name, scope: dependency.scope, from: old.version, to: dependency.version };
+      const from = parseVersion(old.version);
+      const to = parseVersion(dependency.version);
+      const order = from && to ? compareVersions(from, to) : 0;
+      if (order < 0) {
+        analysis.upgraded.push({ ...change, major: isMajorChange(from, to) });
+      } else if (order > 0) {
+        analysis.downgraded.push({ ...change, major: isMajorChange(from, to) });
+      } else {
+        // Same version with a different range operator, or specs without versions (tags, URLs)
+        analysis.changed.push(change);
+      }
+    });
+
+    previous.dependencies.forEach((dependency, key) => {
+      if (!current.dependencies.has(key)) analysis.removed.push(dependency);
+    });
+
+    Object.entries(current.scripts).forEach(([name, command]) => {
+      if (previous.scripts[name] !== command) {
+        analysis.installScripts.push({ name, command, previous: previous.scripts[name] ?? null });
+      }
+    });
+
+    return analysis;
+  }
+
+  /**
+   * Checks whether a manifest analysis found anything to report
+   * @param {Object} analysis - Result of compareManifests
+   * @returns {boolean} True if any dependency or install script changed
+   */
+  hasChanges(analysis) {
+    return ['added', 'removed', 'upgraded', 'downgraded', 'changed', 'installScripts']
+      .some(key => analysis[key].length > 0);
+  }
+
+  /**
+   * Reads a changed manifest before and after the change and compares the two versions
+   * @param {string} file - File name from the categorized changes (`old → new` for renames)
+   * @param {string} type - Change type (added/modified/deleted/renamed)
+   * @param {string} base - Revision before the change
+   * @param {string} head - Revision after the change
+   * @returns {Promise<Object|null>} Result of compareManifests, or null if the file is not a manifest,
+   *   nothing changed, or it cannot be parsed
+   */
+  async analyzeFile(file, type, base, head) {
+    const [oldPath, newPath = oldPath] = file.split(' → ');
+    const ecosystem = this.getEcosystem(newPath);
+    if (!ecosystem) return null;
+
+    const before = type === 'added' ? null : await getFileAtRevision(base, oldPath);
+    const after = type === 'deleted' ? null : await getFileAtRevision(head, newPath);
+    try {
+      const analysis = this.compareManifests(ecosystem, before, after);
+      return this.hasChanges(analysis) ? analysis : null;
+    } catch (error) {
+      // A manifest that is not valid JSON shows up in the diff instead
+      return null;
+    }
+  }
+
+  /**
+   * Analyzes every changed manifest in a set of categorized changes
+   * @param {Object} changes - Categorized changes with a Map of file to hunks per change type
+   * @param {string} base - Revision before the changes
+   * @param {string} head - Revision after the changes
+   * @returns {Promise<Map<string, Object>>} File name to manifest analysis, for manifests with dependency changes
+   */
+  async analyzeChanges(changes, base, head) {
+    const analyses = new Map();
+    for (const [type, files] of Object.entries(changes)) {
+      for (const file of files.keys()) {
+        const analysis = await this.analyzeFile(file, type, base, head);
+        if (analysis) analyses.set(file, analysis);
+      }
+    }
+    return analyses;
+  }
+}
+
+module.exports = ManifestAnalysisService;
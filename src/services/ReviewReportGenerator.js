@@ -1,4 +1,11 @@
 const { colors } = require('../constants');
+const { numberHunkLines } = require('../utils/hunks');
+
+const RISK_EMOJI = {
+  HIGH: '🔴',
+  MEDIUM: '🟡',
+  LOW: '🟢'
+};
 
 /**
  * @class ReviewReportGenerator
@@ -9,121 +16,423 @@ class ReviewReportGenerator {
    * @constructor
    * @param {Object} writer - File writer service for creating and managing report files
    * @param {Object} riskAssessmentService - Service for assessing code risk levels and generating checklists
+   * @param {Object} secretScanService - Service for detecting and redacting leaked secrets in added lines
+   * @param {Object} [manifestService=null] - Service for comparing dependency manifests before and after a change
    */
-  constructor(writer, riskAssessmentService) {
+  constructor(writer, riskAssessmentService, secretScanService, manifestService = null) {
     this.writer = writer;
     this.riskAssessmentService = riskAssessmentService;
+    this.secretScanService = secretScanService;
+    this.manifestService = manifestService;
   }
 
   /**
-   * @param {string[]} diffContent - Array of diff lines to format
-   * @returns {string} Markdown-escaped diff content
-   * @description Formats git diff content for markdown by escaping special characters while preserving diff markers
+   * @param {string[]} hunk - Hunk lines, starting with the `@@` header
+   * @returns {string} Fenced diff block
+   * @description Formats a hunk as a diff code block with the `@@` header and the old and new line number
+   * beside each line. Content is written verbatim; the fence is longer than any backtick run in the hunk
+   * so the content cannot close it.
    */
-  formatDiffForMarkdown(diffContent) {
-    return diffContent.map(line => {
-      // Remove the diff marker for processing
-      let content = line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') 
-        ? line.substring(1) 
-        : line;
-
-      // Escape markdown special characters
-      content = content
-        .replace(/\*/g, '\\*')   // Bold/italic
-        .replace(/_/g, '\\_')    // Italic
-        .replace(/`/g, '\\`')    // Code
-        .replace(/\[/g, '\\[')   // Links
-        .replace(/\]/g, '\\]')   // Links
-        .replace(/\(/g, '\\(')   // Links
-        .replace(/\)/g, '\\)')   // Links
-        .replace(/\#/g, '\\#')   // Headers
-        .replace(/\|/g, '\\|')   // Tables
-        .replace(/\{/g, '\\{')   // Code blocks
-        .replace(/\}/g, '\\}')   // Code blocks
-        .replace(/\~/g, '\\~')   // Strikethrough
-        .replace(/\>/g, '\\>');  // Blockquotes
-
-      // Add back the diff marker
-      if (line.startsWith('+')) {
-        return '+ ' + content;
-      } else if (line.startsWith('-')) {
-        return '- ' + content;
-      }
-      return '  ' + content;
-    }).join('\n');
+  formatDiffForMarkdown(hunk) {
+    const lines = numberHunkLines(hunk);
+    const numbers = lines.flatMap(({ oldLine, newLine }) => [oldLine, newLine]).filter(line => line !== null);
+    const width = Math.max(0, ...numbers.map(line => String(line).length));
+
+    const body = lines.map(({ type, content, oldLine, newLine }) => {
+      const marker = type === 'added' ? '+' : type === 'removed' ? '-' : ' ';
+      if (width === 0) return `${marker}${content}`;
+      const oldNumber = type === 'added' ? '' : String(oldLine);
+      const newNumber = type === 'removed' ? '' : String(newLine);
+      return `${marker}${oldNumber.padStart(width)} ${newNumber.padStart(width)} | ${content}`;
+    });
+
+    const header = hunk[0] && hunk[0].startsWith('@@') ? [hunk[0]] : [];
+    const longestRun = Math.max(2, ...(hunk.join('\n').match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return [`${fence}diff`, ...header, ...body, fence].join('\n');
   }
 
   /**
    * @param {WriteStream} stream - Output stream for writing
    * @param {string} type - Type of changes (added/modified/deleted/renamed)
-   * @param {Map<string, string[][]>} files - Map of filenames to their diff hunks
+   * @param {Object[]} files - File entries of the given type from the report model
    * @param {string} typeEmoji - Emoji representing the change type
    * @returns {Promise<void>}
    * @description Writes a section of changes for a specific type with risk assessments and checklists
    */
   async writeChangesSection(stream, type, files, typeEmoji) {
-    if (files.size === 0) return;
+    if (files.length === 0) return;
     
     stream.write(`### ${typeEmoji} ${type.charAt(0).toUpperCase() + type.slice(1)} Files\n\n`);
     
-    for (const [file, hunks] of files) {
-      const riskLevel = this.riskAssessmentService.identifyRiskLevel(file, hunks.flat());
-      const riskEmoji = {
-        HIGH: '🔴',
-        MEDIUM: '🟡',
-        LOW: '🟢'
-      }[riskLevel];
-
-      stream.write(`#### ${file} ${riskEmoji}\n`);
+    for (const { file, riskLevel, fileRiskLevel, fileRule, riskFindings, hunks, commits } of files) {
+      stream.write(`#### ${file} ${RISK_EMOJI[riskLevel]}\n`);
+      if (commits && commits.length > 0) {
+        stream.write(`**Commits:** ${commits.map(({ hash, subject }) => `\`${hash.slice(0, 7)}\` ${subject}`).join(', ')}\n\n`);
+      }
+      this.writeRiskSummary(stream, fileRiskLevel, fileRule, riskFindings);
       stream.write('**Review Checklist**\n');
       stream.write(this.riskAssessmentService.generateChecklist(file, type, riskLevel) + '\n\n');
 
-      stream.write('```diff\n');
-      hunks.forEach(hunk => {
+      hunks.forEach((hunk, index) => {
         stream.write(this.formatDiffForMarkdown(hunk) + '\n');
+        this.writeRiskFindings(stream, riskFindings.filter(finding => finding.hunk === index));
+        stream.write('\n');
       });
-      stream.write('```\n\n');
     }
   }
 
   /**
    * @param {WriteStream} stream - Output stream for writing
-   * @param {Object[]} commits - Array of commit objects
-   * @param {Map<string, Object>} changesMap - Map of commit hashes to their changes
+   * @param {string} fileRiskLevel - Risk level implied by the file path alone
+   * @param {{id: string, message: string}|null} fileRule - File pattern that set the file path level
+   * @param {Object[]} findings - Line-level risk findings of the file
+   * @description Writes a one-line summary of a file's risk findings grouped by severity and category
+   */
+  writeRiskSummary(stream, fileRiskLevel, fileRule, findings) {
+    if (findings.length === 0 && fileRiskLevel === 'LOW') return;
+
+    const counts = new Map();
+    findings.forEach(({ severity, category }) => {
+      const key = `${RISK_EMOJI[severity]} ${category}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const parts = Array.from(counts, ([key, count]) => `${count} ${key}`);
+    if (fileRiskLevel !== 'LOW') {
+      parts.push(`file path rated ${RISK_EMOJI[fileRiskLevel]} ${fileRiskLevel}${fileRule ? ` (${fileRule.message})` : ''}`);
+    }
+    stream.write(`**Risk Findings:** ${findings.length === 0 ? 'none in changed lines; ' : ''}${parts.join(', ')}\n\n`);
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Object[]} findings - Risk findings of one hunk
+   * @description Writes the findings of a hunk below its diff, one line per risky added or removed line
+   */
+  writeRiskFindings(stream, findings) {
+    findings.forEach(({ severity, category, rule, message, match, change, line, oldLine }) => {
+      let location;
+      if (change === 'removed') {
+        location = line === null ? 'on a removed line' : `before line ${line} (removed, old line ${oldLine})`;
+      } else {
+        location = line === null ? 'on an added line' : `on line ${line} (added)`;
+      }
+      stream.write(`- ${RISK_EMOJI[severity]} **${category}** ${location}: \`${match.replace(/`/g, "'")}\` – ${message} (${rule})\n`);
+    });
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Object[]} commits - Commit entries from the report model
    * @returns {Promise<void>}
    * @description Writes detailed review content for each commit including diffs and risk assessments
    */
-  async writeReviewContent(stream, commits, changesMap) {
+  async writeReviewContent(stream, commits) {
     for (const commit of commits) {
       stream.write(`\n## Commit: ${commit.subject}\n`);
       stream.write(`Hash: \`${commit.hash}\`\n`);
-      stream.write(`Date: ${new Date(commit.date).toLocaleString()}\n\n`);
+      if (commit.member) {
+        stream.write(`Member: ${commit.member}\n`);
+      }
+      stream.write(`Date: ${new Date(commit.date).toLocaleString()}\n`);
+      if (commit.coAuthored) {
+        stream.write(`Credited as co-author (authored by ${commit.author.name})\n`);
+      }
+      stream.write('\n');
 
       if (commit.body) {
         stream.write('### Description\n');
         stream.write(commit.body + '\n\n');
       }
 
-      const changes = changesMap.get(commit.hash);
+      const filesOfType = type => commit.files.filter(entry => entry.type === type);
       
-      await this.writeChangesSection(stream, 'added', changes.added, '➕');
-      await this.writeChangesSection(stream, 'modified', changes.modified, '📝');
-      await this.writeChangesSection(stream, 'deleted', changes.deleted, '🗑️');
-      await this.writeChangesSection(stream, 'renamed', changes.renamed, '📋');
+      await this.writeChangesSection(stream, 'added', filesOfType('added'), '➕');
+      await this.writeChangesSection(stream, 'modified', filesOfType('modified'), '📝');
+      await this.writeChangesSection(stream, 'deleted', filesOfType('deleted'), '🗑️');
+      await this.writeChangesSection(stream, 'renamed', filesOfType('renamed'), '📋');
 
       stream.write('---\n');
     }
   }
 
+  /**
+   * @param {Object} changes - Categorized changes with a Map of file to hunks per change type
+   * @param {string} base - Revision before the changes
+   * @param {string} head - Revision after the changes
+   * @returns {Promise<Map<string, Object>>} File name to dependency changes, empty without a manifest service
+   * @description Compares the changed dependency manifests before and after the changes
+   */
+  async analyzeManifests(changes, base, head) {
+    if (!this.manifestService) return new Map();
+    return this.manifestService.analyzeChanges(changes, base, head);
+  }
+
+  /**
+   * @param {Object} changes - Categorized changes with a Map of file to hunks per change type
+   * @param {Map<string, Object>} [manifests=new Map()] - Dependency changes of manifest files from analyzeManifests
+   * @returns {Array<{file: string, type: string, riskLevel: string, fileRiskLevel: string, fileRule: Object|null, riskFindings: Object[],
+   *   secrets: Object[], dependencies: Object|null, hunks: string[][]}>} Assessed files
+   * @description Assesses every changed file line by line and redacts leaked secrets from its hunks.
+   * Files with a potential secret or a new install script are always high risk.
+   */
+  assessFiles(changes, manifests = new Map()) {
+    const files = [];
+    for (const [type, typeFiles] of Object.entries(changes)) {
+      for (const [file, hunks] of typeFiles) {
+        const scan = this.secretScanService.scanHunks(file, hunks);
+        // Assess the redacted hunks so findings never quote a secret
+        const risk = this.riskAssessmentService.assessFile(file, scan.hunks);
+        const dependencies = manifests.get(file) || null;
+        // Install scripts run on every machine that installs the package
+        const runsOnInstall = Boolean(dependencies && dependencies.installScripts.length > 0);
+        files.push({
+          file,
+          type,
+          riskLevel: scan.findings.length > 0 || runsOnInstall ? 'HIGH' : risk.riskLevel,
+          fileRiskLevel: risk.fileRiskLevel,
+          fileRule: risk.fileRule,
+          riskFindings: risk.findings,
+          secrets: scan.findings,
+          dependencies,
+          hunks: scan.hunks
+        });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * @param {Object[]} files - Assessed files from assessFiles
+   * @param {string|null} hash - Commit the files belong to, null for an accumulated diff
+   * @returns {Array<{file: string, line: number|null, hash: string|null, rule: string, description: string, value: string}>}
+   *   One entry per potential secret
+   * @description Collects the potential secrets of the given files for the top-level report section
+   */
+  collectSecrets(files, hash) {
+    return files.flatMap(({ file, secrets }) => secrets.map(secret => ({ file, hash, ...secret })));
+  }
+
+  /**
+   * @param {Object[]} files - Assessed files from assessFiles
+   * @param {string|null} hash - Commit the files belong to, null for an accumulated diff
+   * @returns {Object[]} One entry per changed manifest with its `file`, `hash` and dependency changes
+   * @description Collects the dependency changes of the given files for the top-level report section
+   */
+  collectDependencyChanges(files, hash) {
+    return files
+      .filter(({ dependencies }) => dependencies)
+      .map(({ file, dependencies }) => ({ file, hash, ...dependencies }));
+  }
+
+  /**
+   * @param {Object[]} files - Assessed files from assessFiles
+   * @returns {Object} Statistics of file changes and risk levels
+   * @description Counts the changed files by change type and risk level
+   */
+  summarizeFiles(files) {
+    const totalChanges = {
+      added: 0,
+      modified: 0,
+      deleted: 0,
+      renamed: 0,
+      riskLevels: { HIGH: 0, MEDIUM: 0, LOW: 0 }
+    };
+    files.forEach(({ type, riskLevel }) => {
+      totalChanges[type]++;
+      totalChanges.riskLevels[riskLevel]++;
+    });
+    return totalChanges;
+  }
+
+  /**
+   * @param {string} author - Author name
+   * @param {Object[]} commits - Array of commit objects
+   * @param {Map<string, Object>} changesMap - Map of commit hashes to their changes (empty for branch reviews)
+   * @param {string[]|null} [members=null] - Team member names when reviewing a team
+   * @param {Object|null} [accumulatedReview=null] - Combined changes of all commits (review branch or net diff)
+   * @param {string|null} accumulatedReview.branch - Review branch name, null for a net diff
+   * @param {string} accumulatedReview.base - Commit the combined diff starts from
+   * @param {string} accumulatedReview.head - Commit the combined diff ends at
+   * @param {Object} accumulatedReview.changes - Categorized changes between base and head
+   * @param {Map<string, Object[]>} [accumulatedReview.contributors] - Path to the commits that touched it
+   * @returns {Promise<Object>} Format-independent review model with summary, high-risk index and per-file assessments
+   * @description Assesses every changed file once and collects the results for rendering
+   */
+  async buildReportModel(author, commits, changesMap, members = null, accumulatedReview = null) {
+    const reviewedCommits = [];
+    for (const commit of commits) {
+      const changes = changesMap.get(commit.hash);
+      const files = changes
+        ? this.assessFiles(changes, await this.analyzeManifests(changes, `${commit.hash}^`, commit.hash))
+        : [];
+
+      reviewedCommits.push({
+        hash: commit.hash,
+        date: commit.date,
+        subject: commit.subject,
+        body: commit.body,
+        author: commit.author,
+        member: commit.member || null,
+        coAuthored: Boolean(commit.coAuthored),
+        files
+      });
+    }
+
+    if (accumulatedReview) {
+      // One accumulated diff: each file is reviewed once, in its final state
+      const { contributors, changes, base, head } = accumulatedReview;
+      const manifests = await this.analyzeManifests(changes, base, head);
+      const files = this.assessFiles(changes, manifests).map(entry => (contributors ? {
+        ...entry,
+        commits: this.findContributors(entry.file, contributors)
+      } : entry));
+      return {
+        author,
+        summary: {
+          totalCommits: commits.length,
+          ...this.summarizeFiles(files)
+        },
+        highRiskChanges: files
+          .filter(entry => entry.riskLevel === 'HIGH')
+          .map(({ file, type }) => ({ file, type, hash: null })),
+        secrets: this.collectSecrets(files, null),
+        dependencyChanges: this.collectDependencyChanges(files, null),
+        members: members ? this.buildMemberBreakdown(members, reviewedCommits, false) : null,
+        accumulated: {
+          mode: accumulatedReview.branch ? 'branch' : 'net',
+          branch: accumulatedReview.branch,
+          base: accumulatedReview.base,
+          head: accumulatedReview.head,
+          files
+        },
+        commits: reviewedCommits
+      };
+    }
+
+    const highRiskChanges = [];
+    reviewedCommits.forEach(commit => {
+      commit.files
+        .filter(entry => entry.riskLevel === 'HIGH')
+        .forEach(({ file, type }) => highRiskChanges.push({ file, type, hash: commit.hash }));
+    });
+
+    return {
+      author,
+      summary: {
+        totalCommits: commits.length,
+        ...this.summarizeFiles(reviewedCommits.flatMap(commit => commit.files))
+      },
+      highRiskChanges,
+      secrets: reviewedCommits.flatMap(commit => this.collectSecrets(commit.files, commit.hash)),
+      dependencyChanges: reviewedCommits.flatMap(commit => this.collectDependencyChanges(commit.files, commit.hash)),
+      members: members ? this.buildMemberBreakdown(members, reviewedCommits) : null,
+      accumulated: null,
+      commits: reviewedCommits
+    };
+  }
+
+  /**
+   * @param {string} file - File name from the categorized changes (`old → new` for renames)
+   * @param {Map<string, Array<{hash: string, subject: string}>>} contributors - Path to the commits that touched it
+   * @returns {Array<{hash: string, subject: string}>} Commits that touched the file under any of its paths
+   * @description Looks up which commits contributed to a file of an accumulated diff
+   */
+  findContributors(file, contributors) {
+    const commits = new Map();
+    file.split(' → ').forEach(path => {
+      (contributors.get(path) || []).forEach(commit => commits.set(commit.hash, commit));
+    });
+    return Array.from(commits.values());
+  }
+
+  /**
+   * @param {string[]} members - Team member names in team order
+   * @param {Object[]} commits - Reviewed commits from the report model
+   * @param {boolean} [includeFiles=true] - Whether per-commit files are available (not for branch reviews)
+   * @returns {Array<{name: string, commits: number, filesChanged: number|null, highRiskFiles: number|null}>} One row per member
+   * @description Summarizes how much of the review each team member accounts for
+   */
+  buildMemberBreakdown(members, commits, includeFiles = true) {
+    return members.map(name => {
+      const memberCommits = commits.filter(commit => commit.member === name);
+      const files = memberCommits.flatMap(commit => commit.files);
+      return {
+        name,
+        commits: memberCommits.length,
+        filesChanged: includeFiles ? files.length : null,
+        highRiskFiles: includeFiles ? files.filter(entry => entry.riskLevel === 'HIGH').length : null
+      };
+    });
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Object[]} members - Rows from buildMemberBreakdown
+   * @description Writes the per-member table of a team review
+   */
+  writeMemberBreakdown(stream, members) {
+    stream.write('\n## Team Members\n\n');
+    stream.write('| Member | Commits | Files Changed | High Risk Files |\n');
+    stream.write('|--------|---------|---------------|-----------------|\n');
+    members.forEach(member => {
+      const filesChanged = member.filesChanged === null ? '–' : member.filesChanged;
+      const highRiskFiles = member.highRiskFiles === null ? '–' : member.highRiskFiles;
+      stream.write(`| ${member.name} | ${member.commits} | ${filesChanged} | ${highRiskFiles} |\n`);
+    });
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Object} accumulated - Accumulated changes from the report model
+   * @param {Object[]} commits - Commit entries from the report model
+   * @returns {Promise<void>}
+   * @description Writes the combined diff of a review branch or net review along with the commits it contains
+   */
+  async writeAccumulatedContent(stream, accumulated, commits) {
+    if (accumulated.mode === 'net') {
+      stream.write('## Net Changes\n');
+      stream.write(`Base: \`${accumulated.base}\` → Head: \`${accumulated.head}\`\n\n`);
+    } else {
+      stream.write(`## Accumulated Changes on \`${accumulated.branch}\`\n`);
+      stream.write(`Base: \`${accumulated.base}\`\n\n`);
+    }
+
+    stream.write('### Included Commits\n');
+    commits.forEach(commit => {
+      const member = commit.member ? ` (${commit.member})` : '';
+      stream.write(`- \`${commit.hash.slice(0, 7)}\` ${commit.subject}${member}\n`);
+    });
+    stream.write('\n');
+
+    const filesOfType = type => accumulated.files.filter(entry => entry.type === type);
+
+    await this.writeChangesSection(stream, 'added', filesOfType('added'), '➕');
+    await this.writeChangesSection(stream, 'modified', filesOfType('modified'), '📝');
+    await this.writeChangesSection(stream, 'deleted', filesOfType('deleted'), '🗑️');
+    await this.writeChangesSection(stream, 'renamed', filesOfType('renamed'), '📋');
+
+    stream.write('---\n');
+  }
+
   /**
    * @param {string} author - Author name
    * @param {Object[]} commits - Array of commit objects
    * @param {Map<string, Object>} changesMap - Map of commit hashes to their changes
-   * @returns {Promise<Object>} Object containing the generated review file path
+   * @param {string[]|null} [members=null] - Team member names when reviewing a team
+   * @param {Object|null} [accumulatedReview=null] - Combined changes of all commits, see buildReportModel
+   * @returns {Promise<{reviewFile: string, report: Object}>} Generated review file path and the report model
    * @description Generates a complete code review report with summary, statistics, and detailed changes
    */
-  async generateReport(author, commits, changesMap) {
+  async generateReport(author, commits, changesMap, members = null, accumulatedReview = null) {
     console.log(`${colors.blue}Generating review report for ${colors.bright}${author}${colors.reset}`);
+
+    const report = await this.buildReportModel(author, commits, changesMap, members, accumulatedReview);
+
+    if (this.writer.format !== 'markdown') {
+      const [reviewFile] = await this.writer.writeReport(author, 'review', report);
+      return { reviewFile, report };
+    }
     
     const reviewFile = this.writer.generateFilename(author, 'review');
     const reviewStream = this.writer.createStream(reviewFile);
@@ -132,17 +441,24 @@ class ReviewReportGenerator {
 
     // Write overview
     reviewStream.write('# Summary\n\n');
-    reviewStream.write(`- Total Commits: ${commits.length}\n`);
+    reviewStream.write(`- Total Commits: ${report.summary.totalCommits}\n`);
     reviewStream.write(`- Review Date: ${new Date().toLocaleString()}\n`);
-    
-    // Categorize all changes for summary
-    const totalChanges = this.calculateTotalChanges(commits, changesMap);
 
     // Write change statistics
-    this.writeChangeStatistics(reviewStream, totalChanges);
+    this.writeChangeStatistics(reviewStream, report.summary);
+
+    if (report.members) {
+      this.writeMemberBreakdown(reviewStream, report.members);
+    }
     
+    // List leaked credentials before anything else that needs attention
+    this.writeSecretsSection(reviewStream, report.secrets);
+
+    // Dependency changes affect everyone who installs the project
+    this.writeDependencySection(reviewStream, report.dependencyChanges);
+
     // Add quick navigation for high-risk changes
-    await this.writeHighRiskNavigation(reviewStream, commits, changesMap);
+    this.writeHighRiskNavigation(reviewStream, report.highRiskChanges);
 
     // Write review guidelines
     this.writeReviewGuidelines(reviewStream);
@@ -150,7 +466,11 @@ class ReviewReportGenerator {
     // Write detailed review content
     reviewStream.write('---\n\n');
     reviewStream.write('# Detailed Changes\n\n');
-    await this.writeReviewContent(reviewStream, commits, changesMap);
+    if (report.accumulated) {
+      await this.writeAccumulatedContent(reviewStream, report.accumulated, report.commits);
+    } else {
+      await this.writeReviewContent(reviewStream, report.commits);
+    }
 
     // Write final checklist
     this.writeFinalChecklist(reviewStream);
@@ -158,41 +478,7 @@ class ReviewReportGenerator {
     await this.writer.closeStream(reviewStream);
     this.writer.logSuccess('review', reviewFile);
 
-    return { reviewFile };
-  }
-
-  /**
-   * @param {Object[]} commits - Array of commit objects
-   * @param {Map<string, Object>} changesMap - Map of commit hashes to their changes
-   * @returns {Object} Statistics of total changes and risk levels
-   * @description Calculates total changes and risk level distribution across all commits
-   */
-  calculateTotalChanges(commits, changesMap) {
-    const totalChanges = {
-      added: 0,
-      modified: 0,
-      deleted: 0,
-      renamed: 0,
-      riskLevels: { HIGH: 0, MEDIUM: 0, LOW: 0 }
-    };
-
-    for (const commit of commits) {
-      const changes = changesMap.get(commit.hash);
-      totalChanges.added += changes.added.size;
-      totalChanges.modified += changes.modified.size;
-      totalChanges.deleted += changes.deleted.size;
-      totalChanges.renamed += changes.renamed.size;
-
-      // Count risk levels
-      for (const [type, files] of Object.entries(changes)) {
-        for (const [file, hunks] of files) {
-          const riskLevel = this.riskAssessmentService.identifyRiskLevel(file, hunks.flat());
-          totalChanges.riskLevels[riskLevel]++;
-        }
-      }
-    }
-
-    return totalChanges;
+    return { reviewFile, report };
   }
 
   /**
@@ -216,27 +502,72 @@ class ReviewReportGenerator {
 
   /**
    * @param {WriteStream} stream - Output stream for writing
-   * @param {Object[]} commits - Array of commit objects
-   * @param {Map<string, Object>} changesMap - Map of commit hashes to their changes
-   * @returns {Promise<void>}
-   * @description Creates quick navigation links for high-risk changes
+   * @param {Object[]} secrets - Potential secrets from the report model
+   * @description Writes the table of potential secrets with their location and redacted value
    */
-  async writeHighRiskNavigation(stream, commits, changesMap) {
-    let hasHighRisk = false;
-    for (const commit of commits) {
-      const changes = changesMap.get(commit.hash);
-      for (const [type, files] of Object.entries(changes)) {
-        for (const [file, hunks] of files) {
-          if (this.riskAssessmentService.identifyRiskLevel(file, hunks.flat()) === 'HIGH') {
-            if (!hasHighRisk) {
-              stream.write('\n## ⚠️ High Risk Changes Quick Access\n\n');
-              hasHighRisk = true;
-            }
-            stream.write(`- ${file} (${type}) in commit ${commit.hash.slice(0, 7)}\n`);
-          }
-        }
+  writeSecretsSection(stream, secrets) {
+    if (secrets.length === 0) return;
+
+    stream.write('\n## 🔑 Potential Secrets\n\n');
+    stream.write('Rotate any real credential listed here; removing it in a later commit does not remove it from history.\n\n');
+    stream.write('| File | Line | Commit | Type | Value |\n');
+    stream.write('|------|------|--------|------|-------|\n');
+    secrets.forEach(({ file, line, hash, description, value }) => {
+      const commit = hash ? `\`${hash.slice(0, 7)}\`` : '–';
+      stream.write(`| ${file.replace(/\|/g, '\\|')} | ${line ?? '–'} | ${commit} | ${description} | \`${value}\` |\n`);
+    });
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Object[]} dependencyChanges - Changed manifests from the report model
+   * @description Writes a table of added, removed and changed dependencies and the new install scripts per manifest
+   */
+  writeDependencySection(stream, dependencyChanges) {
+    if (dependencyChanges.length === 0) return;
+
+    const cell = value => String(value).replace(/\|/g, '\\|');
+    stream.write('\n## 📦 Dependency Changes\n');
+    dependencyChanges.forEach(({ file, hash, added, removed, upgraded, downgraded, changed, installScripts }) => {
+      stream.write(`\n### ${file}${hash ? ` (\`${hash.slice(0, 7)}\`)` : ''}\n\n`);
+
+      const rows = [
+        ...added.map(dep => ['➕ Added', dep, dep.version || 'any']),
+        ...upgraded.map(dep => [dep.major ? '⚠️ Major upgrade' : '⬆️ Upgraded', dep, `${dep.from} → ${dep.to}`]),
+        ...downgraded.map(dep => [dep.major ? '⚠️ Major downgrade' : '⬇️ Downgraded', dep, `${dep.from} → ${dep.to}`]),
+        ...changed.map(dep => ['🔁 Changed', dep, `${dep.from || 'any'} → ${dep.to || 'any'}`]),
+        ...removed.map(dep => ['➖ Removed', dep, dep.version || 'any'])
+      ];
+      if (rows.length > 0) {
+        stream.write('| Change | Dependency | Scope | Version |\n');
+        stream.write('|--------|------------|-------|---------|\n');
+        rows.forEach(([change, { name, scope }, version]) => {
+          stream.write(`| ${change} | ${cell(name)} | ${scope} | ${cell(version)} |\n`);
+        });
       }
-    }
+
+      installScripts.forEach(({ name, command, previous }) => {
+        const label = previous === null ? 'New' : 'Changed';
+        const was = previous === null ? '' : ` (was \`${previous}\`)`;
+        stream.write(`\n🔴 **${label} install script** \`${name}\`: \`${command}\`${was}\n`);
+      });
+    });
+  }
+
+  /**
+   * @param {WriteStream} stream - Output stream for writing
+   * @param {Array<{file: string, type: string, hash: string}>} highRiskChanges - High-risk files from the report model
+   * @description Creates quick navigation links for high-risk changes
+   */
+  writeHighRiskNavigation(stream, highRiskChanges) {
+    if (highRiskChanges.length === 0) return;
+
+    stream.write('\n## ⚠️ High Risk Changes Quick Access\n\n');
+    highRiskChanges.forEach(({ file, type, hash }) => {
+      stream.write(hash
+        ? `- ${file} (${type}) in commit ${hash.slice(0, 7)}\n`
+        : `- ${file} (${type})\n`);
+    });
   }
 
   /**
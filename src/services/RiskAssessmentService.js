@@ -1,15 +1,28 @@
-const { RISK_PATTERNS, FILE_PATTERNS } = require('../constants/reviewPatterns');
+const { compileRiskRules } = require('./riskRuleService');
+const { numberHunkLines } = require('../utils/hunks');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const MAX_MATCH_LENGTH = 60;
 
 /**
  * Service for assessing risk levels in code changes and generating review checklists
  */
 class RiskAssessmentService {
   /**
-   * Initializes the RiskAssessmentService with predefined risk and file patterns
+   * Initializes the RiskAssessmentService with risk and file patterns
+   * @param {Object} [rules] - Rules from compileRiskRules (default: the built-in rules)
+   */
+  constructor(rules = compileRiskRules()) {
+    this.setRules(rules);
+  }
+
+  /**
+   * Replaces the risk and file patterns, e.g. with the project config applied
+   * @param {{riskPatterns: Object, filePatterns: Object}} rules - Rules from compileRiskRules or loadRiskRules
    */
-  constructor() {
-    this.riskPatterns = RISK_PATTERNS;
-    this.filePatterns = FILE_PATTERNS;
+  setRules({ riskPatterns, filePatterns }) {
+    this.riskPatterns = riskPatterns;
+    this.filePatterns = filePatterns;
   }
 
   /**
@@ -19,44 +32,146 @@ class RiskAssessmentService {
    * @returns {'LOW'|'MEDIUM'|'HIGH'} The assessed risk level
    */
   identifyRiskLevel(file, diffContent) {
+    return this.assessFile(file, [diffContent]).riskLevel;
+  }
+
+  /**
+   * Assesses a changed file line by line
+   * @param {string} file - The file path being analyzed
+   * @param {string[][]} hunks - Diff hunks of the file
+   * @returns {{riskLevel: 'LOW'|'MEDIUM'|'HIGH', fileRiskLevel: 'LOW'|'MEDIUM'|'HIGH',
+   *   fileRule: {id: string, message: string}|null, findings: Object[]}} Overall level (the highest of the file path
+   *   and its findings), the level from the file path alone with the file pattern that set it, and the findings
+   *   from findLineRisks
+   */
+  assessFile(file, hunks) {
     if (/\.(md|mdx|markdown)$/i.test(file)) {
-      return 'LOW';
+      return { riskLevel: 'LOW', fileRiskLevel: 'LOW', fileRule: null, findings: [] };
     }
-    let riskLevel = 'LOW';
-    const diffText = diffContent.join('\n');
-    
-    // Check file patterns first
-    for (const [level, patterns] of Object.entries(this.filePatterns)) {
-      if (patterns.some(pattern => pattern.test(file))) {
-        riskLevel = level;
-        break;
+
+    const { level: fileRiskLevel, rule } = this.matchFileRule(file);
+    const findings = this.findLineRisks(hunks, file);
+    const riskLevel = findings.reduce(
+      (level, { severity }) => (RISK_LEVELS.indexOf(severity) > RISK_LEVELS.indexOf(level) ? severity : level),
+      fileRiskLevel
+    );
+
+    return {
+      riskLevel,
+      fileRiskLevel,
+      fileRule: rule ? { id: rule.id, message: rule.message } : null,
+      findings
+    };
+  }
+
+  /**
+   * Determines the risk level implied by a file path alone
+   * @param {string} file - The file path (`old → new` for renames)
+   * @returns {'LOW'|'MEDIUM'|'HIGH'} Level of the first matching file pattern, LOW if none match
+   */
+  getFileRiskLevel(file) {
+    return this.matchFileRule(file).level;
+  }
+
+  /**
+   * Finds the first file pattern matching a path, checking HIGH before MEDIUM and LOW
+   * @param {string} file - The file path (`old → new` for renames)
+   * @returns {{level: 'LOW'|'MEDIUM'|'HIGH', rule: Object|null}} Level of the matching rule, LOW without a rule if none match
+   * @private
+   */
+  matchFileRule(file) {
+    for (const [level, rules] of Object.entries(this.filePatterns)) {
+      const rule = rules.find(candidate => this.ruleApplies(candidate, file) &&
+        (!candidate.pattern || candidate.pattern.test(file)));
+      if (rule) {
+        return { level, rule };
       }
     }
+    return { level: 'LOW', rule: null };
+  }
 
-    // Check content patterns
-    for (const [level, categories] of Object.entries(this.riskPatterns)) {
-      let hasMatch = false;
-      
-      for (const [category, patterns] of Object.entries(categories)) {
-        if (patterns.some(pattern => pattern.test(diffText))) {
-          hasMatch = true;
-          break;
-        }
-      }
-      
-      if (hasMatch) {
-        // Upgrade risk level if content risk is higher than file risk
-        const riskLevels = ['LOW', 'MEDIUM', 'HIGH'];
-        const currentRiskIndex = riskLevels.indexOf(riskLevel);
-        const contentRiskIndex = riskLevels.indexOf(level);
-        if (contentRiskIndex > currentRiskIndex) {
-          riskLevel = level;
-        }
-        break;
+  /**
+   * Checks the path scope of a rule
+   * @param {Object} rule - Compiled rule with optional `paths` and `excludePaths` globs
+   * @param {string} file - The file path (`old → new` for renames; the new path is used)
+   * @returns {boolean} True if the rule applies to the file
+   * @private
+   */
+  ruleApplies(rule, file) {
+    const path = file.split(' → ').pop();
+    if (rule.paths && !rule.paths.some(glob => glob.test(path))) return false;
+    if (rule.excludePaths && rule.excludePaths.some(glob => glob.test(path))) return false;
+    return true;
+  }
+
+  /**
+   * Matches every added and removed line against the content patterns
+   * @param {string[][]} hunks - Diff hunks of a file
+   * @param {string} [file=''] - The file path, for rules scoped to path globs
+   * @returns {Array<{severity: 'HIGH'|'MEDIUM', category: string, rule: string, message: string, match: string,
+   *   change: 'added'|'removed', line: number|null, oldLine: number|null, hunk: number, content: string}>} One finding
+   *   per risky line with its most severe rule; `line` is the new-file line number and `hunk` the index of the hunk
+   */
+  findLineRisks(hunks, file = '') {
+    const rules = this.getLineRules(file);
+    const findings = [];
+
+    hunks.forEach((hunk, hunkIndex) => {
+      numberHunkLines(hunk)
+        .filter(({ type }) => type !== 'context')
+        .forEach(({ type, content, newLine, oldLine }) => {
+          const risk = this.matchLine(content, rules);
+          if (risk) {
+            findings.push({
+              ...risk,
+              change: type,
+              line: newLine,
+              oldLine,
+              hunk: hunkIndex,
+              content: content.trim()
+            });
+          }
+        });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Lists the content rules that apply to a file, most severe first. LOW rules are left out since LOW is the baseline.
+   * @param {string} file - The file path
+   * @returns {Array<{severity: 'HIGH'|'MEDIUM', category: string, rule: Object}>} Applicable rules in matching order
+   * @private
+   */
+  getLineRules(file) {
+    return ['HIGH', 'MEDIUM'].flatMap(severity => Object.entries(this.riskPatterns[severity] || {})
+      .flatMap(([category, rules]) => rules
+        .filter(rule => this.ruleApplies(rule, file))
+        .map(rule => ({ severity, category, rule }))));
+  }
+
+  /**
+   * Finds the first (most severe) rule matching a line
+   * @param {string} content - Line content without the diff marker
+   * @param {Object[]} rules - Rules from getLineRules
+   * @returns {{severity: 'HIGH'|'MEDIUM', category: string, rule: string, message: string, match: string}|null}
+   *   Matched rule, or null
+   * @private
+   */
+  matchLine(content, rules) {
+    for (const { severity, category, rule } of rules) {
+      const match = content.match(rule.pattern);
+      if (match) {
+        return {
+          severity,
+          category,
+          rule: rule.id,
+          message: rule.message,
+          match: match[0].trim().slice(0, MAX_MATCH_LENGTH)
+        };
       }
     }
-
-    return riskLevel;
+    return null;
   }
 
   /**
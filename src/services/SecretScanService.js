@@ -0,0 +1,180 @@
+const {
+  SECRET_PATTERNS,
+  DOTENV_FILE_PATTERN,
+  DOTENV_ASSIGNMENT_PATTERN,
+  SENSITIVE_KEY_PATTERN,
+  PLACEHOLDER_PATTERN,
+  ENTROPY_CANDIDATE_PATTERN,
+  ENTROPY_THRESHOLD,
+  SECRET_SCAN_EXCLUDED_FILES,
+  EXAMPLE_VALUE_PATTERN
+} = require('../constants/secretPatterns');
+const { numberHunkLines } = require('../utils/hunks');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Service for detecting leaked secrets and credentials in added diff lines
+ */
+class SecretScanService {
+  /**
+   * Initializes the SecretScanService with the predefined secret patterns
+   */
+  constructor() {
+    this.secretPatterns = SECRET_PATTERNS;
+  }
+
+  /**
+   * Scans the added lines of a file's hunks for secrets and redacts every detected value
+   * @param {string} file - The file path (`old → new` for renames)
+   * @param {string[][]} hunks - Diff hunks, each starting with its `@@` header
+   * @returns {{findings: Array<{rule: string, description: string, line: number|null, value: string}>, hunks: string[][]}}
+   *   Findings with the line number in the new file and the redacted value, and the hunks with secrets redacted
+   */
+  scanHunks(file, hunks) {
+    const path = file.split(' → ').pop();
+    if (SECRET_SCAN_EXCLUDED_FILES.some(pattern => pattern.test(path))) {
+      return { findings: [], hunks };
+    }
+
+    const findings = [];
+    const secrets = new Set();
+    let inPrivateKey = false;
+
+    hunks.forEach(hunk => {
+      numberHunkLines(hunk)
+        .filter(({ type }) => type === 'added')
+        .forEach(({ content, newLine }) => {
+          if (inPrivateKey) {
+            // Key material between the BEGIN and END markers
+            if (/-----END [A-Z ]*PRIVATE KEY/.test(content)) {
+              inPrivateKey = false;
+            } else if (content.trim()) {
+              secrets.add(content.trim());
+            }
+            return;
+          }
+
+          this.scanLine(path, content).forEach(({ rule, description, value }) => {
+            if (rule === 'private-key') {
+              // A key on one line (e.g. `"private_key"` in service account JSON) has its body between the markers
+              const inline = content.match(/-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----(?:\\[nr])*\s*(.*?)(?:\\[nr])*\s*-----END [A-Z ]*PRIVATE KEY/);
+              if (inline) {
+                if (inline[1]) secrets.add(inline[1]);
+              } else {
+                inPrivateKey = true;
+              }
+            }
+            if (rule !== 'private-key') secrets.add(value);
+            findings.push({ rule, description, line: newLine, value: this.redactValue(value, rule) });
+          });
+        });
+    });
+
+    return { findings, hunks: secrets.size > 0 ? this.redactHunks(hunks, secrets) : hunks };
+  }
+
+  /**
+   * Finds secrets in a single added line
+   * @param {string} path - The file path
+   * @param {string} content - Line content without the diff marker
+   * @returns {Array<{rule: string, description: string, value: string}>} Detected secrets, at most one per value
+   */
+  scanLine(path, content) {
+    const matches = [];
+    const seen = new Set();
+    const add = (rule, description, value) => {
+      if (seen.has(value) || EXAMPLE_VALUE_PATTERN.test(value)) return;
+      seen.add(value);
+      matches.push({ rule, description, value });
+    };
+
+    this.secretPatterns.forEach(({ id, description, pattern }) => {
+      for (const match of content.matchAll(pattern)) {
+        add(id, description, match[1]);
+      }
+    });
+
+    if (DOTENV_FILE_PATTERN.test(path)) {
+      const assignment = content.match(DOTENV_ASSIGNMENT_PATTERN);
+      if (assignment) {
+        const [, key, value] = assignment;
+        if (!PLACEHOLDER_PATTERN.test(value) &&
+          (SENSITIVE_KEY_PATTERN.test(key) || this.isHighEntropy(value))) {
+          add('dotenv-assignment', `.env assignment of ${key}`, value);
+        }
+      }
+    }
+
+    for (const match of content.matchAll(ENTROPY_CANDIDATE_PATTERN)) {
+      const value = match[1];
+      // Skip values already reported by a specific rule and subresource integrity hashes
+      if ([...seen].some(secret => secret.includes(value) || value.includes(secret))) continue;
+      if (/^sha(256|384|512)-/.test(value)) continue;
+      if (this.isHighEntropy(value)) {
+        add('high-entropy-string', 'High-entropy string', value);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Checks whether a value looks randomly generated
+   * @param {string} value - Candidate value
+   * @returns {boolean} True if the value mixes letters and digits and its Shannon entropy reaches the threshold
+   */
+  isHighEntropy(value) {
+    if (value.length < 20 || !/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) {
+      return false;
+    }
+    return this.calculateEntropy(value) >= ENTROPY_THRESHOLD;
+  }
+
+  /**
+   * Calculates the Shannon entropy of a string
+   * @param {string} value - String to measure
+   * @returns {number} Entropy in bits per character
+   */
+  calculateEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach(count => {
+      const probability = count / value.length;
+      entropy -= probability * Math.log2(probability);
+    });
+    return entropy;
+  }
+
+  /**
+   * Masks a secret, keeping a short prefix so reviewers can identify which credential leaked
+   * @param {string} value - Secret value
+   * @param {string} [rule] - Rule that detected the value
+   * @returns {string} Redacted value
+   */
+  redactValue(value, rule) {
+    if (rule === 'private-key') return value;
+    return value.length >= 12 ? `${value.slice(0, 4)}${REDACTED}` : REDACTED;
+  }
+
+  /**
+   * Replaces detected secrets in every line of the hunks
+   * @param {string[][]} hunks - Diff hunks
+   * @param {Set<string>} secrets - Secret values to redact
+   * @returns {string[][]} Redacted copy of the hunks
+   * @private
+   */
+  redactHunks(hunks, secrets) {
+    // Longest first so a secret containing another one is replaced as a whole
+    const values = Array.from(secrets).sort((a, b) => b.length - a.length);
+    return hunks.map(hunk => hunk.map((line, index) => {
+      if (index === 0 && line.startsWith('@@')) return line;
+      return values.reduce((redacted, value) => redacted.split(value).join(this.redactValue(value)), line);
+    }));
+  }
+}
+
+module.exports = SecretScanService;
@@ -0,0 +1,117 @@
+jest.mock('../gitOperations');
+jest.mock('../authorService');
+jest.mock('../cacheService');
+
+const { getCommitDiff } = require('../gitOperations');
+const { getCommitDetails } = require('../authorService');
+const GitChangeService = require('../GitChangeService');
+
+const DIFF = [
+  'diff --git a/README.md b/README.md',
+  'index 1111111..2222222 100644',
+  '--- a/README.md',
+  '+++ b/README.md',
+  '@@ -1 +1,2 @@',
+  ' # Project',
+  '+More docs',
+  'diff --git a/src/new.js b/src/new.js',
+  'new file mode 100644',
+  'index 0000000..3333333',
+  '--- /dev/null',
+  '+++ b/src/new.js',
+  '@@ -0,0 +1 @@',
+  '+module.exports = {};',
+  'diff --git a/lib b/old.js b/lib b/old.js',
+  'deleted file mode 100644',
+  'index 4444444..0000000',
+  '--- a/lib b/old.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-gone',
+  'diff --git a/src/auth/login.js b/src/lib/login.js',
+  'similarity index 90%',
+  'rename from src/auth/login.js',
+  'rename to src/lib/login.js',
+  'index 5555555..6666666 100644',
+  '--- a/src/auth/login.js',
+  '+++ b/src/lib/login.js',
+  '@@ -1 +1 @@',
+  '-old',
+  '+new',
+  ''
+].join('\n');
+
+describe('GitChangeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new GitChangeService();
+  });
+
+  describe('parseDiffChanges', () => {
+    it('should categorize each file by its own header', async () => {
+      const changes = await service.parseDiffChanges(async () => DIFF);
+
+      expect(Array.from(changes.modified.keys())).toEqual(['README.md']);
+      expect(Array.from(changes.added.keys())).toEqual(['src/new.js']);
+      expect(Array.from(changes.deleted.keys())).toEqual(['lib b/old.js']);
+      expect(Array.from(changes.renamed.keys())).toEqual(['src/auth/login.js → src/lib/login.js']);
+      expect(changes.modified.get('README.md')).toEqual([['@@ -1 +1,2 @@', ' # Project', '+More docs']]);
+    });
+  });
+
+  describe('context', () => {
+    it('should request the configured context size from git', async () => {
+      getCommitDiff.mockResolvedValue(DIFF);
+
+      await new GitChangeService({ context: 10 }).getCommitDiff('abc123');
+
+      expect(getCommitDiff).toHaveBeenCalledWith('abc123', null, { context: 10 });
+    });
+
+    it('should keep line numbers when a long hunk is split', async () => {
+      const added = Array.from({ length: 1200 }, (_, index) => `+line ${index + 1}`);
+      const diff = ['diff --git a/big.txt b/big.txt', 'new file mode 100644', '--- /dev/null', '+++ b/big.txt', '@@ -0,0 +1,1200 @@', ...added].join('\n');
+
+      const changes = await service.parseDiffChanges(async () => diff);
+      const hunks = changes.added.get('big.txt');
+
+      expect(hunks).toHaveLength(2);
+      expect(hunks[1][0]).toBe('@@ -0 +1001 @@');
+      expect(hunks[1][1]).toBe('+line 1001');
+    });
+  });
+
+  describe('categorizeNetChanges', () => {
+    it('should diff base against head and keep only the given files', async () => {
+      getCommitDiff.mockResolvedValue(DIFF);
+
+      const changes = await service.categorizeNetChanges('base', 'head', new Set(['src/lib/login.js', 'src/new.js']));
+
+      expect(getCommitDiff).toHaveBeenCalledWith('head', 'base', { stream: false, context: null });
+      expect(changes.modified.size).toBe(0);
+      expect(changes.deleted.size).toBe(0);
+      expect(Array.from(changes.added.keys())).toEqual(['src/new.js']);
+      expect(Array.from(changes.renamed.keys())).toEqual(['src/auth/login.js → src/lib/login.js']);
+    });
+  });
+
+  describe('mapFilesToCommits', () => {
+    it('should list contributing commits oldest first and follow renames', async () => {
+      getCommitDetails.mockResolvedValue('3\t0\tREADME.md');
+      const commits = [
+        { hash: 'c3', subject: 'move login', numstat: '1\t1\tsrc/{auth => lib}/login.js' },
+        { hash: 'c2', subject: 'docs' },
+        { hash: 'c1', subject: 'add login', numstat: '10\t0\tsrc/auth/login.js' }
+      ];
+
+      const files = await service.mapFilesToCommits(commits);
+
+      expect(getCommitDetails).toHaveBeenCalledWith('c2');
+      expect(files.get('README.md').map(({ hash }) => hash)).toEqual(['c2']);
+      expect(files.get('src/lib/login.js').map(({ hash }) => hash)).toEqual(['c1', 'c3']);
+      expect(files.get('src/auth/login.js').map(({ hash }) => hash)).toEqual(['c1', 'c3']);
+    });
+  });
+});
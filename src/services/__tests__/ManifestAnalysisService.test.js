@@ -0,0 +1,98 @@
+jest.mock('../gitOperations');
+
+const { getFileAtRevision } = require('../gitOperations');
+const ManifestAnalysisService = require('../ManifestAnalysisService');
+
+describe('ManifestAnalysisService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ManifestAnalysisService();
+  });
+
+  describe('compareManifests', () => {
+    it('should report dependency changes and install scripts in package.json', () => {
+      const before = JSON.stringify({
+        dependencies: { express: '^4.18.0', lodash: '^4.17.20', request: '^2.88.0', chalk: '^5.0.0' },
+        devDependencies: { jest: 'latest' },
+        scripts: { test: 'jest', prepare: 'husky' }
+      });
+      const after = JSON.stringify({
+        dependencies: { express: '^5.0.0', lodash: '^4.17.21', chalk: '^4.1.2', axios: '^1.6.0' },
+        devDependencies: { jest: '^29.0.0' },
+        scripts: { test: 'jest --ci', prepare: 'husky install', postinstall: 'node setup.js' }
+      });
+
+      expect(service.compareManifests('npm', before, after)).toEqual({
+        ecosystem: 'npm',
+        added: [{ name: 'axios', scope: 'dependencies', version: '^1.6.0' }],
+        removed: [{ name: 'request', scope: 'dependencies', version: '^2.88.0' }],
+        upgraded: [
+          { name: 'express', scope: 'dependencies', from: '^4.18.0', to: '^5.0.0', major: true },
+          { name: 'lodash', scope: 'dependencies', from: '^4.17.20', to: '^4.17.21', major: false }
+        ],
+        downgraded: [{ name: 'chalk', scope: 'dependencies', from: '^5.0.0', to: '^4.1.2', major: true }],
+        changed: [{ name: 'jest', scope: 'devDependencies', from: 'latest', to: '^29.0.0' }],
+        installScripts: [
+          { name: 'postinstall', command: 'node setup.js', previous: null },
+          { name: 'prepare', command: 'husky install', previous: 'husky' }
+        ]
+      });
+    });
+
+    it('should parse requirements files', () => {
+      const before = 'Django==3.2.0\nrequests>=2.0  # http\n-r base.txt\n';
+      const after = 'django==4.2.1\nrequests>=2.0 ; python_version >= "3.8"\nnumpy\n';
+
+      const analysis = service.compareManifests('pip', before, after);
+
+      expect(analysis.upgraded).toEqual([{ name: 'django', scope: 'requirements', from: '==3.2.0', to: '==4.2.1', major: true }]);
+      expect(analysis.added).toEqual([{ name: 'numpy', scope: 'requirements', version: '' }]);
+      expect(analysis.removed).toEqual([]);
+    });
+
+    it('should parse go.mod require directives', () => {
+      const before = 'module example.com/app\n\nrequire (\n\tgithub.com/pkg/errors v0.9.1\n\tgolang.org/x/sys v0.1.0 // indirect\n)\n';
+      const after = 'module example.com/app\n\nrequire github.com/pkg/errors v0.8.0\nrequire golang.org/x/sys v0.1.0 // indirect\n';
+
+      const analysis = service.compareManifests('go', before, after);
+
+      expect(analysis.downgraded).toEqual([{ name: 'github.com/pkg/errors', scope: 'direct', from: 'v0.9.1', to: 'v0.8.0', major: true }]);
+      expect(service.hasChanges({ ...analysis, downgraded: [] })).toBe(false);
+    });
+  });
+
+  describe('analyzeFile', () => {
+    it('should read a renamed manifest under its old and new path', async () => {
+      getFileAtRevision.mockImplementation(async (revision, filePath) => (
+        revision === 'base' && filePath === 'old/package.json'
+          ? '{"dependencies":{"a":"1.0.0"}}'
+          : '{"dependencies":{"a":"1.1.0"}}'
+      ));
+
+      const analysis = await service.analyzeFile('old/package.json → new/package.json', 'renamed', 'base', 'head');
+
+      expect(getFileAtRevision).toHaveBeenCalledWith('head', 'new/package.json');
+      expect(analysis.upgraded).toEqual([{ name: 'a', scope: 'dependencies', from: '1.0.0', to: '1.1.0', major: false }]);
+    });
+
+    it('should skip other files, unchanged dependencies and invalid JSON', async () => {
+      getFileAtRevision.mockResolvedValue('{"version":"1.0.0"}');
+      expect(await service.analyzeFile('src/index.js', 'modified', 'base', 'head')).toBeNull();
+      expect(await service.analyzeFile('package.json', 'modified', 'base', 'head')).toBeNull();
+
+      getFileAtRevision.mockResolvedValue('{ not json');
+      expect(await service.analyzeFile('package.json', 'modified', 'base', 'head')).toBeNull();
+    });
+
+    it('should treat every dependency of an added manifest as added', async () => {
+      getFileAtRevision.mockResolvedValue('{"devDependencies":{"jest":"^29.0.0"}}');
+
+      const analysis = await service.analyzeFile('package.json', 'added', 'base', 'head');
+
+      expect(getFileAtRevision).toHaveBeenCalledTimes(1);
+      expect(analysis.added).toEqual([{ name: 'jest', scope: 'devDependencies', version: '^29.0.0' }]);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const ReviewReportGenerator = require('../ReviewReportGenerator');
+
+describe('ReviewReportGenerator', () => {
+  const generator = new ReviewReportGenerator(null, null, null);
+
+  describe('formatDiffForMarkdown', () => {
+    it('should keep the hunk header and number every line', () => {
+      const block = generator.formatDiffForMarkdown(['@@ -9,3 +9,3 @@ function login() {', ' a', '-b', '+c', ' d']);
+
+      expect(block.split('\n')).toEqual([
+        '```diff',
+        '@@ -9,3 +9,3 @@ function login() {',
+        '  9  9 | a',
+        '-10    | b',
+        '+   10 | c',
+        ' 11 11 | d',
+        '```'
+      ]);
+    });
+
+    it('should write content verbatim and lengthen the fence past backtick runs', () => {
+      const block = generator.formatDiffForMarkdown(['@@ -0,0 +1 @@', '+const md = `**${a}** [x](y) ``` done`;']);
+
+      expect(block.split('\n')).toEqual([
+        '````diff',
+        '@@ -0,0 +1 @@',
+        '+  1 | const md = `**${a}** [x](y) ``` done`;',
+        '````'
+      ]);
+    });
+  });
+});
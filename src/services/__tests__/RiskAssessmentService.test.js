@@ -0,0 +1,82 @@
+const RiskAssessmentService = require('../RiskAssessmentService');
+const { compileRiskRules } = require('../riskRuleService');
+
+describe('RiskAssessmentService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RiskAssessmentService();
+  });
+
+  describe('assessFile', () => {
+    it('should report the most severe category of each changed line', () => {
+      const hunks = [
+        ['@@ -1,3 +1,3 @@', ' // header', '-const total = 1;', '+const password = read();', ' const b = 2;'],
+        ['@@ -20 +20,2 @@', ' const c = 3;', '+  } catch (err) {']
+      ];
+
+      const { riskLevel, fileRiskLevel, findings } = service.assessFile('src/util.js', hunks);
+
+      expect(riskLevel).toBe('HIGH');
+      expect(fileRiskLevel).toBe('LOW');
+      expect(findings).toEqual([
+        {
+          severity: 'HIGH',
+          category: 'security',
+          rule: 'security-auth',
+          message: 'Authentication & authorization',
+          match: 'password',
+          change: 'added',
+          line: 2,
+          oldLine: null,
+          hunk: 0,
+          content: 'const password = read();'
+        },
+        {
+          severity: 'MEDIUM',
+          category: 'codeQuality',
+          rule: 'quality-error-handling',
+          message: 'Error handling',
+          match: 'catch',
+          change: 'added',
+          line: 21,
+          oldLine: null,
+          hunk: 1,
+          content: '} catch (err) {'
+        }
+      ]);
+    });
+
+    it('should not let context lines raise the level', () => {
+      const hunks = [['@@ -1,2 +1,2 @@', ' const secret = 1;', '-a', '+b']];
+
+      expect(service.assessFile('src/util.js', hunks)).toEqual({ riskLevel: 'LOW', fileRiskLevel: 'LOW', fileRule: null, findings: [] });
+    });
+
+    it('should keep the file path level when no line matches', () => {
+      const hunks = [['@@ -1 +1 @@', '-a', '+b']];
+
+      expect(service.assessFile('src/middleware/cors.js', hunks)).toMatchObject({
+        riskLevel: 'HIGH',
+        fileRule: { id: 'file-middleware', message: 'Middleware' }
+      });
+      expect(service.assessFile('README.md', [['@@ -1 +1 @@', '+token']]).riskLevel).toBe('LOW');
+    });
+
+    it('should apply rules scoped to path globs only to matching files', () => {
+      service.setRules(compileRiskRules({
+        riskRules: {
+          MEDIUM: {
+            legacy: [{ id: 'legacy-global', pattern: 'window\\.', message: 'Global access', paths: ['legacy/**'] }]
+          }
+        }
+      }));
+      const hunks = [['@@ -1 +1 @@', '+window.x = 1;']];
+
+      expect(service.assessFile('legacy/app.js', hunks).findings).toMatchObject([
+        { severity: 'MEDIUM', category: 'legacy', rule: 'legacy-global', message: 'Global access' }
+      ]);
+      expect(service.assessFile('src/app.js', hunks).findings).toEqual([]);
+    });
+  });
+});
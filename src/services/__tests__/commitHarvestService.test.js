@@ -0,0 +1,56 @@
+jest.mock('../gitOperations');
+
+const { streamGitCommand } = require('../gitOperations');
+const { harvestCommits, parseCommitRecord } = require('../commitHarvestService');
+
+const record = (fields, numstat) => `\x1e${fields.join('\x1f')}\x1f${numstat}`;
+
+const FIRST = record(
+  ['aaa111', 'John Doe', 'john@example.com', '2024-02-05T10:00:00+08:00',
+    'Jane Roe', 'jane@example.com', '2024-02-06T09:00:00+08:00', 'feat: add login', 'Body line\n'],
+  '\n5\t1\tsrc/login.js\n-\t-\tlogo.png\n'
+);
+const SECOND = record(
+  ['bbb222', 'John Doe', 'john@example.com', '2024-02-04T10:00:00+08:00',
+    'John Doe', 'john@example.com', '2024-02-04T10:00:00+08:00', 'chore: empty', ''],
+  ''
+);
+
+describe('commitHarvestService', () => {
+  describe('parseCommitRecord', () => {
+    it('should parse metadata and numstat from a record', () => {
+      expect(parseCommitRecord(FIRST.slice(1))).toEqual({
+        hash: 'aaa111',
+        date: '2024-02-05T10:00:00+08:00',
+        subject: 'feat: add login',
+        body: 'Body line',
+        author: { name: 'John Doe', email: 'john@example.com' },
+        committer: { name: 'Jane Roe', email: 'jane@example.com', date: '2024-02-06T09:00:00+08:00' },
+        numstat: '5\t1\tsrc/login.js\n-\t-\tlogo.png'
+      });
+    });
+
+    it('should ignore incomplete records', () => {
+      expect(parseCommitRecord('')).toBeNull();
+      expect(parseCommitRecord('aaa111\x1fJohn Doe')).toBeNull();
+    });
+  });
+
+  describe('harvestCommits', () => {
+    it('should parse records split across output chunks', async () => {
+      const output = FIRST + '\n' + SECOND;
+      streamGitCommand.mockImplementation(async (args, onData) => {
+        for (let i = 0; i < output.length; i += 7) {
+          onData(output.slice(i, i + 7));
+        }
+      });
+
+      const commits = await harvestCommits(['--author=John']);
+
+      expect(streamGitCommand.mock.calls[0][0]).toEqual(expect.arrayContaining(['log', '--numstat', '--author=John']));
+      expect(commits.map(commit => commit.hash)).toEqual(['aaa111', 'bbb222']);
+      expect(commits[0].subject).toBe('feat: add login');
+      expect(commits[1].numstat).toBe('');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { categorizeCommit, calculateTypeMetrics } = require('../commitTypeService');
+const { categorizeCommit, calculateTypeMetrics, compileCommitTypes } = require('../commitTypeService');
 
 describe('commitTypeService', () => {
   describe('categorizeCommit', () => {
@@ -45,6 +45,26 @@ describe('commitTypeService', () => {
     });
   });
 
+  describe('Conventional Commits', () => {
+    test('should categorize headers with a scope or breaking marker', () => {
+      expect(categorizeCommit({ message: 'feat(auth): add SSO', files: [] })).toEqual(['FEATURE']);
+      expect(categorizeCommit({ message: 'fix!: drop legacy tokens', files: [] })).toEqual(['BUG_FIX']);
+      expect(categorizeCommit({ message: 'Perf(db): batch inserts', files: [] })).toEqual(['PERFORMANCE']);
+    });
+
+    test('should categorize perf, ci, style and revert commits', () => {
+      expect(categorizeCommit({ message: 'perf: cache lookups', files: [] })).toEqual(['PERFORMANCE']);
+      expect(categorizeCommit({ message: 'ci: run on pull requests', files: [] })).toEqual(['CONFIG']);
+      expect(categorizeCommit({ message: 'style: format files', files: [] })).toEqual(['STYLE']);
+      expect(categorizeCommit({ message: 'revert: feat(auth): add SSO', files: [] })).toEqual(['REVERT']);
+      expect(categorizeCommit({ message: 'Revert "feat(auth): add SSO"', files: [] })).toEqual(['REVERT']);
+    });
+
+    test('should fall back to file patterns for unknown types', () => {
+      expect(categorizeCommit({ message: 'wip: half done', files: ['README.md'] })).toEqual(['DOCS']);
+    });
+  });
+
   describe('calculateTypeMetrics', () => {
     test('should calculate type breakdown and primary type', () => {
       const commits = [
@@ -78,5 +98,108 @@ describe('commitTypeService', () => {
       expect(metrics.typeBreakdown[0].type).toBe('UNKNOWN');
       expect(metrics.typeBreakdown[0].percentage).toBe('100.00');
     });
+
+    test('should count scopes and breaking changes', () => {
+      const metrics = calculateTypeMetrics([
+        { message: 'feat(auth): add SSO', files: [] },
+        { message: 'fix(auth)!: reject expired tokens', files: [] },
+        { message: 'refactor(api): split router', body: 'Details\n\nBREAKING CHANGE: routes moved', files: [] },
+        { message: 'docs: update README', body: 'breaking change: not a footer', files: [] }
+      ]);
+
+      expect(metrics.scopeBreakdown).toEqual([
+        { scope: 'auth', count: 2, percentage: '66.67' },
+        { scope: 'api', count: 1, percentage: '33.33' }
+      ]);
+      expect(metrics.breakingChanges).toBe(2);
+    });
+  });
+
+  describe('compileCommitTypes', () => {
+    const config = {
+      commitTypes: {
+        categories: {
+          BUG_FIX: { name: 'Bug fix', patterns: ['^\\[[A-Z]+-\\d+\\]\\s*fix', '🐛|:bug:'] },
+          SECURITY: { name: 'Security', patterns: ['🔒|:lock:'], filePatterns: ['src/auth/**'], priority: 10 },
+          STYLE: false
+        }
+      }
+    };
+
+    test('should return the built-in categories without config', () => {
+      const categories = compileCommitTypes();
+
+      expect(categories.map(({ id }) => id)).toEqual(
+        ['FEATURE', 'BUG_FIX', 'REFACTOR', 'PERFORMANCE', 'STYLE', 'DOCS', 'TEST', 'CONFIG', 'REVERT']
+      );
+      expect(categories[0]).toMatchObject({ id: 'FEATURE', name: 'FEATURE', patterns: [], priority: 0 });
+    });
+
+    test('should merge, add, prioritize and disable categories', () => {
+      const categories = compileCommitTypes(config);
+      const bugFix = categories.find(({ id }) => id === 'BUG_FIX');
+
+      expect(categories[0]).toMatchObject({ id: 'SECURITY', name: 'Security', types: [], priority: 10 });
+      expect(categories.map(({ id }) => id)).not.toContain('STYLE');
+      expect(bugFix.name).toBe('Bug fix');
+      expect(bugFix.types).toContain('fix');
+      expect(bugFix.patterns).toHaveLength(2);
+    });
+
+    test('should replace the built-in categories', () => {
+      const categories = compileCommitTypes({
+        commitTypes: { replaceBuiltin: true, categories: { TICKET: { patterns: ['^[A-Z]+-\\d+'] } } }
+      });
+
+      expect(categories.map(({ id }) => id)).toEqual(['TICKET']);
+      expect(categorizeCommit({ message: 'feat: login', files: ['src/a.test.js'] }, categories)).toEqual([]);
+      expect(categorizeCommit({ message: 'proj-7 login', files: [] }, categories)).toEqual(['TICKET']);
+    });
+
+    test('should drop stateful regular expression flags', () => {
+      const categories = compileCommitTypes({
+        commitTypes: { replaceBuiltin: true, categories: { TICKET: { patterns: ['^[A-Z]+-\\d+'], flags: 'gi' } } }
+      });
+
+      expect(categories[0].patterns[0].flags).toBe('i');
+      expect(categorizeCommit({ message: 'PROJ-1 login', files: [] }, categories)).toEqual(['TICKET']);
+      expect(categorizeCommit({ message: 'PROJ-2 logout', files: [] }, categories)).toEqual(['TICKET']);
+    });
+
+    test.each([
+      [{ commitTypes: [] }, 'expected an object'],
+      [{ commitTypes: { types: {} } }, 'unknown property types'],
+      [{ commitTypes: { categories: { FEATURE: { regex: 'x' } } } }, 'unknown property regex'],
+      [{ commitTypes: { categories: { FEATURE: { patterns: ['('] } } } }, 'Invalid commit type "FEATURE"'],
+      [{ commitTypes: { categories: { FEATURE: { priority: 'high' } } } }, '"priority" must be a number'],
+      [{ commitTypes: { categories: { CHORE: { name: 'Chore' } } } }, 'needs "types", "patterns" or "filePatterns"'],
+      [{ commitTypes: { categories: { CHORE: false } } }, 'cannot disable an unknown category'],
+      [{ commitTypes: { categories: { UNKNOWN: { types: ['x'] } } } }, 'reserved'],
+      [{ commitTypes: { replaceBuiltin: true } }, 'no categories left']
+    ])('should reject invalid config %#', (invalid, message) => {
+      expect(() => compileCommitTypes(invalid)).toThrow(message);
+    });
+
+    test('should categorize commits with the configured categories', () => {
+      const categories = compileCommitTypes(config);
+
+      expect(categorizeCommit({ message: '[PROJ-123] Fix login redirect', files: [] }, categories)).toEqual(['BUG_FIX']);
+      expect(categorizeCommit({ message: '🐛 Handle empty carts', files: [] }, categories)).toEqual(['BUG_FIX']);
+      // Higher priority wins over the Conventional Commits type
+      expect(categorizeCommit({ message: 'fix: :lock: escape session ids', files: [] }, categories)).toEqual(['SECURITY']);
+      // File patterns of higher-priority categories are tried first
+      expect(categorizeCommit({ message: 'Update', files: ['src/auth/session.js'] }, categories)).toEqual(['SECURITY']);
+      expect(categorizeCommit({ message: 'style: format', files: [] }, categories)).toEqual([]);
+    });
+
+    test('should report display names with the type metrics', () => {
+      const metrics = calculateTypeMetrics([
+        { message: '[PROJ-1] fix crash', files: [] },
+        { message: 'feat: add export', files: [] },
+        { message: 'Update', files: [] }
+      ], compileCommitTypes(config));
+
+      expect(metrics.typeNames).toEqual({ BUG_FIX: 'Bug fix', FEATURE: 'FEATURE', UNKNOWN: 'UNKNOWN' });
+    });
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,104 @@
+jest.mock('../authorService');
+jest.mock('../metricsService');
+
+const { getAuthorCommits } = require('../authorService');
+const { calculateVelocityMetrics } = require('../metricsService');
+const { calculateDelta, compareMetrics, getComparison } = require('../compareService');
+
+/**
+ * Builds a metrics object shaped like calculateVelocityMetrics output
+ * @param {Object} overrides - Values to override
+ * @returns {Object} Metrics
+ */
+function buildMetrics(overrides = {}) {
+  return {
+    totalLinesChanged: 0,
+    totalInsertions: 0,
+    totalDeletions: 0,
+    averageCommitSize: 0,
+    commitsPerDay: 0,
+    coAuthoredCommits: 0,
+    timeDistribution: { morning: 0, afternoon: 0, evening: 0 },
+    impactMetrics: { topFiles: [], directoryImpact: [] },
+    typeMetrics: { typeBreakdown: [], primaryContributionType: 'UNKNOWN' },
+    ...overrides
+  };
+}
+
+describe('compareService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateDelta', () => {
+    it('should return absolute and percentage change', () => {
+      expect(calculateDelta(10, 15)).toEqual({ baseline: 10, value: 15, delta: 5, percent: 50 });
+      expect(calculateDelta(8, 6)).toEqual({ baseline: 8, value: 6, delta: -2, percent: -25 });
+    });
+
+    it('should not report a percentage when the baseline is zero', () => {
+      expect(calculateDelta(0, 3).percent).toBeNull();
+      expect(calculateDelta(0, 0).percent).toBe(0);
+    });
+  });
+
+  describe('compareMetrics', () => {
+    it('should compare summary figures, commit types, time distribution and directories', () => {
+      const first = {
+        commitCount: 4,
+        metrics: buildMetrics({
+          totalLinesChanged: 200,
+          timeDistribution: { morning: 75, afternoon: 25, evening: 0 },
+          typeMetrics: { typeBreakdown: [{ type: 'FEATURE', count: 3 }, { type: 'BUG_FIX', count: 1 }] },
+          impactMetrics: { topFiles: [], directoryImpact: [{ directory: 'src', changes: 150 }, { directory: 'docs', changes: 50 }] }
+        })
+      };
+      const second = {
+        commitCount: 6,
+        metrics: buildMetrics({
+          totalLinesChanged: 100,
+          timeDistribution: { morning: 50, afternoon: 50, evening: 0 },
+          typeMetrics: { typeBreakdown: [{ type: 'BUG_FIX', count: 5 }, { type: 'TEST', count: 1 }] },
+          impactMetrics: { topFiles: [], directoryImpact: [{ directory: 'src', changes: 80 }, { directory: 'test', changes: 20 }] }
+        })
+      };
+
+      const comparison = compareMetrics(first, second);
+
+      expect(comparison.summary.commits).toEqual({ baseline: 4, value: 6, delta: 2, percent: 50 });
+      expect(comparison.summary.totalLinesChanged.percent).toBe(-50);
+      expect(comparison.commitTypes.map(({ type, delta }) => [type, delta])).toEqual([
+        ['BUG_FIX', 4],
+        ['FEATURE', -3],
+        ['TEST', 1]
+      ]);
+      expect(comparison.timeDistribution.afternoon.delta).toBe(25);
+      expect(comparison.directories.map(({ directory, baseline, value }) => [directory, baseline, value])).toEqual([
+        ['src', 150, 80],
+        ['docs', 50, 0],
+        ['test', 0, 20]
+      ]);
+    });
+  });
+
+  describe('getComparison', () => {
+    it('should collect metrics for both sides', async () => {
+      getAuthorCommits
+        .mockResolvedValueOnce([{ hash: 'a' }, { hash: 'b' }])
+        .mockResolvedValueOnce([{ hash: 'c' }]);
+      calculateVelocityMetrics
+        .mockResolvedValueOnce(buildMetrics({ totalLinesChanged: 10 }))
+        .mockResolvedValueOnce(buildMetrics({ totalLinesChanged: 30 }));
+
+      const result = await getComparison([
+        { label: 'Jane', author: 'Jane', since: '2024-01-01', until: '' },
+        { label: 'John', author: 'John', since: '2024-01-01', until: '' }
+      ], ['src'], [], { attribution: 'both' });
+
+      expect(getAuthorCommits).toHaveBeenNthCalledWith(1, 'Jane', '2024-01-01', '', ['src'], [], { attribution: 'both' });
+      expect(getAuthorCommits).toHaveBeenNthCalledWith(2, 'John', '2024-01-01', '', ['src'], [], { attribution: 'both' });
+      expect(result.sides.map(({ label, commitCount }) => [label, commitCount])).toEqual([['Jane', 2], ['John', 1]]);
+      expect(result.comparison.summary.totalLinesChanged).toEqual({ baseline: 10, value: 30, delta: 20, percent: 200 });
+    });
+  });
+});
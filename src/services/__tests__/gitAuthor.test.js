@@ -1,8 +1,18 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { execGitCommand, isGitRepository } = require('../gitOperations');
-const { getAuthorCommits } = require('../authorService');
+const {
+  execGitCommand,
+  isGitRepository,
+  createReviewBranch,
+  getBranchDiff,
+  cleanupReviewBranch,
+  hasUncommittedChanges,
+  stashChanges,
+  popStash,
+  branchExists
+} = require('../gitOperations');
+const { getAuthorCommits, getRangeEnds, getRevisionCommits } = require('../authorService');
 
 
 describe('Git Operations Integration Tests', () => {
@@ -121,6 +131,15 @@ describe('Git Operations Integration Tests', () => {
       expect(mainCommits).toHaveLength(2);
     });
 
+    it('should include author, committer and numstat from a single log pass', async () => {
+      const commits = await getAuthorCommits('Test User', '', '', ['test1.txt', 'test2.txt', 'test3.txt', 'test4.txt']);
+      const firstCommit = commits.find(commit => commit.subject === 'First commit');
+
+      expect(firstCommit.author).toEqual({ name: 'Test User', email: 'test@example.com' });
+      expect(firstCommit.committer).toHaveProperty('name', 'Test User');
+      expect(firstCommit.numstat).toBe('1\t0\ttest1.txt');
+    });
+
     it('should return empty array for non-existent author', async () => {
       const commits = await getAuthorCommits('Non Existent');
       expect(commits).toHaveLength(0);
@@ -160,4 +179,78 @@ describe('Git Operations Integration Tests', () => {
       expect(secondCommit).toBeFalsy();
     });
   });
+
+  describe('getRevisionCommits', () => {
+    it('should retrieve the commits of a revision range', async () => {
+      const commits = await getRevisionCommits({ range: 'main..feature' });
+      expect(commits.map(commit => commit.subject)).toEqual(['Feature commit']);
+      expect(commits[0].author).toEqual({ name: 'Test User', email: 'test@example.com' });
+    });
+
+    it('should retrieve an explicit list of commits', async () => {
+      const commits = await getRevisionCommits({ commits: ['feature', 'feature~2', 'feature'] });
+      expect(commits.map(commit => commit.subject).sort()).toEqual(['Feature commit', 'First commit']);
+    });
+
+    it('should retrieve a range containing a merged branch in topological order', async () => {
+      execSync('git checkout -b release main');
+      execSync('git tag v1.0');
+      execSync('git checkout -b topic');
+      fs.writeFileSync('topic.txt', 'Topic 1');
+      execSync('git add topic.txt');
+      execSync('git commit -m "Topic commit" --date="2024-02-06T10:00:00Z"');
+      // Reordered history: the tip has an older author date than its parent
+      fs.writeFileSync('topic.txt', 'Topic 2');
+      execSync('git commit -am "Topic follow-up" --date="2024-02-05T10:00:00Z"');
+      execSync('git checkout release');
+      execSync('git merge --no-ff topic -m "Merge topic"');
+      execSync('git tag v1.1');
+      execSync('git checkout main');
+
+      const commits = await getRevisionCommits({ range: 'v1.0..v1.1' });
+      expect(commits.map(commit => commit.subject)).toEqual(['Topic follow-up', 'Topic commit']);
+
+      const ends = await getRangeEnds('v1.0..v1.1');
+      expect(ends).toEqual({
+        base: execSync('git rev-parse v1.0').toString().trim(),
+        head: execSync('git rev-parse v1.1').toString().trim()
+      });
+    });
+
+    it('should reject invalid references and ranges', async () => {
+      await expect(getRevisionCommits({ range: 'main..no-such-branch' })).rejects.toThrow('Invalid git reference: no-such-branch');
+      await expect(getRevisionCommits({ commits: ['--output=x'] })).rejects.toThrow('Invalid git reference: --output=x');
+      await expect(getRevisionCommits({ range: 'feature' })).rejects.toThrow('Invalid revision range: feature');
+      await expect(getRevisionCommits({})).rejects.toThrow('Either a revision range or a list of commits is required');
+    });
+  });
+
+  describe('review branch workflow', () => {
+    it('should accumulate cherry-picked commits and restore the working tree', async () => {
+      execSync('git checkout main');
+      const base = execSync('git rev-parse main~1').toString().trim();
+      const head = execSync('git rev-parse main').toString().trim();
+      const feature = execSync('git rev-parse feature').toString().trim();
+
+      fs.writeFileSync('test1.txt', 'Uncommitted change');
+      expect(await hasUncommittedChanges()).toBe(true);
+      await stashChanges('review test');
+      expect(await hasUncommittedChanges()).toBe(false);
+
+      await createReviewBranch('review/test', [feature, head], base);
+      expect(await branchExists('review/test')).toBe(true);
+
+      const diff = await getBranchDiff(base, 'review/test');
+      expect(diff).toContain('test3.txt');
+      expect(diff).toContain('test4.txt');
+
+      await cleanupReviewBranch('review/test', 'main');
+      await popStash();
+
+      expect(await branchExists('review/test')).toBe(false);
+      expect((await execGitCommand('git', ['rev-parse', '--abbrev-ref', 'HEAD'])).trim()).toBe('main');
+      expect(fs.readFileSync('test1.txt', 'utf8')).toBe('Uncommitted change');
+      execSync('git checkout -- test1.txt');
+    });
+  });
 }); 
\ No newline at end of file
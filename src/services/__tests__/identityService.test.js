@@ -0,0 +1,70 @@
+const { groupIdentities, normalizeAliases, matchesPerson } = require('../identityService');
+
+const entry = (name, email, commits, mappedName = name, mappedEmail = email) => ({
+  name, email, mappedName, mappedEmail, commits
+});
+
+describe('identityService', () => {
+  describe('normalizeAliases', () => {
+    it('should lowercase identities and include the canonical name', () => {
+      const [alias] = normalizeAliases({ 'Jane Doe': ['Jane@Work.com', 'jdoe'] });
+
+      expect(alias.name).toBe('Jane Doe');
+      expect([...alias.identities]).toEqual(['jane doe', 'jane@work.com', 'jdoe']);
+    });
+
+    it('should reject malformed alias config', () => {
+      expect(() => normalizeAliases(['Jane Doe'])).toThrow('Invalid "aliases" config');
+      expect(() => normalizeAliases({ 'Jane Doe': 'jane@work.com' })).toThrow('Invalid aliases for "Jane Doe"');
+    });
+  });
+
+  describe('groupIdentities', () => {
+    it('should merge identities mapped to the same person by .mailmap', () => {
+      const people = groupIdentities([
+        entry('Jane Doe', 'jane@work.com', 5),
+        entry('Jane D', 'jane@home.com', 2, 'Jane Doe', 'jane@work.com'),
+        entry('John Smith', 'john@example.com', 3)
+      ]);
+
+      expect(people).toHaveLength(2);
+      expect(people[0]).toEqual({
+        name: 'Jane Doe',
+        email: 'jane@work.com',
+        commits: 7,
+        identities: [
+          { name: 'Jane Doe', email: 'jane@work.com', commits: 5 },
+          { name: 'Jane D', email: 'jane@home.com', commits: 2 }
+        ]
+      });
+    });
+
+    it('should merge identities listed under the same alias', () => {
+      const aliases = normalizeAliases({ 'Jane Doe': ['jane@home.com', 'jdoe'] });
+      const people = groupIdentities([
+        entry('jdoe', 'jdoe@ci.local', 1),
+        entry('Jane', 'jane@home.com', 4),
+        entry('John Smith', 'john@example.com', 3)
+      ], aliases);
+
+      expect(people.map(({ name, email, commits }) => ({ name, email, commits }))).toEqual([
+        { name: 'Jane Doe', email: 'jane@home.com', commits: 5 },
+        { name: 'John Smith', email: 'john@example.com', commits: 3 }
+      ]);
+    });
+  });
+
+  describe('matchesPerson', () => {
+    it('should match any identity name or email case-insensitively', () => {
+      const person = {
+        name: 'Jane Doe',
+        email: 'jane@work.com',
+        identities: [{ name: 'Jane D', email: 'jane@home.com' }]
+      };
+
+      expect(matchesPerson(person, 'JANE@HOME.COM')).toBe(true);
+      expect(matchesPerson(person, 'jane doe')).toBe(true);
+      expect(matchesPerson(person, 'Jane')).toBe(false);
+    });
+  });
+});
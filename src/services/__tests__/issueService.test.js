@@ -0,0 +1,143 @@
+jest.mock('../configService');
+jest.mock('../gitOperations');
+
+const { loadConfig } = require('../configService');
+const { listBranches, getBranchOnlyCommits } = require('../gitOperations');
+const {
+  compileIssueConfig,
+  extractIssueKeys,
+  findCommitIssues,
+  groupCommitsByIssue
+} = require('../issueService');
+
+describe('issueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadConfig.mockResolvedValue({});
+    listBranches.mockResolvedValue([]);
+  });
+
+  describe('extractIssueKeys', () => {
+    it('should find Jira, GitHub and GH- keys with the default patterns', () => {
+      const config = compileIssueConfig();
+
+      expect(extractIssueKeys('[PROJ-123] Fix login (#456), see GH-78 and PROJ-123', config)).toEqual([
+        { key: 'PROJ-123', url: null },
+        { key: 'GH-78', url: null },
+        { key: '#456', url: null }
+      ]);
+      expect(extractIssueKeys('Escape &#39; in docs/page#12 and proj-1', config)).toEqual([]);
+    });
+
+    it('should not take standards and encodings for tickets with the default patterns', () => {
+      const config = compileIssueConfig();
+
+      expect(extractIssueKeys('Fix UTF-8 decoding and SHA-256 digests per ISO-8601 and RFC-7231', config)).toEqual([]);
+      expect(extractIssueKeys('Handle X-1 and A1-2 headers for AB-3', config)).toEqual([{ key: 'AB-3', url: null }]);
+    });
+
+    it('should use capture groups as keys and fill link templates', () => {
+      const config = compileIssueConfig({
+        issues: {
+          patterns: [
+            { pattern: '\\b(?:proj|ops)-\\d+\\b', flags: 'i', link: 'https://jira.example.com/browse/{key}' },
+            { pattern: 'Refs (#\\d+)', link: 'https://github.com/acme/app/issues/{number}' }
+          ]
+        }
+      });
+
+      expect(extractIssueKeys('proj-7: Refs #12', config)).toEqual([
+        { key: 'PROJ-7', url: 'https://jira.example.com/browse/PROJ-7' },
+        { key: '#12', url: 'https://github.com/acme/app/issues/12' }
+      ]);
+    });
+  });
+
+  describe('compileIssueConfig', () => {
+    it.each([
+      [{ issues: [] }, 'expected an object'],
+      [{ issues: { links: {} } }, 'unknown property links'],
+      [{ issues: { patterns: {} } }, 'expected a list of patterns'],
+      [{ issues: { patterns: ['PROJ-\\d+'] } }, 'every pattern needs a string "pattern"'],
+      [{ issues: { patterns: [{ pattern: '(' }] } }, 'Invalid issue pattern "("'],
+      [{ issues: { patterns: [{ pattern: 'X-\\d+', url: 'x' }] } }, 'unknown property url'],
+      [{ issues: { patterns: [{ pattern: 'X-\\d+', link: 'https://example.com' }] } }, 'URL template'],
+      [{ issues: { sources: ['tag'] } }, 'expected a list of subject, body, branch']
+    ])('should reject invalid config %#', (config, message) => {
+      expect(() => compileIssueConfig(config)).toThrow(message);
+    });
+  });
+
+  describe('findCommitIssues', () => {
+    const commits = [
+      { hash: 'a1', subject: 'PROJ-1 Add export', body: 'Also fixes #9' },
+      { hash: 'b2', subject: 'Tidy up', body: '' },
+      { hash: 'c3', subject: 'WIP', body: '' }
+    ];
+
+    it('should read keys from subjects, bodies and commits only on a branch', async () => {
+      listBranches.mockResolvedValue([
+        { ref: 'refs/heads/feature/PROJ-2-import', name: 'feature/PROJ-2-import' },
+        { ref: 'refs/remotes/origin/feature/PROJ-2-import', name: 'origin/feature/PROJ-2-import' },
+        { ref: 'refs/heads/main', name: 'main' }
+      ]);
+      getBranchOnlyCommits.mockResolvedValue(['c3', 'zz']);
+
+      const issues = await findCommitIssues(commits);
+
+      expect(getBranchOnlyCommits).toHaveBeenCalledTimes(1);
+      expect(getBranchOnlyCommits).toHaveBeenCalledWith(
+        'feature/PROJ-2-import',
+        ['refs/heads/feature/PROJ-2-import', 'refs/remotes/origin/feature/PROJ-2-import']
+      );
+      expect(issues.get('a1').map(({ key }) => key)).toEqual(['PROJ-1', '#9']);
+      expect(issues.get('b2')).toEqual([]);
+      expect(issues.get('c3').map(({ key }) => key)).toEqual(['PROJ-2']);
+    });
+
+    it('should only search the configured sources', async () => {
+      loadConfig.mockResolvedValue({ issues: { sources: ['subject'] } });
+
+      const issues = await findCommitIssues(commits);
+
+      expect(listBranches).not.toHaveBeenCalled();
+      expect(issues.get('a1').map(({ key }) => key)).toEqual(['PROJ-1']);
+    });
+  });
+
+  describe('groupCommitsByIssue', () => {
+    it('should roll up commits, lines and active days per ticket', () => {
+      const proj = { key: 'PROJ-1', url: 'https://jira.example.com/browse/PROJ-1' };
+      const tickets = groupCommitsByIssue([
+        { date: '2024-02-06T18:00:00+08:00', stats: { insertions: 10, deletions: 2 }, issues: [proj] },
+        { date: '2024-02-05T09:00:00+08:00', stats: { insertions: 5, deletions: 5 }, issues: [proj, { key: '#4', url: null }] },
+        { date: '2024-02-06T09:00:00+08:00', stats: null, issues: [proj] },
+        { date: '2024-02-07T09:00:00+08:00', stats: { insertions: 1, deletions: 0 }, issues: [] }
+      ]);
+
+      expect(tickets).toEqual([
+        {
+          ...proj,
+          commits: 3,
+          insertions: 15,
+          deletions: 7,
+          linesChanged: 22,
+          activeDays: 2,
+          firstDate: '2024-02-05T09:00:00+08:00',
+          lastDate: '2024-02-06T18:00:00+08:00'
+        },
+        {
+          key: '#4',
+          url: null,
+          commits: 1,
+          insertions: 5,
+          deletions: 5,
+          linesChanged: 10,
+          activeDays: 1,
+          firstDate: '2024-02-05T09:00:00+08:00',
+          lastDate: '2024-02-05T09:00:00+08:00'
+        }
+      ]);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { parseGitStats, analyzeFileImpact, calculateVelocityMetrics } = require('../metricsService');
+const { parseGitStats, parseFileChanges, analyzeFileImpact, calculateVelocityMetrics } = require('../metricsService');
 const { getCommitDetails } = require('../authorService');
 
 jest.mock('../authorService');
@@ -11,44 +11,62 @@ describe('Metrics Service', () => {
       expect(parseGitStats(undefined)).toBeNull();
     });
 
-    it('should parse git stats output correctly', () => {
-      const statsOutput = '2 files changed, 10 insertions(+), 5 deletions(-)';
+    it('should parse git numstat output correctly', () => {
+      const statsOutput = '7\t2\tsrc/a.js\n3\t3\tsrc/b.js\n';
       const result = parseGitStats(statsOutput);
 
       expect(result).toEqual({
         filesChanged: 2,
         insertions: 10,
         deletions: 5,
-        totalChanges: 15
+        totalChanges: 15,
+        binaryFiles: 0
       });
     });
 
-    it('should handle missing stats components', () => {
-      const statsOutput = '2 files changed';
+    it('should count binary files without line changes', () => {
+      const statsOutput = '-\t-\tassets/logo.png\n4\t0\tsrc/a.js\n';
       const result = parseGitStats(statsOutput);
 
       expect(result).toEqual({
         filesChanged: 2,
-        insertions: 0,
+        insertions: 4,
         deletions: 0,
-        totalChanges: 0
+        totalChanges: 4,
+        binaryFiles: 1
       });
     });
 
-    it.skip('should handle single file changes', () => {
-      const statsOutput = '1 file changed, 1 insertion(+)\n';
+    it('should handle single file changes', () => {
+      const statsOutput = '1\t0\tREADME.md\n';
       const result = parseGitStats(statsOutput);
 
-
       expect(result).toEqual({
         filesChanged: 1,
         insertions: 1,
         deletions: 0,
-        totalChanges: 1
+        totalChanges: 1,
+        binaryFiles: 0
       });
     });
   });
 
+  describe('parseFileChanges', () => {
+    it('should return an empty list for empty input', () => {
+      expect(parseFileChanges('')).toEqual([]);
+      expect(parseFileChanges(null)).toEqual([]);
+    });
+
+    it('should list every file with insertions and deletions', () => {
+      const statsOutput = '1\t1\tpackage.json\n12\t8\tsrc/components/{Old.js => App.js}\n';
+
+      expect(parseFileChanges(statsOutput)).toEqual([
+        { file: 'package.json', oldFile: null, insertions: 1, deletions: 1, changes: 2, binary: false },
+        { file: 'src/components/App.js', oldFile: 'src/components/Old.js', insertions: 12, deletions: 8, changes: 20, binary: false }
+      ]);
+    });
+  });
+
   describe('analyzeFileImpact', () => {
     it('should return null for empty input', () => {
       expect(analyzeFileImpact('')).toBeNull();
@@ -57,11 +75,11 @@ describe('Metrics Service', () => {
     });
 
     it('should filter out excluded files', () => {
-      const statsOutput = `
-        node_modules/package/index.js | 10
-        src/components/App.js | 20
-        dist/bundle.js | 30
-      `;
+      const statsOutput = [
+        '10\t0\tnode_modules/package/index.js',
+        '15\t5\tsrc/components/App.js',
+        '30\t0\tdist/bundle.js'
+      ].join('\n');
       const result = analyzeFileImpact(statsOutput);
       
       const hasExcludedFiles = result.topFiles.some(([file]) => 
@@ -74,11 +92,11 @@ describe('Metrics Service', () => {
     });
 
     it('should calculate directory impact correctly', () => {
-      const statsOutput = `
-        src/components/Button.js | 10
-        src/components/Input.js | 20
-        src/utils/helper.js | 15
-      `;
+      const statsOutput = [
+        '10\t0\tsrc/components/Button.js',
+        '12\t8\tsrc/components/Input.js',
+        '5\t10\tsrc/utils/helper.js'
+      ].join('\n');
       const result = analyzeFileImpact(statsOutput);
 
       expect(result.directoryImpact).toHaveLength(2);
@@ -92,15 +110,30 @@ describe('Metrics Service', () => {
       expect(utilsDir.changes).toBe(15);
     });
 
+    it('should attribute renamed files to their new path', () => {
+      const statsOutput = '3\t1\tsrc/{helpers => utils}/format.js\n';
+      const result = analyzeFileImpact(statsOutput);
+
+      expect(result.topFiles).toEqual([['src/utils/format.js', 4]]);
+      expect(result.directoryImpact[0].directory).toBe('src/utils');
+    });
+
+    it('should not count binary files as line changes', () => {
+      const statsOutput = '-\t-\tsrc/assets/logo.png\n2\t0\tsrc/index.js\n';
+      const result = analyzeFileImpact(statsOutput);
+
+      expect(result.topFiles).toEqual([['src/index.js', 2]]);
+    });
+
     it('should sort and limit top files', () => {
-      const statsOutput = `
-        src/file1.js | 10
-        src/file2.js | 30
-        src/file3.js | 20
-        src/file4.js | 40
-        src/file5.js | 25
-        src/file6.js | 15
-      `;
+      const statsOutput = [
+        '10\t0\tsrc/file1.js',
+        '30\t0\tsrc/file2.js',
+        '20\t0\tsrc/file3.js',
+        '40\t0\tsrc/file4.js',
+        '25\t0\tsrc/file5.js',
+        '15\t0\tsrc/file6.js'
+      ].join('\n');
       const result = analyzeFileImpact(statsOutput);
 
       expect(result.topFiles).toHaveLength(5); // Should limit to top 5
@@ -118,6 +151,10 @@ describe('Metrics Service', () => {
       const result = await calculateVelocityMetrics([]);
       expect(result).toEqual({
         totalLinesChanged: 0,
+        totalInsertions: 0,
+        totalDeletions: 0,
+        binaryFilesChanged: 0,
+        coAuthoredCommits: 0,
         averageCommitSize: 0,
         commitsPerDay: 0,
         timeDistribution: {
@@ -131,7 +168,10 @@ describe('Metrics Service', () => {
         },
         typeMetrics: {
           typeBreakdown: [],
-          primaryContributionType: 'UNKNOWN'
+          scopeBreakdown: [],
+          breakingChanges: 0,
+          primaryContributionType: 'UNKNOWN',
+          typeNames: {}
         },
         trends: null
       });
@@ -146,15 +186,9 @@ describe('Metrics Service', () => {
       ];
 
       getCommitDetails
-        .mockResolvedValueOnce(`
-2 files changed, 10 insertions(+), 5 deletions(-)
-src/file1.js | 15`)
-        .mockResolvedValueOnce(`
-1 file changed, 5 insertions(+)
-src/file2.js | 5`)
-        .mockResolvedValueOnce(`
-3 files changed, 20 insertions(+), 10 deletions(-)
-src/file3.js | 30`);
+        .mockResolvedValueOnce('10\t5\tsrc/file1.js\n')
+        .mockResolvedValueOnce('5\t0\tsrc/file2.js\n')
+        .mockResolvedValueOnce('20\t10\tsrc/file3.js\n');
 
       const result = await calculateVelocityMetrics(mockCommits);
 
@@ -177,12 +211,8 @@ src/file3.js | 30`);
       ];
 
       getCommitDetails
-        .mockResolvedValueOnce(`
-1 file changed, 10 insertions(+)
-src/file1.js | 10`)
-        .mockResolvedValueOnce(`
-1 file changed, 5 insertions(+)
-src/file2.js | 5`);
+        .mockResolvedValueOnce('10\t0\tsrc/file1.js\n')
+        .mockResolvedValueOnce('5\t0\tsrc/file2.js\n');
 
       const result = await calculateVelocityMetrics(mockCommits);
 
@@ -202,10 +232,7 @@ src/file2.js | 5`);
 
       ];
 
-      const mockDetails = `
-        src/feature.js | 10 +++++-----
-        1 file changed, 5 insertions(+), 5 deletions(-)
-      `;
+      const mockDetails = '5\t5\tsrc/feature.js\n';
 
       getCommitDetails.mockResolvedValue(mockDetails);
 
@@ -228,12 +255,36 @@ src/file2.js | 5`);
       expect(testType.percentage).toBe('33.33');
     });
 
+    test('should report insertions and deletions per file', async () => {
+      const mockCommits = [
+        { hash: 'hash1', subject: 'feat: new feature', date: '2024-01-01T10:00:00Z' },
+        { hash: 'hash2', subject: 'fix: bug fix', date: '2024-01-02T14:00:00Z' }
+      ];
+
+      getCommitDetails
+        .mockResolvedValueOnce('8\t2\tsrc/feature.js\n-\t-\tsrc/logo.png\n')
+        .mockResolvedValueOnce('1\t4\tsrc/feature.js\n');
+
+      const metrics = await calculateVelocityMetrics(mockCommits);
+
+      expect(metrics.totalLinesChanged).toBe(15);
+      expect(metrics.totalInsertions).toBe(9);
+      expect(metrics.totalDeletions).toBe(6);
+      expect(metrics.binaryFilesChanged).toBe(1);
+      expect(metrics.impactMetrics.topFiles).toEqual([
+        { file: 'src/feature.js', changes: 15, insertions: 9, deletions: 6 }
+      ]);
+    });
+
     test('should handle empty commits for type metrics', async () => {
       const metrics = await calculateVelocityMetrics([]);
       
       expect(metrics.typeMetrics).toEqual({
         typeBreakdown: [],
-        primaryContributionType: 'UNKNOWN'
+        scopeBreakdown: [],
+        breakingChanges: 0,
+        primaryContributionType: 'UNKNOWN',
+        typeNames: {}
       });
     });
   });
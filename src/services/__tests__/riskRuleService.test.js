@@ -0,0 +1,80 @@
+const { compileRiskRules } = require('../riskRuleService');
+
+/**
+ * Lists the rule ids of a rule list
+ * @param {Object[]} rules - Compiled rules
+ * @returns {string[]} Rule ids
+ */
+function ids(rules) {
+  return rules.map(rule => rule.id);
+}
+
+describe('riskRuleService', () => {
+  describe('compileRiskRules', () => {
+    it('should return the built-in rules without config', () => {
+      const { riskPatterns, filePatterns } = compileRiskRules();
+
+      expect(ids(riskPatterns.HIGH.security)).toContain('security-environment');
+      expect(riskPatterns.HIGH.security[0]).toMatchObject({ id: 'security-auth', paths: null, excludePaths: null });
+      expect(ids(filePatterns.HIGH)).toContain('file-middleware');
+    });
+
+    it('should add, override, move and disable rules', () => {
+      const { riskPatterns } = compileRiskRules({
+        riskRules: {
+          HIGH: {
+            security: [
+              { id: 'security-environment', enabled: false },
+              { id: 'security-auth', pattern: '\\bpassword\\b', message: 'Password handling' },
+              { id: 'no-eval', pattern: 'eval\\(', message: 'eval() call', paths: ['src/**'] }
+            ],
+            infrastructure: false
+          },
+          MEDIUM: {
+            dataFlow: [{ id: 'dataflow-async' }]
+          }
+        }
+      });
+
+      expect(ids(riskPatterns.HIGH.security)).not.toContain('security-environment');
+      expect(riskPatterns.HIGH.security[0]).toMatchObject({ id: 'security-auth', message: 'Password handling' });
+      expect(riskPatterns.HIGH.security[0].pattern.test('key')).toBe(false);
+      expect(riskPatterns.HIGH.security.find(rule => rule.id === 'no-eval').paths[0].test('src/a.js')).toBe(true);
+      expect(riskPatterns.HIGH.infrastructure).toBeUndefined();
+      expect(ids(riskPatterns.HIGH.dataFlow)).not.toContain('dataflow-async');
+      expect(riskPatterns.MEDIUM.dataFlow).toMatchObject([{ id: 'dataflow-async', message: 'Async operation' }]);
+    });
+
+    it('should drop stateful regular expression flags', () => {
+      const { riskPatterns } = compileRiskRules({
+        riskRules: { HIGH: { security: [{ id: 'no-eval', pattern: 'eval\\(', flags: 'gy', message: 'eval() call' }] } }
+      });
+
+      const rule = riskPatterns.HIGH.security.find(({ id }) => id === 'no-eval');
+      expect(rule.pattern.flags).toBe('');
+      expect([rule.pattern.test('eval(a)'), rule.pattern.test('eval(b)')]).toEqual([true, true]);
+    });
+
+    it('should accept file rules matched by path globs only', () => {
+      const { filePatterns } = compileRiskRules({
+        filePatterns: {
+          HIGH: [{ id: 'payments', paths: ['services/payments/**'], message: 'Payments code' }]
+        }
+      });
+
+      expect(filePatterns.HIGH[filePatterns.HIGH.length - 1]).toMatchObject({ id: 'payments', pattern: null });
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => compileRiskRules({ riskRules: { CRITICAL: {} } })).toThrow('unknown level "CRITICAL"');
+      expect(() => compileRiskRules({ riskRules: { HIGH: { security: [{ id: 'x', pattern: '(' }] } } }))
+        .toThrow('Invalid risk rule "x"');
+      expect(() => compileRiskRules({ riskRules: { HIGH: { security: [{ id: 'x' }] } } }))
+        .toThrow('new rules need a "pattern"');
+      expect(() => compileRiskRules({ riskRules: { HIGH: { security: [{ id: 'x', enabled: false }] } } }))
+        .toThrow('cannot disable an unknown rule');
+      expect(() => compileRiskRules({ filePatterns: { HIGH: [{ id: 'x', glob: '*.js' }] } }))
+        .toThrow('unknown property glob');
+    });
+  });
+});
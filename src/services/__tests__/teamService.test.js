@@ -0,0 +1,56 @@
+jest.mock('../configService');
+jest.mock('../authorService');
+jest.mock('../identityService');
+
+const { loadConfig } = require('../configService');
+const { getAuthorCommits } = require('../authorService');
+const { getPeople, matchesPerson } = require('../identityService');
+const { getTeamMembers, getTeamCommits } = require('../teamService');
+
+describe('teamService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadConfig.mockResolvedValue({
+      teams: {
+        platform: ['jane@example.com', 'John Smith'],
+        empty: []
+      }
+    });
+    getPeople.mockResolvedValue([
+      { name: 'Jane Doe', email: 'jane@example.com', identities: [{ name: 'Jane Doe', email: 'jane@example.com' }] }
+    ]);
+    matchesPerson.mockImplementation((person, query) => person.email === query);
+  });
+
+  describe('getTeamMembers', () => {
+    it('should return the configured members', async () => {
+      await expect(getTeamMembers('platform')).resolves.toEqual(['jane@example.com', 'John Smith']);
+    });
+
+    it('should list available teams when the team is unknown', async () => {
+      await expect(getTeamMembers('mobile')).rejects.toThrow('Team not found: mobile. Available teams: platform, empty');
+    });
+
+    it('should reject teams without members', async () => {
+      await expect(getTeamMembers('empty')).rejects.toThrow('Invalid members for team "empty"');
+    });
+  });
+
+  describe('getTeamCommits', () => {
+    it('should tag commits with their member and credit shared commits once', async () => {
+      getAuthorCommits.mockImplementation(async (query) => (query === 'jane@example.com'
+        ? [{ hash: 'aaa', date: '2024-02-01T10:00:00Z' }, { hash: 'bbb', date: '2024-02-03T10:00:00Z' }]
+        : [{ hash: 'bbb', date: '2024-02-03T10:00:00Z' }, { hash: 'ccc', date: '2024-02-02T10:00:00Z' }]));
+
+      const { members, commits } = await getTeamCommits('platform', '2024-02-01', '', [], [], { attribution: 'both' });
+
+      expect(members).toEqual(['Jane Doe', 'John Smith']);
+      expect(commits.map(({ hash, member }) => [hash, member])).toEqual([
+        ['bbb', 'Jane Doe'],
+        ['ccc', 'John Smith'],
+        ['aaa', 'Jane Doe']
+      ]);
+      expect(getAuthorCommits).toHaveBeenCalledWith('John Smith', '2024-02-01', '', [], [], { attribution: 'both' });
+    });
+  });
+});
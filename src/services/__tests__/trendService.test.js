@@ -1,12 +1,15 @@
 const { getTrends, compareTrends, getRollingTrends } = require('../trendService');
 const { getAuthorCommits } = require('../authorService');
+const { loadConfig } = require('../configService');
 
 // Mock authorService
 jest.mock('../authorService');
+jest.mock('../configService');
 
 describe('TrendService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    loadConfig.mockResolvedValue({});
   });
 
   describe('getTrends', () => {
@@ -35,6 +38,9 @@ describe('TrendService', () => {
         endDate: '2024-02-06T23:59:59.999Z',
         metrics: {
           commitCount: 2,
+          totalInsertions: 0,
+          totalDeletions: 0,
+          totalLinesChanged: 0,
           timeDistribution: {
             morning: 1,
             afternoon: 1,
@@ -46,6 +52,10 @@ describe('TrendService', () => {
           commitTypes: {
             FEATURE: 1,
             BUG_FIX: 1
+          },
+          typeNames: {
+            FEATURE: 'FEATURE',
+            BUG_FIX: 'BUG_FIX'
           }
         }
       });
@@ -62,6 +72,9 @@ describe('TrendService', () => {
         endDate: '2024-02-06T23:59:59.999Z',
         metrics: {
           commitCount: 0,
+          totalInsertions: 0,
+          totalDeletions: 0,
+          totalLinesChanged: 0,
           timeDistribution: {
             morning: 0,
             afternoon: 0,
@@ -70,12 +83,53 @@ describe('TrendService', () => {
             afternoonPercent: 0,
             eveningPercent: 0
           },
-          commitTypes: {}
+          commitTypes: {},
+          typeNames: {}
         }
       });
     });
   });
 
+  describe('commit categories', () => {
+    it('should categorize trend commits with the configured categories', async () => {
+      loadConfig.mockResolvedValue({
+        commitTypes: { categories: { BUG_FIX: { name: 'Bug fix', patterns: ['^\\[[A-Z]+-\\d+\\] fix'] } } }
+      });
+      getAuthorCommits.mockResolvedValue([
+        { hash: '123', date: '2024-02-06T09:00:00Z', subject: '[PROJ-12] Fix checkout total', body: '' },
+        { hash: '456', date: '2024-02-06T10:00:00Z', subject: 'Tidy up', body: '' }
+      ]);
+
+      const trends = await getTrends('john@example.com', 'daily', new Date('2024-02-06'));
+
+      expect(trends.metrics.commitTypes).toEqual({ BUG_FIX: 1 });
+      expect(trends.metrics.typeNames).toEqual({ BUG_FIX: 'Bug fix' });
+    });
+
+    it('should classify commits by their changed files and count their lines', async () => {
+      getAuthorCommits.mockResolvedValue([
+        { hash: '123', date: '2024-02-06T09:00:00Z', subject: 'Update guide', body: '', numstat: '12\t3\tdocs/guide.md\n' },
+        { hash: '456', date: '2024-02-06T10:00:00Z', subject: 'feat: export', body: '', numstat: '5\t1\tsrc/export.js\n-\t-\tlogo.png\n' }
+      ]);
+
+      const trends = await getTrends('john@example.com', 'daily', new Date('2024-02-06'));
+
+      expect(trends.metrics.commitTypes).toEqual({ DOCS: 1, FEATURE: 1 });
+      expect(trends.metrics).toMatchObject({ totalInsertions: 17, totalDeletions: 4, totalLinesChanged: 21 });
+    });
+
+    it('should only use files inside the directory filters for classification', async () => {
+      getAuthorCommits.mockResolvedValue([
+        { hash: '123', date: '2024-02-06T09:00:00Z', subject: 'Update', body: '', numstat: '1\t1\tdocs/guide.md\n4\t0\tsrc/app.js\n' }
+      ]);
+
+      const trends = await getTrends('john@example.com', 'daily', new Date('2024-02-06'), [], ['src']);
+
+      // Without the filter src/app.js would make it a FEATURE
+      expect(trends.metrics.commitTypes).toEqual({ DOCS: 1 });
+    });
+  });
+
   describe('compareTrends', () => {
     it('should compare trends between two periods', async () => {
       // First period commits
@@ -329,5 +383,64 @@ describe('TrendService', () => {
         eveningPercent: 0
       });
     });
+
+    it('should start weekly trends on the configured week start', async () => {
+      getAuthorCommits.mockResolvedValue([]);
+
+      const endDate = new Date('2024-01-14'); // A Sunday
+      const trends = await getRollingTrends('john@example.com', 'weekly', 2, endDate, [], [], 0, { weekStart: 'monday' });
+
+      expect(trends[0].startDate).toBe('2024-01-08T00:00:00.000Z');
+      expect(trends[0].endDate).toBe('2024-01-14T23:59:59.999Z');
+      expect(trends[1].startDate).toBe('2024-01-01T00:00:00.000Z');
+      expect(trends[1].endDate).toBe('2024-01-07T23:59:59.999Z');
+    });
+
+    it('should not repeat a month when the end date is past the end of the previous month', async () => {
+      getAuthorCommits.mockResolvedValue([]);
+
+      const trends = await getRollingTrends('john@example.com', 'monthly', 2, new Date('2024-03-31'));
+
+      expect(trends.map(t => t.startDate)).toEqual(['2024-03-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z']);
+    });
+
+    it('should handle quarterly trends with specified end date', async () => {
+      getAuthorCommits.mockResolvedValue([]);
+
+      const trends = await getRollingTrends('john@example.com', 'quarterly', 2, new Date('2024-05-31'));
+
+      expect(trends[0].startDate).toBe('2024-04-01T00:00:00.000Z');
+      expect(trends[0].endDate).toBe('2024-06-30T23:59:59.999Z');
+      expect(trends[1].startDate).toBe('2024-01-01T00:00:00.000Z');
+      expect(trends[1].endDate).toBe('2024-03-31T23:59:59.999Z');
+    });
+
+    it('should handle yearly trends with specified end date', async () => {
+      getAuthorCommits.mockResolvedValue([]);
+
+      const trends = await getRollingTrends('john@example.com', 'yearly', 2, new Date('2024-02-29'));
+
+      expect(trends[0].startDate).toBe('2024-01-01T00:00:00.000Z');
+      expect(trends[0].endDate).toBe('2024-12-31T23:59:59.999Z');
+      expect(trends[1].startDate).toBe('2023-01-01T00:00:00.000Z');
+      expect(trends[1].endDate).toBe('2023-12-31T23:59:59.999Z');
+    });
+
+    it('should handle custom-length trends ending on the end date', async () => {
+      getAuthorCommits.mockResolvedValue([]);
+
+      const trends = await getRollingTrends('john@example.com', '14d', 2, new Date('2024-01-28'));
+
+      expect(trends[0].period).toBe('14d');
+      expect(trends[0].startDate).toBe('2024-01-15T00:00:00.000Z');
+      expect(trends[0].endDate).toBe('2024-01-28T23:59:59.999Z');
+      expect(trends[1].startDate).toBe('2024-01-01T00:00:00.000Z');
+      expect(trends[1].endDate).toBe('2024-01-14T23:59:59.999Z');
+    });
+
+    it('should reject unknown periods', async () => {
+      await expect(getRollingTrends('john@example.com', 'fortnightly', 2)).rejects.toThrow('Invalid period: fortnightly');
+      await expect(getRollingTrends('john@example.com', '0d', 2)).rejects.toThrow('Invalid period: 0d');
+    });
   });
 });
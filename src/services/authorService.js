@@ -3,14 +3,24 @@
  * @description Service for retrieving and analyzing git commit author information and their contributions
  */
 
-const { execGitCommand } = require('./gitOperations');
+const { execGitCommand, resolveCommit } = require('./gitOperations');
+const { harvestCommits } = require('./commitHarvestService');
+const { getCache } = require('./cacheService');
+const { getPeople, findIdentities, getIdentityResolver } = require('./identityService');
 const LRUCache = require('../utils/cache');
 const GitLogError = require('../models/GitLogError');
 const { EXCLUDED_PATTERNS } = require('../constants');
+const { parseCoAuthors } = require('../utils/trailers');
 
-// Cache for commit messages
+// Cache for commit details
 const commitCache = new LRUCache(1000);
 
+// Number of uncached commits harvested per git invocation
+const HARVEST_CHUNK_SIZE = 200;
+
+// Which commits are credited to an author: their own, those listing them as co-author, or both
+const ATTRIBUTION_MODES = ['authored', 'co-authored', 'both'];
+
 /**
  * Validates if a date string is in a valid format and safe from shell injection
  * @param {string} date - Date string to validate
@@ -22,40 +32,106 @@ function isValidDateFormat(date) {
 }
 
 /**
- * Retrieves all authors who have contributed to the repository
- * @returns {Promise<Array<{commits: number, name: string, email: string}>>} Array of author objects with their commit counts
+ * Loads the commits matched by a `git log` filter, reading unchanged commits from the disk cache
+ * @private
+ * @param {string[]} logArgs - `git log` filter arguments and pathspec
+ * @returns {Promise<Object[]>} Harvested commits in git log order
+ * @throws {GitLogError} If a git command fails
+ */
+async function loadCommits(logArgs) {
+  const cache = await getCache();
+  if (!cache) {
+    return harvestCommits(logArgs);
+  }
+
+  const output = await execGitCommand('git', ['log', '--pretty=format:%H', ...logArgs]);
+  const hashes = output.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const commits = new Map();
+  const missing = [];
+  hashes.forEach(hash => {
+    const cached = cache.get('commits', hash);
+    if (cached) {
+      commits.set(hash, cached);
+    } else {
+      missing.push(hash);
+    }
+  });
+
+  // Commits are immutable, so only new ones need to be read from git
+  for (let i = 0; i < missing.length; i += HARVEST_CHUNK_SIZE) {
+    const harvested = await harvestCommits(['--no-walk=unsorted', ...missing.slice(i, i + HARVEST_CHUNK_SIZE)]);
+    harvested.forEach(commit => {
+      cache.set('commits', commit.hash, commit);
+      commits.set(commit.hash, commit);
+    });
+  }
+
+  return hashes.map(hash => commits.get(hash)).filter(Boolean);
+}
+
+/**
+ * Builds the `git log` revision, date and pathspec arguments shared by all author queries
+ * @private
+ * @param {string} since - Start date (may be empty)
+ * @param {string} until - End date (may be empty)
+ * @param {string[]} includeDirs - Directories to include
+ * @param {string[]} excludeDirs - Directories to exclude
+ * @param {string[]|null} [revisions=null] - Revisions to walk in topological order; by default the
+ *   first-parent history of all refs, in date order
+ * @returns {Promise<string[]>} Arguments ending with the `--` pathspec
+ */
+async function buildLogFilterArgs(since, until, includeDirs, excludeDirs, revisions = null) {
+  // Commits of a range may sit on merged branches, so only author queries follow the first parent
+  const args = [
+    '--no-merges',
+    '--no-notes',
+    ...(revisions ? [...revisions, '--topo-order'] : ['--first-parent', '--all', '--date-order']),
+    '--full-history'
+  ];
+
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+
+  // Add directory filtering
+  args.push('--');
+  
+  if (includeDirs.length > 0) {
+    args.push(...includeDirs);
+  } else if (excludeDirs.length > 0) {
+    // When excluding, we need to explicitly include all files except the excluded ones
+    const allFiles = await execGitCommand('git', ['ls-files']);
+    const filesToInclude = allFiles
+      .split('\n')
+      .filter(file => file.trim() && !excludeDirs.some(dir => file === dir));
+    
+    if (filesToInclude.length > 0) {
+      args.push(...filesToInclude);
+    }
+    
+    // Add default excluded patterns
+    EXCLUDED_PATTERNS.forEach(pattern => {
+      const patternStr = pattern.toString().slice(1, -1);
+      args.push(`:(exclude)${patternStr}`);
+    });
+  } else {
+    // No includes or excludes, include everything
+    args.push('.');
+  }
+
+  return args;
+}
+
+/**
+ * Retrieves all authors who have contributed to the repository, merging identities
+ * that .mailmap or the project aliases assign to the same person
+ * @returns {Promise<Array<{commits: number, name: string, email: string, identities: Array<{name: string, email: string, commits: number}>}>>} Array of author objects with their commit counts
  * @throws {GitLogError} If git operation fails or returns invalid data
  */
 async function getAllAuthors() {
   try {
-    const output = await execGitCommand('git', [
-      'shortlog',
-      '-sne',
-      '--all',
-      '--no-merges',
-      '--first-parent'
-    ]);
-    if (!output.trim()) {
-      return [];
-    }
-
-    // Parse the output into structured data
-    const authors = output.split('\n')
-      .filter(line => line.trim())
-      .map(line => {
-        // Format is: "commits\tAuthor Name <email@example.com>"
-        const match = line.trim().match(/^\s*(\d+)\s+(.+)\s+<(.+)>$/);
-        if (!match) return null;
-        
-        return {
-          commits: parseInt(match[1], 10),
-          name: match[2].trim(),
-          email: match[3].trim()
-        };
-      })
-      .filter(author => author !== null);
-
-    return authors;
+    const people = await getPeople();
+    return people.map(({ commits, name, email, identities }) => ({ commits, name, email, identities }));
   } catch (error) {
     if (error instanceof GitLogError) {
       throw error;
@@ -75,10 +151,14 @@ async function getAllAuthors() {
  * @param {string} [until=''] - Optional end date for commit range
  * @param {string[]} [includeDirs=[]] - Optional directories to include
  * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
- * @returns {Promise<Array<{hash: string, date: string, subject: string, body: string}>>} Array of commit objects
+ * @param {Object} [options={}] - Query options
+ * @param {string} [options.attribution='authored'] - `authored`, `co-authored` (via `Co-authored-by:` trailers) or `both`
+ * @returns {Promise<Object[]>} Commits sorted newest first, each with hash, date, subject, body,
+ *   author, committer and raw numstat (see commitHarvestService.parseCommitRecord), plus
+ *   `coAuthors` from the message trailers and `coAuthored` when the author is credited only as co-author
  * @throws {GitLogError} If author is invalid, date format is invalid, or git operation fails
  */
-async function getAuthorCommits(author, since = '', until = '', includeDirs = [], excludeDirs = []) {
+async function getAuthorCommits(author, since = '', until = '', includeDirs = [], excludeDirs = [], { attribution = 'authored' } = {}) {
   try {
     if (!author?.trim()) {
       throw new GitLogError(
@@ -87,6 +167,14 @@ async function getAuthorCommits(author, since = '', until = '', includeDirs = []
       );
     }
 
+    if (!ATTRIBUTION_MODES.includes(attribution)) {
+      throw new GitLogError(
+        `Invalid attribution: ${attribution}. Must be one of: ${ATTRIBUTION_MODES.join(', ')}`,
+        'INVALID_ATTRIBUTION',
+        { attribution }
+      );
+    }
+
     // Validate date formats first
     if (since && !isValidDateFormat(since)) {
       throw new GitLogError(
@@ -108,6 +196,9 @@ async function getAuthorCommits(author, since = '', until = '', includeDirs = []
     const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const authorName = author.trim();
     
+    // An exact name or email match covers every identity of that person
+    const identities = await findIdentities(authorName);
+
     // Try different author matching strategies
     const authorPatterns = [
       escapeRegex(authorName),
@@ -119,124 +210,169 @@ async function getAuthorCommits(author, since = '', until = '', includeDirs = []
         : `${authorName.split(' ').map(escapeRegex).join('.*')}|${escapeRegex(authorName)}`
     ];
 
-    let output = '';
-    for (const pattern of authorPatterns) {
-      const args = [
-        'log',
-        '--author=' + pattern,
-        '--date=iso',
-        '--pretty=format:"%H|%aI"',
-        '--no-merges',
-        '--no-notes',
-        '--first-parent',
-        '--all',
-        '--date-order',
-        '--full-history'
-      ];
-
-      if (since) args.push(`--since=${since}`);
-      if (until) args.push(`--until=${until}`);
-      
-      if (pattern === authorPatterns[2]) {
-        args.push('-i');
-      }
+    const authorMatchers = identities.length > 0
+      ? [[
+        '--no-use-mailmap',
+        '--extended-regexp',
+        ...identities.map(({ name, email }) => `--author=^${escapeRegex(name)} <${escapeRegex(email)}>$`)
+      ]]
+      : authorPatterns.map((pattern, index) => (index === 2 ? ['--author=' + pattern, '-i'] : ['--author=' + pattern]));
 
-      // Add directory filtering
-      args.push('--');
-      
-      if (includeDirs.length > 0) {
-        args.push(...includeDirs);
-      } else if (excludeDirs.length > 0) {
-        // When excluding, we need to explicitly include all files except the excluded ones
-        const allFiles = await execGitCommand('git', ['ls-files']);
-        const filesToInclude = allFiles
-          .split('\n')
-          .filter(file => file.trim() && !excludeDirs.some(dir => file === dir));
-        
-        if (filesToInclude.length > 0) {
-          args.push(...filesToInclude);
-        }
-        
-        // Add default excluded patterns
-        EXCLUDED_PATTERNS.forEach(pattern => {
-          const patternStr = pattern.toString().slice(1, -1);
-          args.push(`:(exclude)${patternStr}`);
-        });
-      } else {
-        // No includes or excludes, include everything
-        args.push('.');
-      }
+    const filterArgs = await buildLogFilterArgs(since, until, includeDirs, excludeDirs);
 
+    let authored = [];
+    for (const authorArgs of authorMatchers) {
       try {
-        output = await execGitCommand('git', args);
-        if (output.trim()) break;
+        authored = await loadCommits([...authorArgs, ...filterArgs]);
+        if (authored.length > 0) break;
       } catch (error) {
         continue;
       }
     }
 
-    if (!output.trim()) {
-      return [];
+    let coAuthored = [];
+    if (attribution !== 'authored') {
+      const isTarget = identities.length > 0
+        ? (coAuthor) => identities.some(({ name, email }) =>
+          email.toLowerCase() === coAuthor.email.toLowerCase() || name.toLowerCase() === coAuthor.name.toLowerCase())
+        : (coAuthor) => new RegExp(authorPatterns[2], 'i').test(`${coAuthor.name} <${coAuthor.email}>`);
+      const authoredHashes = new Set(authored.map(commit => commit.hash));
+
+      const candidates = await loadCommits(['--regexp-ignore-case', '--grep=^co-authored-by:', ...filterArgs]);
+      coAuthored = candidates.filter(commit =>
+        !authoredHashes.has(commit.hash) && parseCoAuthors(commit.body).some(isTarget)
+      );
     }
 
-    const commits = output.split('\n').filter(line => line.trim());
-    const batchSize = 50;
-    const results = [];
-
-    for (let i = 0; i < commits.length; i += batchSize) {
-      const batch = commits.slice(i, i + batchSize);
-      const batchResults = await Promise.all(batch.map(async line => {
-        const [hash, date] = line.replace(/"/g, '').split('|');
-        
-        // Check cache first for commit message
-        const cachedMessage = commitCache.get(hash);
-        if (cachedMessage !== null) {
-          const [subject, body] = cachedMessage;
-          return { hash, date, subject, body };
-        }
-
-        // Get commit subject and body if not in cache
-        const messageArgs = [
-          'show',
-          '-s',
-          '--format=%s|%b',
-          '--no-notes',
-          hash
-        ];
-
-        try {
-          const messageOutput = await execGitCommand('git', messageArgs);
-          const [subject, ...bodyParts] = messageOutput.split('|');
-          const body = bodyParts.join('|').trim();
-          
-          commitCache.set(hash, [subject || '', body || '']);
-          
-          return {
-            hash,
-            date,
-            subject: subject || '',
-            body: body || ''
-          };
-        } catch (error) {
-          return { hash, date, subject: '', body: '' };
-        }
-      }));
+    const commits = [
+      ...(attribution === 'co-authored' ? [] : authored).map(commit => ({ ...commit, coAuthored: false })),
+      ...coAuthored.map(commit => ({ ...commit, coAuthored: true }))
+    ];
+
+    const resolveIdentity = await getIdentityResolver();
+    return commits
+      .map(commit => ({
+        ...commit,
+        author: resolveIdentity(commit.author),
+        coAuthors: parseCoAuthors(commit.body).map(resolveIdentity)
+      }))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  } catch (error) {
+    if (error instanceof GitLogError) {
+      throw error;
+    }
+    throw new GitLogError(
+      'Failed to get author commits: ' + error.message,
+      'GIT_OPERATION_FAILED',
+      { error: error.message }
+    );
+  }
+}
+
+/**
+ * Splits a revision range such as `main..feature-x` or `v1.0...v1.1` and resolves both sides to commit hashes
+ * @private
+ * @param {string} range - Revision range; an empty side means HEAD
+ * @returns {Promise<{from: string, operator: string, to: string}>} Resolved sides and the `..` or `...` operator
+ * @throws {GitLogError} If the range has no `..` or a side is not a commit
+ */
+async function parseRange(range) {
+  const match = range.trim().match(/^(.*?)(\.{2,3})(.*)$/);
+  if (!match || (!match[1] && !match[3])) {
+    throw new GitLogError(
+      `Invalid revision range: ${range}. Expected <from>..<to> or <from>...<to>`,
+      'INVALID_GIT_REF',
+      { range }
+    );
+  }
+  const [, from, operator, to] = match;
+  const [fromHash, toHash] = await Promise.all([from || 'HEAD', to || 'HEAD'].map(resolveCommit));
+  return { from: fromHash, operator, to: toHash };
+}
 
-      results.push(...batchResults);
+/**
+ * Resolves a revision range to commit hashes
+ * @private
+ * @param {string} range - Revision range; an empty side means HEAD
+ * @returns {Promise<string>} Range with both sides resolved to full hashes
+ * @throws {GitLogError} If the range has no `..` or a side is not a commit
+ */
+async function resolveRange(range) {
+  const { from, operator, to } = await parseRange(range);
+  return `${from}${operator}${to}`;
+}
 
-      // Optional: Add a small delay between batches
-      if (i + batchSize < commits.length) {
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
+/**
+ * Resolves the commits a revision range is reviewed between: the merge base of both sides and the range tip
+ * @param {string} range - Revision range, e.g. `main..feature-x` or `v1.0..v1.1`
+ * @returns {Promise<{base: string, head: string}>} Full hashes of the base and head commits
+ * @throws {GitLogError} If the range is invalid
+ */
+async function getRangeEnds(range) {
+  const { from, to } = await parseRange(range);
+  try {
+    const base = (await execGitCommand('git', ['merge-base', from, to])).trim();
+    return { base: base || from, head: to };
+  } catch (error) {
+    // Unrelated histories have no merge base
+    return { base: from, head: to };
+  }
+}
+
+/**
+ * Retrieves the commits of a revision range or an explicit list of commits, whoever authored them
+ * @param {Object} revisions - What to review; exactly one of `range` and `commits` must be set
+ * @param {string} [revisions.range] - Revision range, e.g. `main..feature-x` or `v1.0..v1.1`
+ * @param {string[]} [revisions.commits] - Commit hashes, branches or tags, each reviewed on its own
+ * @param {string} [since=''] - Optional start date for commit range
+ * @param {string} [until=''] - Optional end date for commit range
+ * @param {string[]} [includeDirs=[]] - Optional directories to include
+ * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
+ * @returns {Promise<Object[]>} Non-merge commits newest first (a range in topological order, so parents follow
+ *   their children even when author dates were rewritten), in the same shape as getAuthorCommits
+ * @throws {GitLogError} If no or both revision kinds are given, a reference is invalid, or git operation fails
+ */
+async function getRevisionCommits({ range = '', commits = [] } = {}, since = '', until = '', includeDirs = [], excludeDirs = []) {
+  try {
+    if (Boolean(range) === commits.length > 0) {
+      throw new GitLogError(
+        'Either a revision range or a list of commits is required',
+        'INVALID_ARGS'
+      );
     }
 
-    return results.sort((a, b) => new Date(b.date) - new Date(a.date));
+    [['since', since], ['until', until]].forEach(([name, date]) => {
+      if (date && !isValidDateFormat(date)) {
+        throw new GitLogError(
+          `Invalid --${name} date format`,
+          'INVALID_DATE_FORMAT',
+          { date }
+        );
+      }
+    });
+
+    const revisionArgs = range
+      ? [await resolveRange(range)]
+      : ['--no-walk=unsorted', ...new Set(await Promise.all(commits.map(resolveCommit)))];
+    const filterArgs = await buildLogFilterArgs(since, until, includeDirs, excludeDirs, revisionArgs);
+
+    const resolveIdentity = await getIdentityResolver();
+    const revisionCommits = (await loadCommits(filterArgs))
+      .map(commit => ({
+        ...commit,
+        coAuthored: false,
+        author: resolveIdentity(commit.author),
+        coAuthors: parseCoAuthors(commit.body).map(resolveIdentity)
+      }));
+    return range
+      ? revisionCommits
+      : revisionCommits.sort((a, b) => new Date(b.date) - new Date(a.date));
   } catch (error) {
     if (error instanceof GitLogError) {
       throw error;
     }
     throw new GitLogError(
-      'Failed to get author commits: ' + error.message,
+      'Failed to get revision commits: ' + error.message,
       'GIT_OPERATION_FAILED',
       { error: error.message }
     );
@@ -244,9 +380,9 @@ async function getAuthorCommits(author, since = '', until = '', includeDirs = []
 }
 
 /**
- * Retrieves detailed information about a specific commit
+ * Retrieves per-file change statistics for a specific commit
  * @param {string} hash - Commit hash to get details for
- * @returns {Promise<string>} Detailed commit information including stats
+ * @returns {Promise<string>} Raw `git --numstat` output (one `<insertions>\t<deletions>\t<path>` line per file, `-` counts for binary files)
  * @throws {GitLogError} If hash is invalid, commit not found, or git operation fails
  */
 async function getCommitDetails(hash) {
@@ -266,9 +402,12 @@ async function getCommitDetails(hash) {
       }
   
       const args = [
+        '-c',
+        'core.quotePath=false',
         'show',
         hash,
-        '--stat',
+        '--numstat',
+        '-M',
         '--pretty=format:',
         '--no-color',
         '--no-notes',
@@ -303,8 +442,11 @@ async function getCommitDetails(hash) {
   }
 
 module.exports = {
+  ATTRIBUTION_MODES,
   getAllAuthors,
   getAuthorCommits,
   getCommitDetails,
+  getRangeEnds,
+  getRevisionCommits,
   isValidDateFormat
 };
@@ -0,0 +1,89 @@
+/**
+ * @module cacheService
+ * @description Provides the per-repository disk cache stored under `.git/gitlog-author/`
+ */
+
+const path = require('path');
+const { execGitCommand } = require('./gitOperations');
+const DiskCache = require('../utils/diskCache');
+const GitLogError = require('../models/GitLogError');
+
+const CACHE_DIRECTORY = 'gitlog-author';
+// Bump when the shape of cached entries changes so stale entries are ignored
+const CACHE_VERSION = 'v2';
+
+let cacheEnabled = true;
+let cachePromise = null;
+
+/**
+ * Enables or disables the disk cache for the current process (used by `--no-cache`)
+ * @param {boolean} enabled - Whether cached entries may be read and written
+ */
+function setCacheEnabled(enabled) {
+  cacheEnabled = enabled;
+  cachePromise = null;
+}
+
+/**
+ * Resolves the cache root inside the repository's git directory
+ * @private
+ * @returns {Promise<string>} Absolute path of the cache root
+ * @throws {GitLogError} If the current directory is not a git repository
+ */
+async function getCacheRoot() {
+  const gitDir = (await execGitCommand('git', ['rev-parse', '--git-common-dir'])).trim();
+  return path.resolve(gitDir, CACHE_DIRECTORY);
+}
+
+/**
+ * Returns the disk cache for the current repository
+ * @returns {Promise<DiskCache|null>} Cache instance, or null if caching is disabled or unavailable
+ */
+async function getCache() {
+  if (!cacheEnabled) return null;
+  if (!cachePromise) {
+    cachePromise = getCacheRoot()
+      .then(root => new DiskCache(path.join(root, CACHE_VERSION)))
+      .catch(() => null);
+  }
+  return cachePromise;
+}
+
+/**
+ * Evicts least recently used entries once the cache exceeds its size limit
+ * @returns {Promise<number>} Number of evicted entries
+ */
+async function pruneCache() {
+  const cache = await getCache();
+  return cache ? cache.prune() : 0;
+}
+
+/**
+ * Deletes all cached data for the current repository, including older cache versions
+ * @returns {Promise<string>} Path of the removed cache directory
+ * @throws {GitLogError} If the cache location cannot be resolved
+ */
+async function clearCache() {
+  try {
+    const root = await getCacheRoot();
+    new DiskCache(root).clear();
+    cachePromise = null;
+    return root;
+  } catch (error) {
+    if (error instanceof GitLogError) {
+      throw error;
+    }
+    throw new GitLogError(
+      'Failed to clear cache: ' + error.message,
+      'CACHE_ERROR',
+      { error: error.message }
+    );
+  }
+}
+
+module.exports = {
+  getCache,
+  setCacheEnabled,
+  pruneCache,
+  clearCache
+};
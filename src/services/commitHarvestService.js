@@ -0,0 +1,90 @@
+/**
+ * @module commitHarvestService
+ * @description Collects commit metadata and per-file numstat for many commits with a single streamed `git log`
+ */
+
+const { streamGitCommand } = require('./gitOperations');
+
+// Control characters that never appear in commit metadata
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+// Placeholders in the order parseCommitRecord reads them
+const COMMIT_FIELDS = ['%H', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%s', '%b'];
+const COMMIT_FORMAT = `%x1e${COMMIT_FIELDS.join('%x1f')}%x1f`;
+
+/**
+ * Parses one `git log` record produced with {@link COMMIT_FORMAT} and `--numstat`
+ * @param {string} record - Record text without the leading record separator
+ * @returns {Object|null} Commit object, or null if the record is incomplete
+ * @property {string} hash - Full commit hash
+ * @property {string} date - Author date (ISO 8601)
+ * @property {string} subject - Commit subject line
+ * @property {string} body - Commit message body
+ * @property {{name: string, email: string}} author - Commit author
+ * @property {{name: string, email: string, date: string}} committer - Committer and commit date
+ * @property {string} numstat - Raw numstat lines for the commit (empty for commits without file changes)
+ */
+function parseCommitRecord(record) {
+  const fields = record.split(FIELD_SEPARATOR);
+  if (fields.length <= COMMIT_FIELDS.length) return null;
+
+  const [hash, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, subject] = fields;
+  if (!hash.trim()) return null;
+
+  // Anything after the last separator is the numstat block; the body may contain stray separators
+  const body = fields.slice(COMMIT_FIELDS.length - 1, -1).join(FIELD_SEPARATOR);
+  const numstat = fields[fields.length - 1];
+
+  return {
+    hash: hash.trim(),
+    date: authorDate,
+    subject,
+    body: body.trim(),
+    author: { name: authorName, email: authorEmail },
+    committer: { name: committerName, email: committerEmail, date: committerDate },
+    numstat: numstat.replace(/^\n+/, '').replace(/\s+$/, '')
+  };
+}
+
+/**
+ * Runs `git log` once and parses commits as the output streams in
+ * @async
+ * @param {string[]} logArgs - Additional `git log` arguments (filters, revisions and pathspec)
+ * @returns {Promise<Object[]>} Commits in git log order, see {@link parseCommitRecord}
+ * @throws {GitLogError} If the git command fails
+ */
+async function harvestCommits(logArgs) {
+  const commits = [];
+  let pending = '';
+
+  const collect = (record) => {
+    const commit = parseCommitRecord(record);
+    if (commit) commits.push(commit);
+  };
+
+  await streamGitCommand([
+    '-c',
+    'core.quotePath=false',
+    'log',
+    `--pretty=format:${COMMIT_FORMAT}`,
+    '--numstat',
+    '-M',
+    '--full-diff',
+    ...logArgs
+  ], (chunk) => {
+    const records = (pending + chunk).split(RECORD_SEPARATOR);
+    // The last record may still be incomplete
+    pending = records.pop();
+    records.forEach(collect);
+  });
+
+  collect(pending);
+  return commits;
+}
+
+module.exports = {
+  harvestCommits,
+  parseCommitRecord,
+  COMMIT_FORMAT
+};
@@ -3,56 +3,259 @@
  * @description Service for analyzing and categorizing git commits based on their type and content
  */
 
+const { parseConventionalCommit } = require('../utils/conventionalCommits');
+const { loadConfig } = require('./configService');
+const { globToRegExp } = require('../utils/glob');
+const GitLogError = require('../models/GitLogError');
+
+const UNKNOWN_TYPE = 'UNKNOWN';
+const SECTION_KEYS = ['replaceBuiltin', 'categories'];
+const CATEGORY_KEYS = ['name', 'types', 'patterns', 'flags', 'filePatterns', 'priority', 'enabled'];
+
 /**
  * @constant {Object} COMMIT_TYPES
- * @description Mapping of commit types to their identifying patterns
- * @property {Object} FEATURE - Patterns for feature-related commits
- * @property {Object} BUG_FIX - Patterns for bug fix commits
- * @property {Object} REFACTOR - Patterns for code refactoring commits
- * @property {Object} DOCS - Patterns for documentation commits
- * @property {Object} TEST - Patterns for test-related commits
- * @property {Object} CONFIG - Patterns for configuration and build commits
+ * @description Mapping of commit categories to the Conventional Commits types and file patterns that identify them
+ * @property {Object} FEATURE - Feature-related commits
+ * @property {Object} BUG_FIX - Bug fix commits
+ * @property {Object} REFACTOR - Code refactoring commits
+ * @property {Object} PERFORMANCE - Performance improvements
+ * @property {Object} STYLE - Formatting and code style changes
+ * @property {Object} DOCS - Documentation commits
+ * @property {Object} TEST - Test-related commits
+ * @property {Object} CONFIG - Configuration, build and CI commits
+ * @property {Object} REVERT - Reverted commits
  */
 const COMMIT_TYPES = {
   FEATURE: {
-    patterns: [/^feat:/, /^add:/, /^new:/],
+    types: ['feat', 'feature', 'add', 'new'],
     filePatterns: [/^(?!.*test).+\.(js|ts|jsx|tsx)$/]
   },
   BUG_FIX: {
-    patterns: [/^fix:/, /^bug:/, /^issue:/, /^hotfix:/],
+    types: ['fix', 'bug', 'bugfix', 'issue', 'hotfix'],
     filePatterns: [/^(?!.*test).+\.(js|ts|jsx|tsx)$/]
   },
   REFACTOR: {
-    patterns: [/^refactor:/, /^clean:/, /^restructure:/, /^improve:/],
+    types: ['refactor', 'clean', 'restructure', 'improve'],
     filePatterns: [/^(?!.*test).+\.(js|ts|jsx|tsx)$/]
   },
+  PERFORMANCE: {
+    types: ['perf', 'performance'],
+    filePatterns: []
+  },
+  STYLE: {
+    types: ['style'],
+    filePatterns: []
+  },
   DOCS: {
-    patterns: [/^docs:/, /^documentation:/],
+    types: ['docs', 'doc', 'documentation'],
     filePatterns: [/\.md$/, /docs\//, /README/]
   },
   TEST: {
-    patterns: [/^test:/, /^testing:/],
+    types: ['test', 'tests', 'testing'],
     filePatterns: [/test/, /spec\.(js|ts)$/]
   },
   CONFIG: {
-    patterns: [/^config:/, /^chore:/, /^build:/],
+    types: ['config', 'chore', 'build', 'ci', 'deps'],
     filePatterns: [/\.(json|yml|yaml|config\.js)$/]
+  },
+  REVERT: {
+    types: ['revert'],
+    filePatterns: []
   }
 };
 
 /**
- * Checks if text matches any of the given regex patterns
+ * Checks that a config value is a plain object
  * @private
- * @param {string} text - Text to check against patterns
- * @param {Array<RegExp>} patterns - Array of regex patterns to match against
- * @returns {boolean} True if text matches any pattern
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a list of non-empty strings from a category definition
+ * @private
+ * @param {string} id - Category id, for error messages
+ * @param {string} key - Category property name
+ * @param {*} value - Value from the config
+ * @returns {string[]} Trimmed strings
+ * @throws {GitLogError} If the value is not a list of non-empty strings
  */
-const matchesPatterns = (text, patterns) => {
-  if (!text) return false;
-  const normalizedText = text.toLowerCase().trim();
-  return patterns.some(pattern => pattern.test(normalizedText));
+const stringList = (id, key, value) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new GitLogError(
+      `Invalid commit type "${id}": "${key}" must be a list of strings`,
+      'CONFIG_INVALID',
+      { category: id }
+    );
+  }
+  return value.map(item => item.trim());
 };
 
+/**
+ * Copies a built-in category into the compiled shape
+ * @private
+ * @param {string} id - Category id from COMMIT_TYPES
+ * @param {Object} category - Built-in category
+ * @returns {Object} Compiled category
+ */
+const fromBuiltin = (id, { types, filePatterns }) => ({ id, name: id, types, patterns: [], filePatterns, priority: 0 });
+
+/**
+ * Merges a configured category into the built-in category with the same id, or creates a new category
+ * @private
+ * @param {string} id - Category id
+ * @param {Object} entry - Category definition from the config
+ * @param {Object|undefined} builtin - Compiled category with the same id
+ * @returns {Object} Compiled category with id, name, types, patterns, filePatterns and priority
+ * @throws {GitLogError} If the definition is invalid
+ */
+const compileCategory = (id, entry, builtin) => {
+  if (!isObject(entry)) {
+    throw new GitLogError(
+      `Invalid commit type "${id}": expected an object or false`,
+      'CONFIG_INVALID',
+      { category: id }
+    );
+  }
+
+  const unknownKeys = Object.keys(entry).filter(key => !CATEGORY_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new GitLogError(
+      `Invalid commit type "${id}": unknown ${unknownKeys.length > 1 ? 'properties' : 'property'} ${unknownKeys.join(', ')}`,
+      'CONFIG_INVALID',
+      { category: id }
+    );
+  }
+
+  if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+    throw new GitLogError(`Invalid commit type "${id}": "name" must be a non-empty string`, 'CONFIG_INVALID', { category: id });
+  }
+  if (entry.priority !== undefined && !Number.isFinite(entry.priority)) {
+    throw new GitLogError(`Invalid commit type "${id}": "priority" must be a number`, 'CONFIG_INVALID', { category: id });
+  }
+
+  let patterns = builtin ? builtin.patterns : [];
+  if (entry.patterns !== undefined) {
+    try {
+      // Patterns are reused with test() across commits, so stateful `g` and `y` flags would skip matches
+      const flags = (entry.flags ?? 'i').replace(/[gy]/g, '');
+      patterns = stringList(id, 'patterns', entry.patterns).map(pattern => new RegExp(pattern, flags));
+    } catch (error) {
+      if (error instanceof GitLogError) throw error;
+      throw new GitLogError(
+        `Invalid commit type "${id}": ${error.message}`,
+        'CONFIG_INVALID',
+        { category: id, error: error.message }
+      );
+    }
+  }
+
+  const category = {
+    id,
+    name: entry.name !== undefined ? entry.name.trim() : (builtin ? builtin.name : id),
+    types: entry.types !== undefined
+      ? stringList(id, 'types', entry.types).map(type => type.toLowerCase())
+      : (builtin ? builtin.types : []),
+    patterns,
+    filePatterns: entry.filePatterns !== undefined
+      ? stringList(id, 'filePatterns', entry.filePatterns).map(glob => globToRegExp(glob))
+      : (builtin ? builtin.filePatterns : []),
+    priority: entry.priority ?? (builtin ? builtin.priority : 0)
+  };
+
+  if (!category.types.length && !category.patterns.length && !category.filePatterns.length) {
+    throw new GitLogError(
+      `Invalid commit type "${id}": needs "types", "patterns" or "filePatterns"`,
+      'CONFIG_INVALID',
+      { category: id }
+    );
+  }
+  return category;
+};
+
+/**
+ * Builds the commit categories from COMMIT_TYPES and the `commitTypes` section of the project config
+ * @param {Object} [config={}] - Project config with an optional `commitTypes` section
+ * @returns {Object[]} Categories, highest priority first (ties keep built-in order, then config order). Each has an
+ *   id, a display name, Conventional Commits `types`, message `patterns` and `filePatterns` (RegExp lists) and a priority.
+ * @throws {GitLogError} If the section is invalid
+ * @example
+ * // .gitlog-author.json
+ * {
+ *   "commitTypes": {
+ *     "categories": {
+ *       "BUG_FIX": { "name": "Bug fix", "patterns": ["^\\[[A-Z]+-\\d+\\]\\s*fix", "🐛|:bug:"] },
+ *       "SECURITY": { "name": "Security", "patterns": ["🔒|:lock:"], "filePatterns": ["src/auth/**"], "priority": 10 },
+ *       "STYLE": false
+ *     }
+ *   }
+ * }
+ */
+const compileCommitTypes = (config = {}) => {
+  const { commitTypes = {} } = config;
+  if (!isObject(commitTypes)) {
+    throw new GitLogError(
+      'Invalid "commitTypes" config: expected an object with "categories" and an optional "replaceBuiltin"',
+      'CONFIG_INVALID'
+    );
+  }
+
+  const unknownKeys = Object.keys(commitTypes).filter(key => !SECTION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new GitLogError(
+      `Invalid "commitTypes" config: unknown ${unknownKeys.length > 1 ? 'properties' : 'property'} ${unknownKeys.join(', ')}`,
+      'CONFIG_INVALID'
+    );
+  }
+
+  const { replaceBuiltin = false, categories = {} } = commitTypes;
+  if (typeof replaceBuiltin !== 'boolean') {
+    throw new GitLogError('Invalid "commitTypes.replaceBuiltin" config: expected true or false', 'CONFIG_INVALID');
+  }
+  if (!isObject(categories)) {
+    throw new GitLogError(
+      'Invalid "commitTypes.categories" config: expected an object mapping category ids to definitions',
+      'CONFIG_INVALID'
+    );
+  }
+
+  const compiled = new Map(replaceBuiltin
+    ? []
+    : Object.entries(COMMIT_TYPES).map(([id, category]) => [id, fromBuiltin(id, category)]));
+
+  Object.entries(categories).forEach(([id, entry]) => {
+    if (id === UNKNOWN_TYPE) {
+      throw new GitLogError(`Invalid commit type "${id}": the name is reserved for uncategorized commits`, 'CONFIG_INVALID', { category: id });
+    }
+    if (entry === false || (isObject(entry) && entry.enabled === false)) {
+      if (!compiled.has(id)) {
+        throw new GitLogError(`Invalid commit type "${id}": cannot disable an unknown category`, 'CONFIG_INVALID', { category: id });
+      }
+      compiled.delete(id);
+      return;
+    }
+    // Overriding a category keeps its position among equal priorities
+    compiled.set(id, compileCategory(id, entry, compiled.get(id)));
+  });
+
+  if (compiled.size === 0) {
+    throw new GitLogError('Invalid "commitTypes" config: no categories left to classify commits', 'CONFIG_INVALID');
+  }
+
+  // Array#sort is stable, so categories of equal priority keep their order
+  return Array.from(compiled.values()).sort((a, b) => b.priority - a.priority);
+};
+
+/**
+ * Loads the commit categories with the project config applied
+ * @returns {Promise<Object[]>} Categories as returned by compileCommitTypes
+ * @throws {GitLogError} If the config file or the `commitTypes` section is invalid
+ */
+const loadCommitTypes = async () => compileCommitTypes(await loadConfig());
+
+const DEFAULT_CATEGORIES = compileCommitTypes();
+
 /**
  * Checks if any file in the list matches any of the given regex patterns
  * @private
@@ -65,38 +268,50 @@ const matchesFilePatterns = (files, patterns) => {
   return files.some(file => patterns.some(pattern => pattern.test(file)));
 };
 
+/**
+ * Looks up the display names of commit types
+ * @param {Array<string>} types - Category ids, possibly including UNKNOWN
+ * @param {Object[]} [categories] - Categories from compileCommitTypes (defaults to the built-in ones)
+ * @returns {Object<string, string>} Display name per category id
+ */
+const getTypeNames = (types, categories = DEFAULT_CATEGORIES) => Object.fromEntries(types.map(type => {
+  const category = categories.find(({ id }) => id === type);
+  return [type, category ? category.name : type];
+}));
+
 /**
  * Categorizes a commit into one or more types based on its message and modified files
  * @param {Object} commit - Commit object to categorize
- * @param {string} commit.message - Commit message
+ * @param {string} commit.message - Commit subject
+ * @param {string} [commit.body] - Rest of the commit message
  * @param {Array<string>} commit.files - List of files modified in the commit
+ * @param {Object[]} [categories] - Categories from compileCommitTypes (defaults to the built-in ones)
  * @returns {Array<string>} Array of commit types assigned to the commit
  */
-const categorizeCommit = (commit) => {
+const categorizeCommit = (commit, categories = DEFAULT_CATEGORIES) => {
   const types = new Set();
-  const message = commit?.message || '';
   const files = commit?.files || [];
+  const message = (commit?.message || '').trim();
 
-  // Check message patterns first
-  Object.entries(COMMIT_TYPES).forEach(([type, { patterns }]) => {
-    if (matchesPatterns(message, patterns)) {
-      types.add(type);
-    }
-  });
+  // The highest-priority category whose Conventional Commits type or message pattern matches decides the type
+  const parsed = parseConventionalCommit(message, commit?.body);
+  const category = categories.find(({ types: conventionalTypes, patterns }) =>
+    (parsed && conventionalTypes.includes(parsed.type)) || patterns.some(pattern => pattern.test(message)));
+  if (category) {
+    types.add(category.id);
+  }
 
   // For test files, always add TEST type regardless of message
-  if (files.some(file => /test|spec\.(js|ts)$/.test(file))) {
+  const testCategory = categories.find(({ id }) => id === 'TEST');
+  if (testCategory && matchesFilePatterns(files, testCategory.filePatterns)) {
     types.add('TEST');
   }
 
-  // If no types found from message, try to determine one type from file patterns
+  // If no types found from message, use the highest-priority category matching the file patterns
   if (types.size === 0) {
-    // Try to find the most specific matching type based on file patterns
-    for (const [type, { filePatterns }] of Object.entries(COMMIT_TYPES)) {
-      if (matchesFilePatterns(files, filePatterns)) {
-        types.add(type);
-        break; // Only use the first matching type
-      }
+    const fileCategory = categories.find(({ filePatterns }) => matchesFilePatterns(files, filePatterns));
+    if (fileCategory) {
+      types.add(fileCategory.id);
     }
   }
 
@@ -105,50 +320,75 @@ const categorizeCommit = (commit) => {
 
 /**
  * Calculates metrics about commit types across a set of commits
- * @param {Array<Object>} commits - Array of commit objects to analyze
- * @returns {Object} Metrics object containing type breakdown and primary contribution type
+ * @param {Array<Object>} commits - Array of commit objects to analyze (`message`, optional `body`, `files`)
+ * @param {Object[]} [categories] - Categories from compileCommitTypes (defaults to the built-in ones)
+ * @returns {Object} Metrics object containing type and scope breakdowns, breaking changes and primary contribution type
  * @property {Array<{type: string, count: number, percentage: string}>} typeBreakdown - Breakdown of commit types with counts and percentages
+ * @property {Array<{scope: string, count: number, percentage: string}>} scopeBreakdown - Conventional Commits scopes with counts and
+ *   their percentage of the commits that have a scope
+ * @property {number} breakingChanges - Commits marked as breaking with `!` or a `BREAKING CHANGE:` footer
  * @property {string} primaryContributionType - Most frequent commit type
+ * @property {Object<string, string>} typeNames - Display name of each type in the breakdown
  */
-const calculateTypeMetrics = (commits) => {
+const calculateTypeMetrics = (commits, categories = DEFAULT_CATEGORIES) => {
   const typeCounts = {};
+  const scopeCounts = {};
+  let breakingChanges = 0;
 
   commits.forEach(commit => {
-    const types = categorizeCommit(commit);
+    const types = categorizeCommit(commit, categories);
     if (types.length === 0) {
-      typeCounts['UNKNOWN'] = (typeCounts['UNKNOWN'] || 0) + 1;
+      typeCounts[UNKNOWN_TYPE] = (typeCounts[UNKNOWN_TYPE] || 0) + 1;
     } else {
       types.forEach(type => {
         typeCounts[type] = (typeCounts[type] || 0) + 1;
       });
     }
-  });
 
-  // Calculate total type assignments
-  const totalTypeAssignments = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
+    const parsed = parseConventionalCommit(commit.message, commit.body);
+    if (parsed?.scope) {
+      scopeCounts[parsed.scope] = (scopeCounts[parsed.scope] || 0) + 1;
+    }
+    if (parsed?.breaking) {
+      breakingChanges++;
+    }
+  });
 
-  // Calculate percentages based on total type assignments
-  const typeBreakdown = Object.entries(typeCounts).map(([type, count]) => ({
-    type,
-    count,
-    percentage: ((count / totalTypeAssignments) * 100).toFixed(2)
-  }));
+  /**
+   * Turns counts into entries with percentages, sorted by count and then alphabetically for consistent ordering
+   * @param {Object<string, number>} counts - Count per key
+   * @param {string} key - Property name for the counted value
+   * @returns {Array<Object>} Sorted breakdown
+   */
+  const toBreakdown = (counts, key) => {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return Object.entries(counts)
+      .map(([value, count]) => ({
+        [key]: value,
+        count,
+        percentage: ((count / total) * 100).toFixed(2)
+      }))
+      .sort((a, b) => b.count - a.count || a[key].localeCompare(b[key]));
+  };
 
-  // Sort by count and then alphabetically for consistent ordering
-  const sortedTypes = typeBreakdown.sort((a, b) => {
-    const countDiff = b.count - a.count;
-    return countDiff !== 0 ? countDiff : a.type.localeCompare(b.type);
-  });
+  // Percentages are based on total type assignments, as a commit can have several types
+  const sortedTypes = toBreakdown(typeCounts, 'type');
 
   return {
     typeBreakdown: sortedTypes,
-    primaryContributionType: sortedTypes.length > 0 && sortedTypes[0].type !== 'UNKNOWN' ? 
-      sortedTypes[0].type : 'UNKNOWN'
+    scopeBreakdown: toBreakdown(scopeCounts, 'scope'),
+    breakingChanges,
+    primaryContributionType: sortedTypes.length > 0 && sortedTypes[0].type !== UNKNOWN_TYPE ? 
+      sortedTypes[0].type : UNKNOWN_TYPE,
+    typeNames: getTypeNames(sortedTypes.map(({ type }) => type), categories)
   };
 };
 
 module.exports = {
   COMMIT_TYPES,
+  compileCommitTypes,
+  loadCommitTypes,
+  getTypeNames,
   categorizeCommit,
   calculateTypeMetrics
 };
@@ -0,0 +1,122 @@
+/**
+ * @module compareService
+ * @description Compares the contributions of two authors, or of one author across two date ranges
+ */
+
+const { getAuthorCommits } = require('./authorService');
+const { calculateVelocityMetrics } = require('./metricsService');
+
+/**
+ * Number of directories taken from each side when comparing directory impact
+ * @constant {number}
+ */
+const TOP_DIRECTORY_COUNT = 5;
+
+/**
+ * Calculates the change from a baseline value to a compared value
+ * @param {number} baseline - Value of the first side
+ * @param {number} value - Value of the second side
+ * @returns {{baseline: number, value: number, delta: number, percent: number|null}} Absolute and relative change;
+ *   percent is null when the baseline is zero and the value is not
+ * @example
+ * calculateDelta(10, 15) // { baseline: 10, value: 15, delta: 5, percent: 50 }
+ */
+function calculateDelta(baseline, value) {
+  const delta = +(value - baseline).toFixed(2);
+  let percent;
+  if (baseline === 0) {
+    percent = value === 0 ? 0 : null;
+  } else {
+    percent = +((delta / baseline) * 100).toFixed(1);
+  }
+  return { baseline, value, delta, percent };
+}
+
+/**
+ * Compares the metrics of two sides
+ * @param {{commitCount: number, metrics: Object}} first - Baseline side with metrics from calculateVelocityMetrics
+ * @param {{commitCount: number, metrics: Object}} second - Compared side
+ * @returns {Object} Deltas of the second side relative to the first
+ * @property {Object<string, Object>} summary - Commit count, line and frequency deltas
+ * @property {Object[]} commitTypes - Commit count delta and display name per commit type
+ * @property {Object<string, Object>} timeDistribution - Delta in percentage of commits per time of day
+ * @property {Object[]} directories - Lines changed delta for the top directories of either side
+ */
+function compareMetrics(first, second) {
+  const a = first.metrics;
+  const b = second.metrics;
+
+  const summary = {
+    commits: calculateDelta(first.commitCount, second.commitCount),
+    totalLinesChanged: calculateDelta(a.totalLinesChanged, b.totalLinesChanged),
+    totalInsertions: calculateDelta(a.totalInsertions, b.totalInsertions),
+    totalDeletions: calculateDelta(a.totalDeletions, b.totalDeletions),
+    averageCommitSize: calculateDelta(a.averageCommitSize, b.averageCommitSize),
+    commitsPerDay: calculateDelta(a.commitsPerDay, b.commitsPerDay),
+    coAuthoredCommits: calculateDelta(a.coAuthoredCommits, b.coAuthoredCommits)
+  };
+
+  const countByType = (metrics) => new Map(
+    metrics.typeMetrics.typeBreakdown.map(({ type, count }) => [type, count])
+  );
+  const typesA = countByType(a);
+  const typesB = countByType(b);
+  const typeNames = { ...a.typeMetrics.typeNames, ...b.typeMetrics.typeNames };
+  const commitTypes = Array.from(new Set([...typesA.keys(), ...typesB.keys()]))
+    .map(type => ({ type, name: typeNames[type] || type, ...calculateDelta(typesA.get(type) || 0, typesB.get(type) || 0) }))
+    .sort((x, y) => Math.max(y.baseline, y.value) - Math.max(x.baseline, x.value) || x.type.localeCompare(y.type));
+
+  const timeDistribution = Object.fromEntries(['morning', 'afternoon', 'evening'].map(slot => [
+    slot,
+    calculateDelta(a.timeDistribution[slot] || 0, b.timeDistribution[slot] || 0)
+  ]));
+
+  const changesByDirectory = (metrics) => new Map(
+    metrics.impactMetrics.directoryImpact.map(({ directory, changes }) => [directory, changes])
+  );
+  const directoriesA = changesByDirectory(a);
+  const directoriesB = changesByDirectory(b);
+  const topDirectories = new Set([
+    ...Array.from(directoriesA.keys()).slice(0, TOP_DIRECTORY_COUNT),
+    ...Array.from(directoriesB.keys()).slice(0, TOP_DIRECTORY_COUNT)
+  ]);
+  const directories = Array.from(topDirectories)
+    .map(directory => ({
+      directory,
+      ...calculateDelta(directoriesA.get(directory) || 0, directoriesB.get(directory) || 0)
+    }))
+    .sort((x, y) => Math.max(y.baseline, y.value) - Math.max(x.baseline, x.value) || x.directory.localeCompare(y.directory));
+
+  return { summary, commitTypes, timeDistribution, directories };
+}
+
+/**
+ * Collects commits and metrics for two sides and compares them
+ * @param {Array<{label: string, author: string, since: string, until: string}>} sides - The baseline side
+ *   followed by the compared side
+ * @param {string[]} [includeDirs=[]] - Optional directories to include
+ * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
+ * @param {Object} [options={}] - Options passed to getAuthorCommits
+ * @returns {Promise<{sides: Object[], comparison: Object}>} Each side with its commit count and metrics,
+ *   and the deltas from compareMetrics
+ * @throws {GitLogError} If a git operation fails
+ */
+async function getComparison(sides, includeDirs = [], excludeDirs = [], options = {}) {
+  const results = [];
+  for (const side of sides) {
+    const commits = await getAuthorCommits(side.author, side.since, side.until, includeDirs, excludeDirs, options);
+    const metrics = await calculateVelocityMetrics(commits, includeDirs, excludeDirs);
+    results.push({ ...side, commitCount: commits.length, metrics });
+  }
+
+  return {
+    sides: results,
+    comparison: compareMetrics(results[0], results[1])
+  };
+}
+
+module.exports = {
+  calculateDelta,
+  compareMetrics,
+  getComparison
+};
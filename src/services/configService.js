@@ -0,0 +1,98 @@
+/**
+ * @module configService
+ * @description Loads the optional project configuration file (`.gitlog-author.json` in the repository root)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execGitCommand } = require('./gitOperations');
+const GitLogError = require('../models/GitLogError');
+
+const CONFIG_FILENAME = '.gitlog-author.json';
+
+let explicitConfigPath = null;
+let configPromise = null;
+
+/**
+ * Uses a specific configuration file instead of the repository default (used by `--config`)
+ * @param {string|null} configPath - Path to the configuration file, or null for the default
+ */
+function setConfigPath(configPath) {
+  explicitConfigPath = configPath || null;
+  configPromise = null;
+}
+
+/**
+ * Resolves the configuration file location
+ * @private
+ * @returns {Promise<string|null>} Absolute path, or null if the repository root cannot be determined
+ */
+async function resolveConfigPath() {
+  if (explicitConfigPath) {
+    return path.resolve(explicitConfigPath);
+  }
+  try {
+    const root = (await execGitCommand('git', ['rev-parse', '--show-toplevel'])).trim();
+    return path.join(root, CONFIG_FILENAME);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads and parses the configuration file
+ * @private
+ * @returns {Promise<Object>} Parsed configuration, or an empty object if no default config exists
+ * @throws {GitLogError} If an explicit config file is missing or any config file is not valid JSON
+ */
+async function readConfig() {
+  const configPath = await resolveConfigPath();
+  if (!configPath || !fs.existsSync(configPath)) {
+    if (explicitConfigPath) {
+      throw new GitLogError(
+        `Config file not found: ${explicitConfigPath}`,
+        'CONFIG_NOT_FOUND',
+        { path: explicitConfigPath }
+      );
+    }
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new GitLogError(
+      `Invalid config file ${configPath}: ${error.message}`,
+      'CONFIG_INVALID',
+      { path: configPath, error: error.message }
+    );
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new GitLogError(
+      `Invalid config file ${configPath}: expected a JSON object`,
+      'CONFIG_INVALID',
+      { path: configPath }
+    );
+  }
+  return config;
+}
+
+/**
+ * Returns the project configuration, loading it once per process
+ * @returns {Promise<Object>} Parsed configuration (empty object when no config file exists)
+ * @throws {GitLogError} If the config file is missing (when set explicitly) or invalid
+ */
+async function loadConfig() {
+  if (!configPromise) {
+    configPromise = readConfig();
+  }
+  return configPromise;
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  setConfigPath,
+  loadConfig
+};
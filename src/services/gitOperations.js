@@ -7,27 +7,17 @@ const { spawn } = require('child_process');
 const GitLogError = require('../models/GitLogError');
 
 /**
- * Executes a git command with the provided arguments
- * @async
- * @param {string} command - The git command to execute (must be 'git')
+ * Spawns git and forwards its stdout to a callback as it arrives
+ * @private
  * @param {Array<string>} args - Array of command arguments
- * @param {Object} [options={}] - Spawn options for child process
- * @returns {Promise<string>} Command output
+ * @param {Object} options - Spawn options for child process
+ * @param {function(string): void} onData - Called with each UTF-8 chunk of stdout
+ * @returns {Promise<void>} Resolves when git exits successfully
  * @throws {GitLogError} If command execution fails, git is not found, or repository errors occur
  */
-async function execGitCommand(command, args, options = {}) {
+function runGitProcess(args, options, onData) {
   return new Promise((resolve, reject) => {
-    let output = '';
     let errorOutput = '';
-    
-    // Only allow git commands
-    if (command !== 'git') {
-      throw new GitLogError(
-        'Only git commands are allowed',
-        'INVALID_COMMAND',
-        { command }
-      );
-    }
 
     // Use appropriate git executable for the platform
     const gitPath = process.platform === 'win32' ? 'git.exe' : 'git';
@@ -46,9 +36,7 @@ async function execGitCommand(command, args, options = {}) {
     childProcess.stdout.setEncoding('utf8');
     childProcess.stderr.setEncoding('utf8');
     
-    childProcess.stdout.on('data', (data) => {
-      output += data;
-    });
+    childProcess.stdout.on('data', onData);
     
     childProcess.stderr.on('data', (data) => {
       errorOutput += data;
@@ -72,7 +60,7 @@ async function execGitCommand(command, args, options = {}) {
     
     childProcess.on('close', (code) => {
       if (code === 0) {
-        resolve(output);
+        resolve();
       } else {
         const errorMsg = errorOutput.trim();
         if (errorMsg.includes('not a git repository')) {
@@ -84,13 +72,13 @@ async function execGitCommand(command, args, options = {}) {
           reject(new GitLogError(
             'Invalid git reference or commit hash',
             'INVALID_GIT_REF',
-            { command: `${command} ${args.join(' ')}` }
+            { command: `git ${args.join(' ')}` }
           ));
         } else {
           reject(new GitLogError(
             `Git command failed: ${errorMsg || 'Unknown error'}`,
             'GIT_OPERATION_FAILED',
-            { command: `${command} ${args.join(' ')}`, code }
+            { command: `git ${args.join(' ')}`, code }
           ));
         }
       }
@@ -98,6 +86,45 @@ async function execGitCommand(command, args, options = {}) {
   });
 }
 
+/**
+ * Executes a git command with the provided arguments
+ * @async
+ * @param {string} command - The git command to execute (must be 'git')
+ * @param {Array<string>} args - Array of command arguments
+ * @param {Object} [options={}] - Spawn options for child process
+ * @returns {Promise<string>} Command output
+ * @throws {GitLogError} If command execution fails, git is not found, or repository errors occur
+ */
+async function execGitCommand(command, args, options = {}) {
+  // Only allow git commands
+  if (command !== 'git') {
+    throw new GitLogError(
+      'Only git commands are allowed',
+      'INVALID_COMMAND',
+      { command }
+    );
+  }
+
+  let output = '';
+  await runGitProcess(args, options, (data) => {
+    output += data;
+  });
+  return output;
+}
+
+/**
+ * Executes a git command and streams its output instead of buffering it
+ * @async
+ * @param {Array<string>} args - Array of git command arguments
+ * @param {function(string): void} onData - Called with each UTF-8 chunk of stdout, in order
+ * @param {Object} [options={}] - Spawn options for child process
+ * @returns {Promise<void>} Resolves once the command has exited successfully
+ * @throws {GitLogError} If command execution fails, git is not found, or repository errors occur
+ */
+async function streamGitCommand(args, onData, options = {}) {
+  return runGitProcess(args, options, onData);
+}
+
 /**
  * Checks if the current directory is within a valid git repository with commits
  * @async
@@ -160,16 +187,29 @@ async function fetchLatestChanges() {
   }
 }
 
+/**
+ * Builds the `-U` option for a diff context size
+ * @private
+ * @param {number|null} context - Lines of context, or null for git's default
+ * @returns {string[]} Diff arguments
+ */
+function contextArgs(context) {
+  return Number.isInteger(context) && context >= 0 ? [`-U${context}`] : [];
+}
+
 /**
  * Gets the diff of a commit.
  * @async
  * @param {string} hash - The hash of the commit to get the diff for.
  * @param {string} [parentHash=null] - The hash of the parent commit to compare against. If not provided, compares with the parent of the given commit.
+ * @param {Object} [options] - Options for diff
+ * @param {boolean} [options.stream=false] - Return a readable stream instead of string
+ * @param {number|null} [options.context=null] - Lines of context around each change (git's default of 3 when null)
  * @returns {Promise<string>} The diff output.
  * @throws {Error} If the git command fails.
  */
-async function getCommitDiff(hash, parentHash = null, { stream = false } = {}) {
-  const args = ['diff', '--color=never'];
+async function getCommitDiff(hash, parentHash = null, { stream = false, context = null } = {}) {
+  const args = ['diff', '--color=never', ...contextArgs(context)];
   
   if (parentHash) {
     args.push(`${parentHash}..${hash}`);
@@ -200,7 +240,7 @@ async function getCommitDiff(hash, parentHash = null, { stream = false } = {}) {
       // Handle first commit case
       if (stream) {
         const gitPath = process.platform === 'win32' ? 'git.exe' : 'git';
-        const childProcess = spawn(gitPath, ['show', '--color=never', hash], {
+        const childProcess = spawn(gitPath, ['show', '--color=never', ...contextArgs(context), hash], {
           env: {
             ...process.env,
             LANG: 'en_US.UTF-8',
@@ -210,7 +250,7 @@ async function getCommitDiff(hash, parentHash = null, { stream = false } = {}) {
         });
         return childProcess.stdout;
       } else {
-        const rootDiff = await execGitCommand('git', ['show', '--color=never', hash]);
+        const rootDiff = await execGitCommand('git', ['show', '--color=never', ...contextArgs(context), hash]);
         return rootDiff;
       }
     }
@@ -294,11 +334,12 @@ async function createReviewBranch(branchName, commits, startPoint = null) {
  * @param {string} compare - Branch/commit to compare against base
  * @param {Object} [options] - Options for diff
  * @param {boolean} [options.stream=false] - Return a readable stream instead of string
+ * @param {number|null} [options.context=null] - Lines of context around each change (git's default of 3 when null)
  * @returns {Promise<string|Readable>} Diff output or readable stream
  * @throws {GitLogError} If diff fails
  */
-async function getBranchDiff(base, compare, { stream = false } = {}) {
-  const args = ['diff', '--color=never', `${base}...${compare}`];
+async function getBranchDiff(base, compare, { stream = false, context = null } = {}) {
+  const args = ['diff', '--color=never', ...contextArgs(context), `${base}...${compare}`];
   
   try {
     if (stream) {
@@ -348,13 +389,183 @@ async function cleanupReviewBranch(branchName, returnBranch) {
   }
 }
 
+/**
+ * Gets the hash of the empty tree, used as the base when diffing against a root commit
+ * @async
+ * @returns {Promise<string>} Empty tree hash for the repository's object format
+ * @throws {GitLogError} If command fails
+ */
+async function getEmptyTreeHash() {
+  const output = await execGitCommand('git', ['hash-object', '-t', 'tree', '--stdin'], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return output.trim();
+}
+
+/**
+ * Checks whether the working tree has uncommitted or untracked changes
+ * @async
+ * @returns {Promise<boolean>} True if `git status` reports any changes
+ * @throws {GitLogError} If command fails
+ */
+async function hasUncommittedChanges() {
+  const output = await execGitCommand('git', ['status', '--porcelain']);
+  return output.trim().length > 0;
+}
+
+/**
+ * Stashes all uncommitted changes, including untracked files
+ * @async
+ * @param {string} message - Stash message used to identify the entry
+ * @returns {Promise<void>}
+ * @throws {GitLogError} If stashing fails
+ */
+async function stashChanges(message) {
+  try {
+    await execGitCommand('git', ['stash', 'push', '--include-untracked', '-m', message]);
+  } catch (error) {
+    throw new GitLogError(
+      'Failed to stash uncommitted changes: ' + error.message,
+      'STASH_FAILED',
+      { error: error.message }
+    );
+  }
+}
+
+/**
+ * Restores the most recent stash entry
+ * @async
+ * @returns {Promise<void>}
+ * @throws {GitLogError} If the stash cannot be applied; the entry is then kept in the stash list
+ */
+async function popStash() {
+  try {
+    await execGitCommand('git', ['stash', 'pop']);
+  } catch (error) {
+    throw new GitLogError(
+      'Failed to restore stashed changes (they are still in `git stash list`): ' + error.message,
+      'STASH_RESTORE_FAILED',
+      { error: error.message }
+    );
+  }
+}
+
+/**
+ * Checks whether a local branch exists
+ * @async
+ * @param {string} branchName - Branch name
+ * @returns {Promise<boolean>} True if the branch exists
+ */
+async function branchExists(branchName) {
+  try {
+    await execGitCommand('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a branch, tag or commit reference to a full commit hash
+ * @async
+ * @param {string} ref - Reference to resolve
+ * @returns {Promise<string>} Full commit hash
+ * @throws {GitLogError} If the reference does not name a commit
+ */
+async function resolveCommit(ref) {
+  // A leading dash would be read as an option by git
+  if (!ref?.trim() || ref.trim().startsWith('-')) {
+    throw new GitLogError(`Invalid git reference: ${ref}`, 'INVALID_GIT_REF', { ref });
+  }
+  try {
+    const output = await execGitCommand('git', ['rev-parse', '--verify', '--quiet', `${ref.trim()}^{commit}`]);
+    return output.trim();
+  } catch (error) {
+    throw new GitLogError(`Invalid git reference: ${ref}`, 'INVALID_GIT_REF', { ref });
+  }
+}
+
+/**
+ * Reads a file as it was at a revision
+ * @async
+ * @param {string} revision - Commit, branch or tag
+ * @param {string} filePath - Repository-relative path
+ * @returns {Promise<string|null>} File content, or null if the file or revision does not exist
+ */
+async function getFileAtRevision(revision, filePath) {
+  try {
+    return await execGitCommand('git', ['show', `${revision}:${filePath}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the local and remote-tracking branches
+ * @async
+ * @returns {Promise<Array<{ref: string, name: string}>>} Full ref and short name (`feature/x`, `origin/feature/x`)
+ *   of every branch, without remote HEAD aliases
+ */
+async function listBranches() {
+  try {
+    const output = await execGitCommand('git', [
+      'for-each-ref',
+      '--format=%(refname)%09%(refname:short)',
+      'refs/heads',
+      'refs/remotes'
+    ]);
+    return output.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const [ref, name] = line.split('\t');
+        return { ref, name };
+      })
+      .filter(({ ref }) => !ref.endsWith('/HEAD'));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Lists the commits that only a branch contains: not the current HEAD, nor any other local or remote branch
+ * @async
+ * @param {string} name - Branch name without the remote (e.g. `feature/x`); its local and remote copies are not excluded
+ * @param {string[]} refs - Full refs of the branch from listBranches (local and remote-tracking)
+ * @returns {Promise<string[]>} Commit hashes, newest first
+ * @throws {GitLogError} If the git command fails
+ */
+async function getBranchOnlyCommits(name, refs) {
+  const output = await execGitCommand('git', [
+    'rev-list',
+    ...refs,
+    '--not',
+    'HEAD',
+    `--exclude=${name}`,
+    '--branches',
+    `--exclude=*/${name}`,
+    '--remotes',
+    '--'
+  ]);
+  return output.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
 module.exports = {
   execGitCommand,
+  streamGitCommand,
   isGitRepository,
   fetchLatestChanges,
   getCommitDiff,
   getCurrentBranch,
   createReviewBranch,
   getBranchDiff,
-  cleanupReviewBranch
+  cleanupReviewBranch,
+  getEmptyTreeHash,
+  hasUncommittedChanges,
+  stashChanges,
+  popStash,
+  branchExists,
+  resolveCommit,
+  getFileAtRevision,
+  listBranches,
+  getBranchOnlyCommits
 };
@@ -0,0 +1,202 @@
+/**
+ * @module identityService
+ * @description Resolves the name/email pairs found in git history to people, using the repository
+ * `.mailmap` (through git's `%aN`/`%aE`) and the `aliases` section of the project config
+ */
+
+const { execGitCommand } = require('./gitOperations');
+const { loadConfig } = require('./configService');
+const GitLogError = require('../models/GitLogError');
+
+const FIELD_SEPARATOR = '\x1f';
+const IDENTITY_FORMAT = '%an%x1f%ae%x1f%aN%x1f%aE';
+
+let peoplePromise = null;
+
+/**
+ * Builds a case-insensitive lookup key for a name/email pair
+ * @param {string} name - Author name
+ * @param {string} email - Author email
+ * @returns {string} Lookup key
+ */
+function identityKey(name, email) {
+  return `${name.trim().toLowerCase()} <${email.trim().toLowerCase()}>`;
+}
+
+/**
+ * Validates and normalizes the `aliases` config section
+ * @param {Object<string, string[]>} [aliases={}] - Canonical name to the names and emails it covers
+ * @returns {Array<{name: string, identities: Set<string>}>} Aliases with lowercased identities
+ * @throws {GitLogError} If the section is not an object of string arrays
+ * @example
+ * normalizeAliases({ 'Jane Doe': ['jane@work.com', 'jane@home.com', 'jdoe'] })
+ */
+function normalizeAliases(aliases = {}) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new GitLogError(
+      'Invalid "aliases" config: expected an object mapping names to lists of names or emails',
+      'CONFIG_INVALID'
+    );
+  }
+
+  return Object.entries(aliases).map(([name, identities]) => {
+    if (!Array.isArray(identities) || identities.some(identity => typeof identity !== 'string')) {
+      throw new GitLogError(
+        `Invalid aliases for "${name}": expected a list of names or emails`,
+        'CONFIG_INVALID',
+        { name }
+      );
+    }
+    return {
+      name,
+      identities: new Set([name, ...identities].map(identity => identity.trim().toLowerCase()))
+    };
+  });
+}
+
+/**
+ * Groups identities into people by mailmap and aliases
+ * @param {Object[]} entries - Identities seen in history
+ * @param {string} entries[].name - Raw author name
+ * @param {string} entries[].email - Raw author email
+ * @param {string} entries[].mappedName - Author name after applying .mailmap
+ * @param {string} entries[].mappedEmail - Author email after applying .mailmap
+ * @param {number} entries[].commits - Number of commits with this identity
+ * @param {Array<{name: string, identities: Set<string>}>} [aliases=[]] - Normalized aliases
+ * @returns {Object[]} People sorted by commit count, each with name, email, commits and raw identities
+ */
+function groupIdentities(entries, aliases = []) {
+  const people = new Map();
+
+  entries.forEach(entry => {
+    const candidates = [entry.name, entry.email, entry.mappedName, entry.mappedEmail]
+      .map(value => value.trim().toLowerCase());
+    const alias = aliases.find(({ identities }) => candidates.some(value => identities.has(value)));
+    const key = alias ? `alias:${alias.name}` : identityKey(entry.mappedName, entry.mappedEmail);
+
+    if (!people.has(key)) {
+      people.set(key, {
+        name: alias ? alias.name : entry.mappedName,
+        email: entry.mappedEmail,
+        commits: 0,
+        identities: [],
+        primaryCommits: 0
+      });
+    }
+
+    const person = people.get(key);
+    person.commits += entry.commits;
+    person.identities.push({ name: entry.name, email: entry.email, commits: entry.commits });
+    // Show the email used most often by this person
+    if (entry.commits > person.primaryCommits) {
+      person.email = entry.mappedEmail;
+      person.primaryCommits = entry.commits;
+    }
+  });
+
+  return Array.from(people.values())
+    .map(({ primaryCommits, ...person }) => ({
+      ...person,
+      identities: person.identities.sort((a, b) => b.commits - a.commits)
+    }))
+    .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
+
+/**
+ * Reads every author identity in the repository along with its .mailmap mapping
+ * @private
+ * @returns {Promise<Object[]>} Identities with raw and mapped name/email and commit counts
+ * @throws {GitLogError} If the git command fails
+ */
+async function readIdentities() {
+  const output = await execGitCommand('git', [
+    'log',
+    '--all',
+    '--no-merges',
+    '--first-parent',
+    `--format=${IDENTITY_FORMAT}`
+  ]);
+
+  const entries = new Map();
+  output.split('\n').filter(line => line.trim()).forEach(line => {
+    const [name, email, mappedName, mappedEmail] = line.split(FIELD_SEPARATOR);
+    if (mappedEmail === undefined) return;
+
+    const key = `${name}${FIELD_SEPARATOR}${email}`;
+    if (!entries.has(key)) {
+      entries.set(key, { name, email, mappedName, mappedEmail, commits: 0 });
+    }
+    entries.get(key).commits++;
+  });
+  return Array.from(entries.values());
+}
+
+/**
+ * Returns everyone who has authored commits, with all of their identities merged.
+ * History is read once per process.
+ * @returns {Promise<Array<{name: string, email: string, commits: number, identities: Object[]}>>} People sorted by commit count
+ * @throws {GitLogError} If the git command fails or the aliases config is invalid
+ */
+async function getPeople() {
+  if (!peoplePromise) {
+    peoplePromise = Promise.all([readIdentities(), loadConfig()])
+      .then(([entries, config]) => groupIdentities(entries, normalizeAliases(config.aliases)));
+    peoplePromise.catch(() => {
+      peoplePromise = null;
+    });
+  }
+  return peoplePromise;
+}
+
+/**
+ * Checks whether a query names a person exactly (name or email of any identity, case-insensitive)
+ * @param {Object} person - Person returned by getPeople
+ * @param {string} query - Author name or email
+ * @returns {boolean} True if the query identifies the person
+ */
+function matchesPerson(person, query) {
+  const value = query.trim().toLowerCase();
+  return [person, ...person.identities].some(identity =>
+    identity.name.toLowerCase() === value || identity.email.toLowerCase() === value
+  );
+}
+
+/**
+ * Finds all raw identities belonging to the people an author query names exactly
+ * @param {string} query - Author name or email
+ * @returns {Promise<Array<{name: string, email: string}>>} Raw identities, empty if the query is not an exact match
+ * @throws {GitLogError} If the git command fails or the aliases config is invalid
+ */
+async function findIdentities(query) {
+  const people = await getPeople();
+  return people
+    .filter(person => matchesPerson(person, query))
+    .flatMap(person => person.identities.map(({ name, email }) => ({ name, email })));
+}
+
+/**
+ * Creates a function mapping raw commit authors to the person they belong to
+ * @returns {Promise<function({name: string, email: string}): {name: string, email: string}>} Resolver
+ *   returning the person's display name and email (or the input when the identity is unknown)
+ * @throws {GitLogError} If the git command fails or the aliases config is invalid
+ */
+async function getIdentityResolver() {
+  const people = await getPeople();
+  const lookup = new Map();
+  people.forEach(person => {
+    person.identities.forEach(({ name, email }) => {
+      lookup.set(identityKey(name, email), { name: person.name, email: person.email });
+    });
+  });
+
+  return (author) => lookup.get(identityKey(author.name, author.email)) || author;
+}
+
+module.exports = {
+  getPeople,
+  findIdentities,
+  getIdentityResolver,
+  groupIdentities,
+  normalizeAliases,
+  matchesPerson
+};
@@ -0,0 +1,275 @@
+/**
+ * @module issueService
+ * @description Extracts issue tracker keys (`PROJ-123`, `#456`, `GH-78`) from commits and rolls commits up per ticket,
+ * using the `issues` section of the project config
+ */
+
+const { loadConfig } = require('./configService');
+const { listBranches, getBranchOnlyCommits } = require('./gitOperations');
+const GitLogError = require('../models/GitLogError');
+
+// Prefixes of standards and encodings written like issue keys (`UTF-8`, `SHA-256`, `ISO-8601`, `RFC-7231`)
+const NON_ISSUE_PREFIXES = [
+  'AES', 'ANSI', 'CVE', 'CWE', 'ECMA', 'GMT', 'HTTP', 'HTTPS', 'IEC', 'IEEE', 'ISO',
+  'PEP', 'RFC', 'RSA', 'SHA', 'SSL', 'TLS', 'UTC', 'UTF', 'WCAG'
+];
+
+// Jira-style project keys of at least two letters (also `GH-78`), and `#456` references that are not part of
+// a word, URL fragment or HTML entity
+const DEFAULT_ISSUE_PATTERNS = [
+  { pattern: `\\b(?!(?:${NON_ISSUE_PREFIXES.join('|')})-)[A-Z]{2,}-\\d+\\b` },
+  { pattern: '(?<![\\w&/#])#\\d+\\b' }
+];
+const ISSUE_SOURCES = ['subject', 'body', 'branch'];
+const SECTION_KEYS = ['patterns', 'sources'];
+const PATTERN_KEYS = ['pattern', 'flags', 'link'];
+
+/**
+ * Checks that a config value is a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compiles one issue key pattern
+ * @private
+ * @param {Object} entry - Pattern from the config
+ * @param {number} index - Position in the pattern list, for error messages
+ * @returns {{regex: RegExp, link: string|null}} Global regular expression and link template
+ * @throws {GitLogError} If the entry is invalid
+ */
+function compilePattern(entry, index) {
+  if (!isObject(entry) || typeof entry.pattern !== 'string' || !entry.pattern) {
+    throw new GitLogError(
+      `Invalid issue pattern #${index + 1}: every pattern needs a string "pattern"`,
+      'CONFIG_INVALID',
+      { pattern: entry }
+    );
+  }
+
+  const unknownKeys = Object.keys(entry).filter(key => !PATTERN_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new GitLogError(
+      `Invalid issue pattern "${entry.pattern}": unknown ${unknownKeys.length > 1 ? 'properties' : 'property'} ${unknownKeys.join(', ')}`,
+      'CONFIG_INVALID',
+      { pattern: entry.pattern }
+    );
+  }
+  if (entry.link !== undefined && (typeof entry.link !== 'string' || !/\{(key|number)\}/.test(entry.link))) {
+    throw new GitLogError(
+      `Invalid issue pattern "${entry.pattern}": "link" must be a URL template with {key} or {number}`,
+      'CONFIG_INVALID',
+      { pattern: entry.pattern }
+    );
+  }
+
+  try {
+    // Keys are matched case-sensitively unless flags say otherwise; `g` is needed to find every key
+    const flags = (entry.flags ?? '').replace(/g/g, '');
+    return { regex: new RegExp(entry.pattern, `${flags}g`), link: entry.link || null };
+  } catch (error) {
+    throw new GitLogError(
+      `Invalid issue pattern "${entry.pattern}": ${error.message}`,
+      'CONFIG_INVALID',
+      { pattern: entry.pattern, error: error.message }
+    );
+  }
+}
+
+/**
+ * Builds the issue key patterns and sources from the `issues` section of the project config
+ * @param {Object} [config={}] - Project config with an optional `issues` section
+ * @returns {{patterns: Array<{regex: RegExp, link: string|null}>, sources: string[]}} Compiled patterns (the defaults
+ *   unless the config lists its own) and where to look for keys
+ * @throws {GitLogError} If the section is invalid
+ * @example
+ * // .gitlog-author.json
+ * {
+ *   "issues": {
+ *     "patterns": [
+ *       { "pattern": "\\b(?:PROJ|OPS)-\\d+\\b", "link": "https://jira.example.com/browse/{key}" },
+ *       { "pattern": "(?<![\\w&/#])#\\d+\\b", "link": "https://github.com/acme/app/issues/{number}" }
+ *     ],
+ *     "sources": ["subject", "body"]
+ *   }
+ * }
+ */
+function compileIssueConfig(config = {}) {
+  const { issues = {} } = config;
+  if (!isObject(issues)) {
+    throw new GitLogError('Invalid "issues" config: expected an object with "patterns" and "sources"', 'CONFIG_INVALID');
+  }
+
+  const unknownKeys = Object.keys(issues).filter(key => !SECTION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new GitLogError(
+      `Invalid "issues" config: unknown ${unknownKeys.length > 1 ? 'properties' : 'property'} ${unknownKeys.join(', ')}`,
+      'CONFIG_INVALID'
+    );
+  }
+
+  const { patterns = DEFAULT_ISSUE_PATTERNS, sources = ISSUE_SOURCES } = issues;
+  if (!Array.isArray(patterns)) {
+    throw new GitLogError('Invalid "issues.patterns" config: expected a list of patterns', 'CONFIG_INVALID');
+  }
+  if (!Array.isArray(sources) || sources.some(source => !ISSUE_SOURCES.includes(source))) {
+    throw new GitLogError(
+      `Invalid "issues.sources" config: expected a list of ${ISSUE_SOURCES.join(', ')}`,
+      'CONFIG_INVALID'
+    );
+  }
+
+  return { patterns: patterns.map(compilePattern), sources };
+}
+
+/**
+ * Loads the issue key patterns with the project config applied
+ * @returns {Promise<Object>} Patterns and sources as returned by compileIssueConfig
+ * @throws {GitLogError} If the config file or the `issues` section is invalid
+ */
+async function loadIssueConfig() {
+  return compileIssueConfig(await loadConfig());
+}
+
+/**
+ * Fills a link template with an issue key
+ * @private
+ * @param {string} template - URL template with `{key}` and/or `{number}` placeholders
+ * @param {string} key - Issue key
+ * @returns {string} Link to the issue
+ */
+function formatLink(template, key) {
+  const number = (key.match(/\d+$/) || [''])[0];
+  return template
+    .replace(/\{key\}/g, encodeURIComponent(key))
+    .replace(/\{number\}/g, number);
+}
+
+/**
+ * Finds the issue keys in a text
+ * @param {string} text - Commit subject, body or branch name
+ * @param {Object} issueConfig - Patterns from compileIssueConfig
+ * @returns {Array<{key: string, url: string|null}>} Upper-cased keys in order of appearance, without duplicates.
+ *   A pattern with a capture group uses the first group as the key, otherwise the whole match.
+ */
+function extractIssueKeys(text, issueConfig) {
+  const found = new Map();
+  issueConfig.patterns.forEach(({ regex, link }) => {
+    for (const match of (text || '').matchAll(regex)) {
+      const key = (match[1] ?? match[0]).trim().toUpperCase();
+      if (key && !found.has(key)) {
+        found.set(key, { key, url: link ? formatLink(link, key) : null });
+      }
+    }
+  });
+  return Array.from(found.values());
+}
+
+/**
+ * Strips the remote from a remote-tracking branch name
+ * @private
+ * @param {{ref: string, name: string}} branch - Branch from listBranches
+ * @returns {string} Branch name as on the remote, e.g. `feature/x` for `origin/feature/x`
+ */
+function getLocalBranchName({ ref, name }) {
+  return ref.startsWith('refs/remotes/') ? name.slice(name.indexOf('/') + 1) : name;
+}
+
+/**
+ * Finds the issue keys of each commit. Branch names only count for commits that no other branch and not
+ * the current HEAD contain, since shared or merged commits cannot be told apart from the rest of the history.
+ * @param {Object[]} commits - Commits with hash, subject and body
+ * @param {Object} [issueConfig] - Patterns and sources from compileIssueConfig (loaded from the project config by default)
+ * @returns {Promise<Map<string, Array<{key: string, url: string|null}>>>} Issue keys per commit hash
+ * @throws {GitLogError} If the config is invalid
+ */
+async function findCommitIssues(commits, issueConfig = null) {
+  const config = issueConfig || await loadIssueConfig();
+  const issues = new Map();
+
+  const addIssues = (hash, keys) => {
+    const current = issues.get(hash);
+    keys.forEach(issue => {
+      if (!current.some(({ key }) => key === issue.key)) current.push(issue);
+    });
+  };
+
+  commits.forEach(commit => {
+    issues.set(commit.hash, []);
+    if (config.sources.includes('subject')) addIssues(commit.hash, extractIssueKeys(commit.subject, config));
+    if (config.sources.includes('body')) addIssues(commit.hash, extractIssueKeys(commit.body, config));
+  });
+
+  if (config.sources.includes('branch') && commits.length > 0) {
+    // A local branch and its remote-tracking copies are one branch
+    const branchRefs = new Map();
+    (await listBranches()).forEach(branch => {
+      const name = getLocalBranchName(branch);
+      branchRefs.set(name, [...(branchRefs.get(name) || []), branch.ref]);
+    });
+
+    for (const [name, refs] of branchRefs) {
+      const keys = extractIssueKeys(name, config);
+      if (keys.length === 0) continue;
+
+      const hashes = await getBranchOnlyCommits(name, refs).catch(() => []);
+      hashes.filter(hash => issues.has(hash)).forEach(hash => addIssues(hash, keys));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Rolls commits up per issue key. A commit referencing several tickets counts fully towards each of them.
+ * @param {Object[]} commits - Commits with `issues` from findCommitIssues, a date and `stats` from parseGitStats
+ * @returns {Array<{key: string, url: string|null, commits: number, insertions: number, deletions: number,
+ *   linesChanged: number, activeDays: number, firstDate: string, lastDate: string}>} One row per ticket, most commits first.
+ *   Active days are the distinct author dates (in the author's time zone) of the ticket's commits.
+ */
+function groupCommitsByIssue(commits) {
+  const tickets = new Map();
+
+  commits.forEach(commit => {
+    (commit.issues || []).forEach(({ key, url }) => {
+      const ticket = tickets.get(key) || {
+        key,
+        url,
+        commits: 0,
+        insertions: 0,
+        deletions: 0,
+        days: new Set(),
+        firstDate: commit.date,
+        lastDate: commit.date
+      };
+      ticket.commits++;
+      ticket.insertions += commit.stats ? commit.stats.insertions : 0;
+      ticket.deletions += commit.stats ? commit.stats.deletions : 0;
+      ticket.days.add(commit.date.slice(0, 10));
+      if (new Date(commit.date) < new Date(ticket.firstDate)) ticket.firstDate = commit.date;
+      if (new Date(commit.date) > new Date(ticket.lastDate)) ticket.lastDate = commit.date;
+      tickets.set(key, ticket);
+    });
+  });
+
+  return Array.from(tickets.values())
+    .map(({ days, ...ticket }) => ({
+      ...ticket,
+      linesChanged: ticket.insertions + ticket.deletions,
+      activeDays: days.size
+    }))
+    .sort((a, b) => b.commits - a.commits || b.linesChanged - a.linesChanged || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+  DEFAULT_ISSUE_PATTERNS,
+  compileIssueConfig,
+  loadIssueConfig,
+  extractIssueKeys,
+  findCommitIssues,
+  groupCommitsByIssue
+};
@@ -6,7 +6,8 @@
 const path = require('path');
 const { EXCLUDED_PATTERNS, SOURCE_PATTERNS } = require('../constants');
 const { getCommitDetails } = require('./authorService');
-const { calculateTypeMetrics } = require('./commitTypeService');
+const { parseNumstat } = require('../utils/numstat');
+const { calculateTypeMetrics, loadCommitTypes } = require('./commitTypeService');
 
 /**
  * Determines if a file should be included in metrics calculations based on predefined patterns
@@ -94,38 +95,41 @@ function groupPaths(paths) {
 }
 
 /**
- * Analyzes the impact of file changes from git stats output
- * @param {string} statsOutput - Raw git stats output
+ * Extracts per-file change counts from git numstat output
+ * @param {string} numstatOutput - Raw `git --numstat` output
+ * @returns {Array<{file: string, oldFile: string|null, insertions: number, deletions: number, changes: number, binary: boolean}>} Entry for every file listed in the stats
+ */
+function parseFileChanges(numstatOutput) {
+  return parseNumstat(numstatOutput);
+}
+
+/**
+ * Analyzes the impact of file changes from git numstat output
+ * @param {string} numstatOutput - Raw `git --numstat` output
  * @param {string[]} [includeDirs=[]] - Optional directories to include
  * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
  * @returns {Object|null} Object containing file impact analysis or null if invalid input
+ * @property {Object[]} files - Included file entries with insertions, deletions and binary flag
  * @property {Array<[string, number]>} topFiles - Top modified files with change counts
  * @property {Array<{directory: string, changes: number, percentage: string}>} directoryImpact - Impact metrics by directory
  * @property {Map} groupedDirectories - Hierarchical structure of directory impacts
  */
-function analyzeFileImpact(statsOutput, includeDirs = [], excludeDirs = []) {
-  if (!statsOutput) return null;
+function analyzeFileImpact(numstatOutput, includeDirs = [], excludeDirs = []) {
+  if (!numstatOutput) return null;
 
-  const lines = statsOutput.split('\n');
+  const files = parseFileChanges(numstatOutput)
+    .filter(({ file }) => shouldIncludeFile(file, includeDirs, excludeDirs));
   const fileStats = new Map();
   const directoryStats = new Map();
 
-  for (let i = 0; i < lines.length - 1; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    const fileMatch = line.match(/^(.+?)\s+\|\s+(\d+)/);
-    if (fileMatch) {
-      const [, filePath, changes] = fileMatch;
-      
-      if (!shouldIncludeFile(filePath, includeDirs, excludeDirs)) continue;
-      
-      const changesNum = parseInt(changes, 10);
-      fileStats.set(filePath, (fileStats.get(filePath) || 0) + changesNum);
-      
-      const directory = path.dirname(filePath);
-      directoryStats.set(directory, (directoryStats.get(directory) || 0) + changesNum);
-    }
+  for (const { file: filePath, changes: changesNum, binary } of files) {
+    // Binary files have no line counts; they are reported separately by parseGitStats
+    if (binary) continue;
+
+    fileStats.set(filePath, (fileStats.get(filePath) || 0) + changesNum);
+    
+    const directory = path.dirname(filePath);
+    directoryStats.set(directory, (directoryStats.get(directory) || 0) + changesNum);
   }
 
   const totalChanges = Array.from(directoryStats.values()).reduce((a, b) => a + b, 0);
@@ -147,6 +151,7 @@ function analyzeFileImpact(statsOutput, includeDirs = [], excludeDirs = []) {
   const groupedDirectories = groupPaths(sortedDirectories);
 
   return {
+    files,
     topFiles: sortedFiles,
     directoryImpact: sortedDirectories,
     groupedDirectories
@@ -154,42 +159,59 @@ function analyzeFileImpact(statsOutput, includeDirs = [], excludeDirs = []) {
 }
 
 /**
- * Parses git stats output into structured format
- * @param {string} statsOutput - Raw git stats output
+ * Summarizes git numstat output
+ * @param {string} numstatOutput - Raw `git --numstat` output
  * @returns {Object|null} Parsed stats object or null if invalid input
- * @property {number} filesChanged - Number of files modified
+ * @property {number} filesChanged - Number of files modified (including binary files)
  * @property {number} insertions - Number of lines added
  * @property {number} deletions - Number of lines deleted
  * @property {number} totalChanges - Total number of lines changed
+ * @property {number} binaryFiles - Number of binary files modified
  */
-function parseGitStats(statsOutput) {
-  if (!statsOutput) return null;
+function parseGitStats(numstatOutput) {
+  if (!numstatOutput) return null;
 
-  const lines = statsOutput.trim().split('\n');
-  const summaryLine = lines.find(line => line.trim().includes('files changed'));
-  
-  if (!summaryLine) return null;
+  const files = parseFileChanges(numstatOutput);
+  if (files.length === 0) return null;
 
   const stats = {
-    filesChanged: 0,
+    filesChanged: files.length,
     insertions: 0,
     deletions: 0,
-    totalChanges: 0
+    totalChanges: 0,
+    binaryFiles: 0
   };
 
-  const filesMatch = summaryLine.match(/(\d+)\s+files?\s+changed/);
-  const insertionsMatch = summaryLine.match(/(\d+)\s+insertions?\(\+\)/);
-  const deletionsMatch = summaryLine.match(/(\d+)\s+deletions?\(-\)/);
-
-  if (filesMatch) stats.filesChanged = parseInt(filesMatch[1], 10);
-  if (insertionsMatch) stats.insertions = parseInt(insertionsMatch[1], 10);
-  if (deletionsMatch) stats.deletions = parseInt(deletionsMatch[1], 10);
+  files.forEach(({ insertions, deletions, binary }) => {
+    stats.insertions += insertions;
+    stats.deletions += deletions;
+    if (binary) stats.binaryFiles++;
+  });
   
   stats.totalChanges = stats.insertions + stats.deletions;
 
   return stats;
 }
 
+/**
+ * Reads the line counts and changed files of a commit
+ * @param {{hash: string, numstat?: string}} commit - Commit, with its raw numstat when harvested
+ * @param {string[]} [includeDirs=[]] - Optional directories to include
+ * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
+ * @returns {Promise<{stats: Object|null, impact: Object|null, files: string[]}>} Stats from parseGitStats (all files),
+ *   impact from analyzeFileImpact and the paths of the included files
+ */
+async function getCommitChanges(commit, includeDirs = [], excludeDirs = []) {
+  // Harvested commits already carry their numstat
+  const details = commit.numstat ?? await getCommitDetails(commit.hash);
+  const impact = analyzeFileImpact(details, includeDirs, excludeDirs);
+  return {
+    stats: parseGitStats(details),
+    impact,
+    files: impact?.files.map(({ file }) => file) || []
+  };
+}
+
 /**
  * Calculates comprehensive velocity metrics for a set of commits
  * @param {Array<{hash: string, subject: string, date: string}>} commits - Array of commit objects
@@ -197,6 +219,10 @@ function parseGitStats(statsOutput) {
  * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
  * @returns {Promise<Object>} Comprehensive metrics object
  * @property {number} totalLinesChanged - Total number of lines modified
+ * @property {number} totalInsertions - Total number of lines added
+ * @property {number} totalDeletions - Total number of lines removed
+ * @property {number} binaryFilesChanged - Number of binary file changes (not counted in line totals)
+ * @property {number} coAuthoredCommits - Commits credited through a `Co-authored-by:` trailer
  * @property {number} averageCommitSize - Average changes per commit
  * @property {number} commitsPerDay - Average commits per day
  * @property {Object} timeDistribution - Commit distribution across day periods
@@ -208,6 +234,10 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
   if (!commits || !commits.length || commits.length === 0) {
     return {
       totalLinesChanged: 0,
+      totalInsertions: 0,
+      totalDeletions: 0,
+      binaryFilesChanged: 0,
+      coAuthoredCommits: 0,
       averageCommitSize: 0,
       commitsPerDay: 0,
       timeDistribution: {
@@ -221,7 +251,10 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
       },
       typeMetrics: {
         typeBreakdown: [],
-        primaryContributionType: 'UNKNOWN'
+        scopeBreakdown: [],
+        breakingChanges: 0,
+        primaryContributionType: 'UNKNOWN',
+        typeNames: {}
       },
       trends: null
     };
@@ -236,28 +269,38 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
   const commitsWithFiles = [];
   
   let totalChanges = 0;
+  let totalInsertions = 0;
+  let totalDeletions = 0;
+  let binaryFilesChanged = 0;
   const timeDistribution = { morning: 0, afternoon: 0, evening: 0 };
   
   for (const commit of commits) {
-    const details = await getCommitDetails(commit.hash);
-    const stats = parseGitStats(details);
-    const impact = analyzeFileImpact(details, includeDirs, excludeDirs);
-    
+    const { stats, impact, files } = await getCommitChanges(commit, includeDirs, excludeDirs);
+
     // Prepare commit data for type analysis
-    const files = impact?.topFiles.map(([file]) => file) || [];
     commitsWithFiles.push({
       message: commit.subject,
+      body: commit.body,
       files
     });
     
     if (stats) {
       totalChanges += stats.totalChanges;
+      totalInsertions += stats.insertions;
+      totalDeletions += stats.deletions;
+      binaryFilesChanged += stats.binaryFiles;
     }
 
     if (impact) {
-      impact.topFiles.forEach(([file, changes]) => {
-        fileImpactData.topFiles.set(file, (fileImpactData.topFiles.get(file) || 0) + changes);
-      });
+      impact.files
+        .filter(({ binary }) => !binary)
+        .forEach(({ file, insertions, deletions, changes }) => {
+          const fileStats = fileImpactData.topFiles.get(file) || { changes: 0, insertions: 0, deletions: 0 };
+          fileStats.changes += changes;
+          fileStats.insertions += insertions;
+          fileStats.deletions += deletions;
+          fileImpactData.topFiles.set(file, fileStats);
+        });
 
       impact.directoryImpact.forEach(({ directory, changes }) => {
         fileImpactData.directoryImpact.set(directory, (fileImpactData.directoryImpact.get(directory) || 0) + changes);
@@ -284,12 +327,16 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
   const lastDate = new Date(Math.max(...dates));
   const daysDiff = Math.max(1, Math.ceil((lastDate - firstDate) / (1000 * 60 * 60 * 24)));
 
-  // Calculate type metrics
-  const typeMetrics = calculateTypeMetrics(commitsWithFiles);
+  // Calculate type metrics with the project's commit categories
+  const typeMetrics = calculateTypeMetrics(commitsWithFiles, await loadCommitTypes());
 
 
   const metrics = {
     totalLinesChanged: totalChanges,
+    totalInsertions,
+    totalDeletions,
+    binaryFilesChanged,
+    coAuthoredCommits: commits.filter(commit => commit.coAuthored).length,
     averageCommitSize: Math.round(totalChanges / commits.length),
     commitsPerDay: +(commits.length / daysDiff).toFixed(2),
     timeDistribution: {
@@ -299,9 +346,9 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
     },
     impactMetrics: {
       topFiles: Array.from(fileImpactData.topFiles.entries())
-        .sort((a, b) => b[1] - a[1])
+        .sort((a, b) => b[1].changes - a[1].changes)
         .slice(0, 5)
-        .map(([file, changes]) => ({ file, changes })),
+        .map(([file, { changes, insertions, deletions }]) => ({ file, changes, insertions, deletions })),
       directoryImpact: Array.from(fileImpactData.directoryImpact.entries())
         .sort((a, b) => b[1] - a[1])
         .map(([directory, changes]) => ({
@@ -328,6 +375,8 @@ async function calculateVelocityMetrics(commits, includeDirs = [], excludeDirs =
 
 module.exports = {
   calculateVelocityMetrics,
+  getCommitChanges,
   parseGitStats,
+  parseFileChanges,
   analyzeFileImpact
 };
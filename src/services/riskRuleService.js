@@ -0,0 +1,291 @@
+/**
+ * @module riskRuleService
+ * @description Builds the review risk rules from the built-in patterns and the `riskRules` and
+ * `filePatterns` sections of the project config
+ */
+
+const { RISK_PATTERNS, FILE_PATTERNS } = require('../constants/reviewPatterns');
+const { loadConfig } = require('./configService');
+const { globToRegExp } = require('../utils/glob');
+const GitLogError = require('../models/GitLogError');
+
+const RISK_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+const RULE_KEYS = ['id', 'message', 'pattern', 'flags', 'paths', 'excludePaths', 'enabled'];
+
+/**
+ * Checks that a config value is a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a level key of a rules section
+ * @private
+ * @param {string} section - Config section name, for error messages
+ * @param {string} level - Level key
+ * @throws {GitLogError} If the level is not HIGH, MEDIUM or LOW
+ */
+function validateLevel(section, level) {
+  if (!RISK_LEVELS.includes(level)) {
+    throw new GitLogError(
+      `Invalid "${section}" config: unknown level "${level}". Must be one of: ${RISK_LEVELS.join(', ')}`,
+      'CONFIG_INVALID',
+      { level }
+    );
+  }
+}
+
+/**
+ * Compiles a list of path globs
+ * @private
+ * @param {string} id - Rule id, for error messages
+ * @param {string} key - Rule property name
+ * @param {string[]|undefined} globs - Globs from the config
+ * @returns {RegExp[]|null} Compiled globs, or null when not set
+ * @throws {GitLogError} If the value is not a list of strings
+ */
+function compileGlobs(id, key, globs) {
+  if (globs === undefined || globs === null) return null;
+  if (!Array.isArray(globs) || globs.some(glob => typeof glob !== 'string' || !glob.trim())) {
+    throw new GitLogError(
+      `Invalid risk rule "${id}": "${key}" must be a list of path globs`,
+      'CONFIG_INVALID',
+      { rule: id }
+    );
+  }
+  return globs.map(glob => globToRegExp(glob.trim()));
+}
+
+/**
+ * Merges a configured rule into the built-in rule with the same id, or creates a new rule
+ * @private
+ * @param {Object} entry - Rule from the config
+ * @param {Object|undefined} builtin - Compiled rule with the same id
+ * @param {boolean} requirePattern - Whether a new rule needs a `pattern` (content rules) or may use `paths` only (file rules)
+ * @returns {Object} Compiled rule with id, message, pattern, paths and excludePaths
+ * @throws {GitLogError} If the entry is invalid
+ */
+function compileRule(entry, builtin, requirePattern) {
+  if (!isObject(entry) || typeof entry.id !== 'string' || !entry.id.trim()) {
+    throw new GitLogError(
+      'Invalid risk rule: every rule needs a string "id"',
+      'CONFIG_INVALID',
+      { rule: entry }
+    );
+  }
+
+  const id = entry.id.trim();
+  const unknownKeys = Object.keys(entry).filter(key => !RULE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new GitLogError(
+      `Invalid risk rule "${id}": unknown ${unknownKeys.length > 1 ? 'properties' : 'property'} ${unknownKeys.join(', ')}`,
+      'CONFIG_INVALID',
+      { rule: id }
+    );
+  }
+
+  let pattern = builtin ? builtin.pattern : null;
+  if (entry.pattern !== undefined) {
+    try {
+      // Rules are reused with test() across files, so stateful `g` and `y` flags would skip matches
+      pattern = new RegExp(entry.pattern, (entry.flags ?? 'i').replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new GitLogError(
+        `Invalid risk rule "${id}": ${error.message}`,
+        'CONFIG_INVALID',
+        { rule: id, error: error.message }
+      );
+    }
+  }
+
+  const paths = entry.paths !== undefined ? compileGlobs(id, 'paths', entry.paths) : (builtin ? builtin.paths : null);
+  const excludePaths = entry.excludePaths !== undefined
+    ? compileGlobs(id, 'excludePaths', entry.excludePaths)
+    : (builtin ? builtin.excludePaths : null);
+
+  if (!pattern && (requirePattern || !paths)) {
+    throw new GitLogError(
+      `Invalid risk rule "${id}": new rules need a "pattern"${requirePattern ? '' : ' or "paths"'}`,
+      'CONFIG_INVALID',
+      { rule: id }
+    );
+  }
+
+  return {
+    id,
+    message: typeof entry.message === 'string' ? entry.message : (builtin ? builtin.message : id),
+    pattern,
+    paths,
+    excludePaths
+  };
+}
+
+/**
+ * Copies a built-in rule into the compiled shape
+ * @private
+ * @param {Object} rule - Built-in rule from reviewPatterns
+ * @returns {Object} Compiled rule
+ */
+function fromBuiltin(rule) {
+  return { ...rule, paths: null, excludePaths: null };
+}
+
+/**
+ * Removes a rule from wherever it currently is
+ * @private
+ * @param {Object[][]} lists - Every rule list to search
+ * @param {string} id - Rule id
+ * @returns {Object|undefined} The removed rule
+ */
+function takeRule(lists, id) {
+  for (const list of lists) {
+    const index = list.findIndex(rule => rule.id === id);
+    if (index !== -1) {
+      return list.splice(index, 1)[0];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Applies configured rules to a rule list: rules with a known id replace (and move) the existing rule,
+ * `enabled: false` removes it, and other rules are appended
+ * @private
+ * @param {Object[]} target - Rule list of the configured level (and category)
+ * @param {Object[]} entries - Rules from the config
+ * @param {Object[][]} allLists - Every rule list, to find rules by id
+ * @param {boolean} requirePattern - Whether new rules need a `pattern`
+ */
+function applyRules(target, entries, allLists, requirePattern) {
+  entries.forEach(entry => {
+    const id = isObject(entry) && typeof entry.id === 'string' ? entry.id.trim() : null;
+    const position = id ? target.findIndex(rule => rule.id === id) : -1;
+    const builtin = id ? takeRule(allLists, id) : undefined;
+    if (isObject(entry) && entry.enabled === false) {
+      if (!builtin) {
+        throw new GitLogError(`Invalid risk rule "${id}": cannot disable an unknown rule`, 'CONFIG_INVALID', { rule: id });
+      }
+      return;
+    }
+
+    const rule = compileRule(entry, builtin, requirePattern);
+    if (position !== -1) {
+      // Overrides within the same list keep their position
+      target.splice(position, 0, rule);
+    } else {
+      target.push(rule);
+    }
+  });
+}
+
+/**
+ * Builds the content risk rules and file patterns used by RiskAssessmentService
+ * @param {Object} [config={}] - Project config with optional `riskRules` and `filePatterns` sections
+ * @returns {{riskPatterns: Object<string, Object<string, Object[]>>, filePatterns: Object<string, Object[]>}}
+ *   Rules by level and category, and file patterns by level. Each rule has an id, message, pattern (RegExp or null)
+ *   and optional path globs compiled to `paths` and `excludePaths`.
+ * @throws {GitLogError} If a rules section is invalid
+ * @example
+ * // .gitlog-author.json
+ * {
+ *   "riskRules": {
+ *     "HIGH": {
+ *       "security": [
+ *         { "id": "security-environment", "enabled": false },
+ *         { "id": "no-eval", "pattern": "\\beval\\(", "message": "eval() executes arbitrary code", "paths": ["src/**"] }
+ *       ],
+ *       "dataFlow": false
+ *     }
+ *   },
+ *   "filePatterns": {
+ *     "HIGH": [{ "id": "payments", "paths": ["services/payments/**"], "message": "Payments code" }]
+ *   }
+ * }
+ */
+function compileRiskRules(config = {}) {
+  const { riskRules = {}, filePatterns = {} } = config;
+
+  const riskPatterns = Object.fromEntries(RISK_LEVELS.map(level => [
+    level,
+    Object.fromEntries(Object.entries(RISK_PATTERNS[level] || {}).map(([category, rules]) => [category, rules.map(fromBuiltin)]))
+  ]));
+  const compiledFilePatterns = Object.fromEntries(RISK_LEVELS.map(level => [
+    level,
+    (FILE_PATTERNS[level] || []).map(fromBuiltin)
+  ]));
+
+  if (!isObject(riskRules)) {
+    throw new GitLogError(
+      'Invalid "riskRules" config: expected an object mapping levels to categories',
+      'CONFIG_INVALID'
+    );
+  }
+  Object.entries(riskRules).forEach(([level, categories]) => {
+    validateLevel('riskRules', level);
+    if (!isObject(categories)) {
+      throw new GitLogError(
+        `Invalid "riskRules.${level}" config: expected an object mapping categories to rule lists`,
+        'CONFIG_INVALID',
+        { level }
+      );
+    }
+
+    Object.entries(categories).forEach(([category, entries]) => {
+      if (entries === false) {
+        // Disable the whole category at this level
+        delete riskPatterns[level][category];
+        return;
+      }
+      if (!Array.isArray(entries)) {
+        throw new GitLogError(
+          `Invalid "riskRules.${level}.${category}" config: expected a list of rules or false`,
+          'CONFIG_INVALID',
+          { level, category }
+        );
+      }
+
+      const target = riskPatterns[level][category] || [];
+      riskPatterns[level][category] = target;
+      const allLists = RISK_LEVELS.flatMap(name => Object.values(riskPatterns[name]));
+      applyRules(target, entries, allLists, true);
+    });
+  });
+
+  if (!isObject(filePatterns)) {
+    throw new GitLogError(
+      'Invalid "filePatterns" config: expected an object mapping levels to rule lists',
+      'CONFIG_INVALID'
+    );
+  }
+  Object.entries(filePatterns).forEach(([level, entries]) => {
+    validateLevel('filePatterns', level);
+    if (!Array.isArray(entries)) {
+      throw new GitLogError(
+        `Invalid "filePatterns.${level}" config: expected a list of rules`,
+        'CONFIG_INVALID',
+        { level }
+      );
+    }
+    applyRules(compiledFilePatterns[level], entries, Object.values(compiledFilePatterns), false);
+  });
+
+  return { riskPatterns, filePatterns: compiledFilePatterns };
+}
+
+/**
+ * Loads the risk rules with the project config applied
+ * @returns {Promise<Object>} Rules as returned by compileRiskRules
+ * @throws {GitLogError} If the config file or a rules section is invalid
+ */
+async function loadRiskRules() {
+  return compileRiskRules(await loadConfig());
+}
+
+module.exports = {
+  compileRiskRules,
+  loadRiskRules
+};
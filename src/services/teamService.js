@@ -0,0 +1,98 @@
+/**
+ * @module teamService
+ * @description Resolves teams defined in the project config and collects their members' commits
+ */
+
+const { loadConfig } = require('./configService');
+const { getAuthorCommits } = require('./authorService');
+const { getPeople, matchesPerson } = require('./identityService');
+const GitLogError = require('../models/GitLogError');
+
+/**
+ * Returns the member queries of a team from the `teams` config section
+ * @param {string} teamName - Team name as used with `--team`
+ * @returns {Promise<string[]>} Author names or emails of the members
+ * @throws {GitLogError} If the team is not defined or its definition is invalid
+ * @example
+ * // .gitlog-author.json
+ * { "teams": { "platform": ["Jane Doe", "john@example.com"] } }
+ */
+async function getTeamMembers(teamName) {
+  const { teams = {} } = await loadConfig();
+  if (!teams || typeof teams !== 'object' || Array.isArray(teams)) {
+    throw new GitLogError(
+      'Invalid "teams" config: expected an object mapping team names to member lists',
+      'CONFIG_INVALID'
+    );
+  }
+
+  const members = teams[teamName];
+  if (members === undefined) {
+    const available = Object.keys(teams);
+    throw new GitLogError(
+      `Team not found: ${teamName}.` + (available.length > 0
+        ? ` Available teams: ${available.join(', ')}`
+        : ' Define teams in the "teams" section of the project config'),
+      'TEAM_NOT_FOUND',
+      { team: teamName }
+    );
+  }
+
+  if (!Array.isArray(members) || members.length === 0 ||
+    members.some(member => typeof member !== 'string' || !member.trim())) {
+    throw new GitLogError(
+      `Invalid members for team "${teamName}": expected a non-empty list of author names or emails`,
+      'CONFIG_INVALID',
+      { team: teamName }
+    );
+  }
+
+  return members.map(member => member.trim());
+}
+
+/**
+ * Retrieves the commits of every team member, tagging each commit with the member it belongs to.
+ * A commit matched by several members (e.g. a pairing commit with --attribution=both) is
+ * credited to the first of them in the team definition.
+ * @param {string} teamName - Team name as used with `--team`
+ * @param {string} [since=''] - Optional start date for commit range
+ * @param {string} [until=''] - Optional end date for commit range
+ * @param {string[]} [includeDirs=[]] - Optional directories to include
+ * @param {string[]} [excludeDirs=[]] - Optional directories to exclude
+ * @param {Object} [options={}] - Options passed to getAuthorCommits
+ * @returns {Promise<{members: string[], commits: Object[]}>} Member display names in config order
+ *   and their commits (newest first), each with a `member` property
+ * @throws {GitLogError} If the team is not defined or a git operation fails
+ */
+async function getTeamCommits(teamName, since = '', until = '', includeDirs = [], excludeDirs = [], options = {}) {
+  const queries = await getTeamMembers(teamName);
+  const people = await getPeople();
+
+  const members = [];
+  const seen = new Set();
+  const commits = [];
+
+  for (const query of queries) {
+    // Label members by their merged identity where possible
+    const person = people.find(candidate => matchesPerson(candidate, query));
+    const member = person ? person.name : query;
+    if (!members.includes(member)) members.push(member);
+
+    const memberCommits = await getAuthorCommits(query, since, until, includeDirs, excludeDirs, options);
+    memberCommits.forEach(commit => {
+      if (seen.has(commit.hash)) return;
+      seen.add(commit.hash);
+      commits.push({ ...commit, member });
+    });
+  }
+
+  return {
+    members,
+    commits: commits.sort((a, b) => new Date(b.date) - new Date(a.date))
+  };
+}
+
+module.exports = {
+  getTeamMembers,
+  getTeamCommits
+};
@@ -1,12 +1,61 @@
 const { getAuthorCommits } = require('./authorService');
-const { categorizeCommit } = require('./commitTypeService');
+const { getTeamCommits } = require('./teamService');
+const { categorizeCommit, getTypeNames, loadCommitTypes } = require('./commitTypeService');
+const { getCommitChanges } = require('./metricsService');
 
-const PERIODS = {
-  daily: {
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const CUSTOM_PERIOD_PATTERN = /^([1-9]\d*)d$/;
+
+/**
+ * Builds the weekly period for weeks starting on the given day
+ * @param {number} weekStart - First day of the week (0 = Sunday, 1 = Monday, ...)
+ * @returns {Object} Period configuration
+ */
+function createWeeklyPeriod(weekStart) {
+  const daysSinceStart = (date) => (date.getUTCDay() - weekStart + 7) % 7;
+
+  return {
+    unit: 'week',
+    format: (date) => {
+      const startOfWeek = new Date(date);
+      startOfWeek.setUTCDate(date.getUTCDate() - daysSinceStart(date));
+      return startOfWeek.toISOString().split('T')[0];
+    },
+    startOf: (date) => {
+      const startOfWeek = new Date(date);
+      startOfWeek.setUTCDate(startOfWeek.getUTCDate() - daysSinceStart(startOfWeek));
+      startOfWeek.setUTCHours(0, 0, 0, 0);
+      return startOfWeek;
+    },
+    endOf: (date) => {
+      const endOfWeek = new Date(date);
+      endOfWeek.setUTCDate(endOfWeek.getUTCDate() + (6 - daysSinceStart(endOfWeek)));
+      endOfWeek.setUTCHours(23, 59, 59, 999);
+      return endOfWeek;
+    },
+    shift: (date, count) => {
+      const newDate = new Date(date);
+      newDate.setUTCDate(newDate.getUTCDate() - (count * 7));
+      return newDate;
+    }
+  };
+}
+
+/**
+ * Builds a period of a fixed number of days (e.g. `14d` for sprints),
+ * where each bucket ends on the given date
+ * @param {number} days - Bucket length in days
+ * @returns {Object} Period configuration
+ */
+function createDaysPeriod(days) {
+  return {
     unit: 'day',
+    days,
     format: (date) => date.toISOString().split('T')[0],
     startOf: (date) => {
       const newDate = new Date(date);
+      newDate.setUTCDate(newDate.getUTCDate() - (days - 1));
       newDate.setUTCHours(0, 0, 0, 0);
       return newDate;
     },
@@ -14,28 +63,36 @@ const PERIODS = {
       const newDate = new Date(date);
       newDate.setUTCHours(23, 59, 59, 999);
       return newDate;
-    }
-  },
-  weekly: {
-    unit: 'week',
-    format: (date) => {
-      const startOfWeek = new Date(date);
-      startOfWeek.setUTCDate(date.getUTCDate() - date.getUTCDay());
-      return startOfWeek.toISOString().split('T')[0];
     },
+    shift: (date, count) => {
+      const newDate = new Date(date);
+      newDate.setUTCDate(newDate.getUTCDate() - (count * days));
+      return newDate;
+    }
+  };
+}
+
+const PERIODS = {
+  daily: {
+    unit: 'day',
+    format: (date) => date.toISOString().split('T')[0],
     startOf: (date) => {
-      const startOfWeek = new Date(date);
-      startOfWeek.setUTCDate(startOfWeek.getUTCDate() - startOfWeek.getUTCDay());
-      startOfWeek.setUTCHours(0, 0, 0, 0);
-      return startOfWeek;
+      const newDate = new Date(date);
+      newDate.setUTCHours(0, 0, 0, 0);
+      return newDate;
     },
     endOf: (date) => {
-      const endOfWeek = new Date(date);
-      endOfWeek.setUTCDate(endOfWeek.getUTCDate() + (6 - endOfWeek.getUTCDay()));
-      endOfWeek.setUTCHours(23, 59, 59, 999);
-      return endOfWeek;
+      const newDate = new Date(date);
+      newDate.setUTCHours(23, 59, 59, 999);
+      return newDate;
+    },
+    shift: (date, count) => {
+      const newDate = new Date(date);
+      newDate.setUTCDate(newDate.getUTCDate() - count);
+      return newDate;
     }
   },
+  weekly: createWeeklyPeriod(0),
   monthly: {
     unit: 'month',
     format: (date) => date.toISOString().slice(0, 7),
@@ -56,11 +113,36 @@ const PERIODS = {
         23, 59, 59, 999
       ));
       return newDate;
-    }
+    },
+    // Shift from the first of the month so that e.g. March 31 does not roll over into March again
+    shift: (date, count) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - count, 1))
+  },
+  quarterly: {
+    unit: 'quarter',
+    format: (date) => `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`,
+    startOf: (date) => {
+      const newDate = new Date(Date.UTC(
+        date.getUTCFullYear(),
+        Math.floor(date.getUTCMonth() / 3) * 3,
+        1,
+        0, 0, 0, 0
+      ));
+      return newDate;
+    },
+    endOf: (date) => {
+      const newDate = new Date(Date.UTC(
+        date.getUTCFullYear(),
+        Math.floor(date.getUTCMonth() / 3) * 3 + 3,
+        0,
+        23, 59, 59, 999
+      ));
+      return newDate;
+    },
+    shift: (date, count) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - (count * 3), 1))
   },
   yearly: {
     unit: 'year',
-    format: (date) => date.getFullYear().toString(),
+    format: (date) => date.getUTCFullYear().toString(),
     startOf: (date) => {
       const newDate = new Date(Date.UTC(
         date.getUTCFullYear(),
@@ -78,10 +160,30 @@ const PERIODS = {
         23, 59, 59, 999
       ));
       return newDate;
-    }
+    },
+    shift: (date, count) => new Date(Date.UTC(date.getUTCFullYear() - count, 0, 1))
   }
 };
 
+/**
+ * Resolves a period name to its configuration
+ * @param {string} period - `daily`, `weekly`, `monthly`, `quarterly`, `yearly` or a day count such as `14d`
+ * @param {Object} [options={}] - Period options
+ * @param {string} [options.weekStart] - First day of weekly periods (e.g. `monday`; defaults to Sunday)
+ * @returns {Object|null} Period configuration, or null if the period is unknown
+ */
+function getPeriod(period, options = {}) {
+  if (period === 'weekly' && options.weekStart) {
+    const weekStart = WEEKDAYS.indexOf(options.weekStart.toLowerCase());
+    return weekStart === -1 ? null : createWeeklyPeriod(weekStart);
+  }
+  if (Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+    return PERIODS[period];
+  }
+  const custom = CUSTOM_PERIOD_PATTERN.exec(period || '');
+  return custom ? createDaysPeriod(Number(custom[1])) : null;
+}
+
 function getTimeOfDay(dateStr, userTimezone) {
   const date = new Date(dateStr);
   const hour = (date.getUTCHours() + userTimezone) % 24;
@@ -91,7 +193,7 @@ function getTimeOfDay(dateStr, userTimezone) {
 
 }
 
-async function calculateTrendMetrics(commits, userTimezone) {
+async function calculateTrendMetrics(commits, userTimezone, includeDirs = [], excludeDirs = []) {
   const timeDistribution = {
     morning: 0,
     afternoon: 0,
@@ -102,22 +204,33 @@ async function calculateTrendMetrics(commits, userTimezone) {
   };
 
   const commitTypes = {};
+  const categories = await loadCommitTypes();
+  let totalInsertions = 0;
+  let totalDeletions = 0;
 
-  commits.forEach(commit => {
+  for (const commit of commits) {
     // Calculate time distribution
     const timeOfDay = getTimeOfDay(commit.date, userTimezone);
     timeDistribution[timeOfDay]++;
 
+    // Line counts and files come from the same numstat as the metrics report
+    const { stats, files } = await getCommitChanges(commit, includeDirs, excludeDirs);
+    if (stats) {
+      totalInsertions += stats.insertions;
+      totalDeletions += stats.deletions;
+    }
+
     // Calculate commit types
     const types = categorizeCommit({
       message: commit.subject,
-      files: [] // We don't have files here, but the categorization will work based on commit message
-    });
+      body: commit.body,
+      files
+    }, categories);
 
     types.forEach(type => {
       commitTypes[type] = (commitTypes[type] || 0) + 1;
     });
-  });
+  }
 
   // Calculate percentages
   const total = commits.length;
@@ -129,29 +242,53 @@ async function calculateTrendMetrics(commits, userTimezone) {
 
   return {
     commitCount: commits.length,
+    totalInsertions,
+    totalDeletions,
+    totalLinesChanged: totalInsertions + totalDeletions,
     timeDistribution,
-    commitTypes
+    commitTypes,
+    typeNames: getTypeNames(Object.keys(commitTypes), categories)
   };
 }
 
-async function getTrends(author, period, date = new Date(), includeDirs = [], excludeDirs = [], userTimezone = 0) {
-  if (!PERIODS[period]) {
-    throw new Error(`Invalid period: ${period}. Must be one of: ${Object.keys(PERIODS).join(', ')}`);
+async function getTrends(author, period, date = new Date(), includeDirs = [], excludeDirs = [], userTimezone = 0, options = {}) {
+  const periodConfig = getPeriod(period, options);
+  if (!periodConfig) {
+    throw new Error(`Invalid period: ${period}. Must be one of: ${Object.keys(PERIODS).join(', ')} or a number of days such as 14d`);
   }
 
-  const periodConfig = PERIODS[period];
   const startDate = periodConfig.startOf(new Date(date));
   const endDate = periodConfig.endOf(new Date(date));
 
-  const commits = await getAuthorCommits(
-    author,
-    startDate.toISOString(),
-    endDate.toISOString(),
-    includeDirs,
-    excludeDirs
-  );
+  let commits;
+  let members = null;
+  if (options.team) {
+    // Team trends combine every member's commits
+    ({ commits, members } = await getTeamCommits(
+      options.team,
+      startDate.toISOString(),
+      endDate.toISOString(),
+      includeDirs,
+      excludeDirs,
+      options
+    ));
+  } else {
+    commits = await getAuthorCommits(
+      author,
+      startDate.toISOString(),
+      endDate.toISOString(),
+      includeDirs,
+      excludeDirs,
+      options
+    );
+  }
 
-  const metrics = await calculateTrendMetrics(commits, userTimezone);
+  const metrics = await calculateTrendMetrics(commits, userTimezone, includeDirs, excludeDirs);
+  if (members) {
+    metrics.members = Object.fromEntries(
+      members.map(member => [member, commits.filter(commit => commit.member === member).length])
+    );
+  }
 
   return {
     period,
@@ -161,43 +298,27 @@ async function getTrends(author, period, date = new Date(), includeDirs = [], ex
   };
 }
 
-async function compareTrends(author, period, date1, date2, includeDirs = [], excludeDirs = [], userTimezone = 0) {
+async function compareTrends(author, period, date1, date2, includeDirs = [], excludeDirs = [], userTimezone = 0, options = {}) {
   const [trends1, trends2] = await Promise.all([
-    getTrends(author, period, date1, includeDirs, excludeDirs, userTimezone),
-    getTrends(author, period, date2, includeDirs, excludeDirs, userTimezone)
+    getTrends(author, period, date1, includeDirs, excludeDirs, userTimezone, options),
+    getTrends(author, period, date2, includeDirs, excludeDirs, userTimezone, options)
 
   ]);
 
   return [trends1, trends2];
 }
 
-async function getRollingTrends(author, period, count, endDate = new Date(), includeDirs = [], excludeDirs = [], userTimezone = 0) {
-  if (!PERIODS[period]) {
+async function getRollingTrends(author, period, count, endDate = new Date(), includeDirs = [], excludeDirs = [], userTimezone = 0, options = {}) {
+  const periodConfig = getPeriod(period, options);
+  if (!periodConfig) {
     throw new Error(`Invalid period: ${period}`);
   }
 
   const trends = [];
 
   for (let i = 0; i < count; i++) {
-    const date = new Date(endDate);
-    
-    // Adjust date based on period
-    switch (period) {
-      case 'daily':
-        date.setUTCDate(date.getUTCDate() - i);
-        break;
-      case 'weekly':
-        date.setUTCDate(date.getUTCDate() - (i * 7));
-        break;
-      case 'monthly':
-        date.setUTCMonth(date.getUTCMonth() - i);
-        break;
-      case 'yearly':
-        date.setUTCFullYear(date.getUTCFullYear() - i);
-        break;
-    }
-
-    const trend = await getTrends(author, period, date, includeDirs, excludeDirs, userTimezone);
+    const date = periodConfig.shift(new Date(endDate), i);
+    const trend = await getTrends(author, period, date, includeDirs, excludeDirs, userTimezone, options);
     trends.push(trend);
   }
 
@@ -205,6 +326,8 @@ async function getRollingTrends(author, period, count, endDate = new Date(), inc
 }
 
 module.exports = {
+  WEEKDAYS,
+  getPeriod,
   getTrends,
   compareTrends,
   getRollingTrends
@@ -0,0 +1,33 @@
+const { parseConventionalCommit } = require('../conventionalCommits');
+
+describe('parseConventionalCommit', () => {
+  it('should read the type, scope and description', () => {
+    expect(parseConventionalCommit('Feat(Auth): add SSO login')).toEqual({
+      type: 'feat',
+      scope: 'Auth',
+      breaking: false,
+      description: 'add SSO login',
+      breakingChanges: []
+    });
+    expect(parseConventionalCommit('chore: bump deps').scope).toBeNull();
+    expect(parseConventionalCommit('fix(): empty scope').scope).toBeNull();
+  });
+
+  it('should detect breaking changes from the marker and footers', () => {
+    expect(parseConventionalCommit('feat(api)!: remove v1 routes').breaking).toBe(true);
+
+    const parsed = parseConventionalCommit('refactor: rename config', 'Body text\n\nBREAKING CHANGE: `port` is now `listen`\nBREAKING-CHANGE: drops Node 16');
+    expect(parsed.breaking).toBe(true);
+    expect(parsed.breakingChanges).toEqual(['`port` is now `listen`', 'drops Node 16']);
+  });
+
+  it('should parse subjects written by git revert', () => {
+    expect(parseConventionalCommit('Revert "feat: add SSO"')).toMatchObject({ type: 'revert', description: 'feat: add SSO' });
+  });
+
+  it('should return null for other subjects', () => {
+    expect(parseConventionalCommit('Update README')).toBeNull();
+    expect(parseConventionalCommit('feat:')).toBeNull();
+    expect(parseConventionalCommit('')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiskCache = require('../diskCache');
+
+describe('DiskCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlog-cache-'));
+    cache = new DiskCache(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store and retrieve values across instances', () => {
+    cache.set('commits', 'abc123', { subject: 'feat: add login', files: ['a.js'] });
+
+    expect(new DiskCache(directory).get('commits', 'abc123'))
+      .toEqual({ subject: 'feat: add login', files: ['a.js'] });
+  });
+
+  it('should return null for missing, unsafe or corrupt entries', () => {
+    expect(cache.get('commits', 'missing')).toBeNull();
+    expect(cache.set('commits', '../escape', {})).toBe(false);
+
+    const entryPath = cache.getEntryPath('commits', 'abc123');
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    fs.writeFileSync(entryPath, '{not json');
+
+    expect(cache.get('commits', 'abc123')).toBeNull();
+    expect(fs.existsSync(entryPath)).toBe(false);
+  });
+
+  it('should evict least recently used entries beyond the size limit', () => {
+    cache.maxBytes = 30;
+    cache.set('commits', 'aaa', 'x'.repeat(10));
+    cache.set('commits', 'bbb', 'y'.repeat(10));
+    cache.set('commits', 'ccc', 'z'.repeat(10));
+
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(cache.getEntryPath('commits', 'aaa'), past, past);
+
+    expect(cache.prune()).toBe(1);
+    expect(cache.get('commits', 'aaa')).toBeNull();
+    expect(cache.get('commits', 'bbb')).toBe('y'.repeat(10));
+  });
+
+  it('should remove all entries on clear', () => {
+    cache.set('changes', 'abc123', { added: [] });
+    cache.clear();
+
+    expect(cache.get('changes', 'abc123')).toBeNull();
+    expect(fs.existsSync(directory)).toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+const { globToRegExp } = require('../glob');
+
+describe('globToRegExp', () => {
+  it('should match directories with ** and single segments with *', () => {
+    expect(globToRegExp('src/**/*.js').test('src/a/b/c.js')).toBe(true);
+    expect(globToRegExp('src/**/*.js').test('src/c.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/a/c.js')).toBe(false);
+    expect(globToRegExp('src/**').test('src/a/b')).toBe(true);
+    expect(globToRegExp('./lib/?.js').test('lib/a.js')).toBe(true);
+  });
+
+  it('should expand braces and escape regex characters', () => {
+    expect(globToRegExp('docs/*.{md,txt}').test('docs/a.txt')).toBe(true);
+    expect(globToRegExp('docs/*.{md,txt}').test('docs/a.js')).toBe(false);
+    expect(globToRegExp('a+b.js').test('a+b.js')).toBe(true);
+    expect(globToRegExp('a.js').test('abjs')).toBe(false);
+  });
+
+  it('should match globs without a slash against the file name in any directory', () => {
+    expect(globToRegExp('*.test.js').test('src/utils/a.test.js')).toBe(true);
+  });
+});
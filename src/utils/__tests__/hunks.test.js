@@ -0,0 +1,36 @@
+const { parseHunkHeader, numberHunkLines, continuationHeader } = require('../hunks');
+
+describe('parseHunkHeader', () => {
+  it('should read the old and new start lines', () => {
+    expect(parseHunkHeader('@@ -10,4 +12,6 @@ function login() {')).toEqual({ oldStart: 10, newStart: 12 });
+    expect(parseHunkHeader('@@ -0,0 +1 @@')).toEqual({ oldStart: 0, newStart: 1 });
+    expect(parseHunkHeader('+const a = 1;')).toBeNull();
+  });
+});
+
+describe('numberHunkLines', () => {
+  it('should number context, removed and added lines', () => {
+    const lines = numberHunkLines(['@@ -3,3 +3,3 @@', ' a', '-b', '+c', ' d']);
+
+    expect(lines).toEqual([
+      { index: 1, type: 'context', content: 'a', oldLine: 3, newLine: 3 },
+      { index: 2, type: 'removed', content: 'b', oldLine: 4, newLine: 4 },
+      { index: 3, type: 'added', content: 'c', oldLine: null, newLine: 4 },
+      { index: 4, type: 'context', content: 'd', oldLine: 5, newLine: 5 }
+    ]);
+  });
+
+  it('should leave line numbers empty for hunks without a header', () => {
+    expect(numberHunkLines(['+a', ' b'])).toEqual([
+      { index: 0, type: 'added', content: 'a', oldLine: null, newLine: null },
+      { index: 1, type: 'context', content: 'b', oldLine: null, newLine: null }
+    ]);
+  });
+});
+
+describe('continuationHeader', () => {
+  it('should start where the hunk left off', () => {
+    expect(continuationHeader(['@@ -3,3 +3,4 @@', ' a', '-b', '+c', '+d'])).toBe('@@ -5 +6 @@');
+    expect(continuationHeader(['+a'])).toBeNull();
+  });
+});
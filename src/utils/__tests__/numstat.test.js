@@ -0,0 +1,79 @@
+const { parseNumstat, parseNumstatLine, resolveRenamePath, unquotePath } = require('../numstat');
+
+describe('numstat', () => {
+  describe('parseNumstatLine', () => {
+    it('should parse insertions and deletions', () => {
+      expect(parseNumstatLine('12\t3\tsrc/index.js')).toEqual({
+        file: 'src/index.js',
+        oldFile: null,
+        insertions: 12,
+        deletions: 3,
+        changes: 15,
+        binary: false
+      });
+    });
+
+    it('should flag binary files', () => {
+      expect(parseNumstatLine('-\t-\tassets/logo.png')).toEqual({
+        file: 'assets/logo.png',
+        oldFile: null,
+        insertions: 0,
+        deletions: 0,
+        changes: 0,
+        binary: true
+      });
+    });
+
+    it('should ignore lines that are not numstat records', () => {
+      expect(parseNumstatLine('')).toBeNull();
+      expect(parseNumstatLine(' src/index.js | 3 +++')).toBeNull();
+    });
+  });
+
+  describe('resolveRenamePath', () => {
+    it('should resolve brace rename notation', () => {
+      expect(resolveRenamePath('src/{old => new}/file.js')).toEqual({
+        file: 'src/new/file.js',
+        oldFile: 'src/old/file.js'
+      });
+    });
+
+    it('should resolve renames into and out of nested directories', () => {
+      expect(resolveRenamePath('src/{ => lib}/file.js')).toEqual({
+        file: 'src/lib/file.js',
+        oldFile: 'src/file.js'
+      });
+      expect(resolveRenamePath('{lib => }/file.js')).toEqual({
+        file: 'file.js',
+        oldFile: 'lib/file.js'
+      });
+    });
+
+    it('should resolve full path renames', () => {
+      expect(resolveRenamePath('a.js => b/c.js')).toEqual({ file: 'b/c.js', oldFile: 'a.js' });
+    });
+
+    it('should leave regular paths untouched', () => {
+      expect(resolveRenamePath('src/index.js')).toEqual({ file: 'src/index.js', oldFile: null });
+    });
+  });
+
+  describe('unquotePath', () => {
+    it('should remove git path quoting', () => {
+      expect(unquotePath('"src/say \\"hi\\".js"')).toBe('src/say "hi".js');
+      expect(unquotePath('src/plain.js')).toBe('src/plain.js');
+    });
+  });
+
+  describe('parseNumstat', () => {
+    it('should parse every record and skip blank lines', () => {
+      const result = parseNumstat('1\t0\ta.js\n\n-\t-\tb.png\r\n');
+      expect(result.map(entry => entry.file)).toEqual(['a.js', 'b.png']);
+    });
+
+    it('should return an empty list for empty input', () => {
+      expect(parseNumstat('')).toEqual([]);
+      expect(parseNumstat(null)).toEqual([]);
+    });
+  });
+});
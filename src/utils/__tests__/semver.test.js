@@ -0,0 +1,36 @@
+const { parseVersion, compareVersions, isMajorChange } = require('../semver');
+
+describe('parseVersion', () => {
+  it('should read the version from ranges and pins', () => {
+    expect(parseVersion('^1.2.3')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: null });
+    expect(parseVersion('>=2.0,<3')).toEqual({ major: 2, minor: 0, patch: 0, prerelease: null });
+    expect(parseVersion('v0.4.1-rc.1')).toEqual({ major: 0, minor: 4, patch: 1, prerelease: 'rc.1' });
+    expect(parseVersion('1.x')).toEqual({ major: 1, minor: 0, patch: 0, prerelease: null });
+  });
+
+  it('should return null for specs without a version', () => {
+    expect(parseVersion('latest')).toBeNull();
+    expect(parseVersion('github:user/repo#v1.0.0')).toBeNull();
+    expect(parseVersion('workspace:*')).toBeNull();
+    expect(parseVersion('')).toBeNull();
+  });
+});
+
+describe('compareVersions', () => {
+  it('should order by major, minor, patch and pre-release', () => {
+    const version = spec => parseVersion(spec);
+    expect(compareVersions(version('1.2.3'), version('1.10.0'))).toBeLessThan(0);
+    expect(compareVersions(version('2.0.0'), version('1.9.9'))).toBeGreaterThan(0);
+    expect(compareVersions(version('1.0.0-beta.2'), version('1.0.0'))).toBeLessThan(0);
+    expect(compareVersions(version('1.0.0-beta.2'), version('1.0.0-beta.10'))).toBeLessThan(0);
+    expect(compareVersions(version('^1.2.3'), version('~1.2.3'))).toBe(0);
+  });
+});
+
+describe('isMajorChange', () => {
+  it('should treat minor bumps below 1.0.0 as major', () => {
+    expect(isMajorChange(parseVersion('4.18.0'), parseVersion('5.0.0'))).toBe(true);
+    expect(isMajorChange(parseVersion('4.17.0'), parseVersion('4.18.0'))).toBe(false);
+    expect(isMajorChange(parseVersion('0.3.0'), parseVersion('0.4.0'))).toBe(true);
+  });
+});
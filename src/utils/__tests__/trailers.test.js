@@ -0,0 +1,32 @@
+const { parseCoAuthors } = require('../trailers');
+
+describe('parseCoAuthors', () => {
+  it('should parse co-author trailers case-insensitively', () => {
+    const body = [
+      'Pair programmed the login flow.',
+      '',
+      'Co-authored-by: Jane Doe <jane@example.com>',
+      'co-authored-by: John Smith <john@example.com>'
+    ].join('\n');
+
+    expect(parseCoAuthors(body)).toEqual([
+      { name: 'Jane Doe', email: 'jane@example.com' },
+      { name: 'John Smith', email: 'john@example.com' }
+    ]);
+  });
+
+  it('should ignore duplicates and mentions outside trailers', () => {
+    const body = [
+      'Thanks to the Co-authored-by: convention',
+      'Co-authored-by: Jane Doe <jane@example.com>',
+      'Co-authored-by: Jane <JANE@example.com>'
+    ].join('\n');
+
+    expect(parseCoAuthors(body)).toEqual([{ name: 'Jane Doe', email: 'jane@example.com' }]);
+  });
+
+  it('should return an empty list for messages without trailers', () => {
+    expect(parseCoAuthors('')).toEqual([]);
+    expect(parseCoAuthors(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @module conventionalCommits
+ * @description Parser for Conventional Commits messages (https://www.conventionalcommits.org/en/v1.0.0/)
+ */
+
+// `type(scope)!: description`, the scope and `!` being optional
+const HEADER_PATTERN = /^([a-z][\w-]*)(?:\(([^()\r\n]*)\))?(!)?:[ \t]*(\S.*)$/i;
+
+// `BREAKING CHANGE:` or `BREAKING-CHANGE:` footers, which must be upper case
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE:[ \t]*(.*)$/gm;
+
+// Subject git writes for `git revert`
+const GIT_REVERT_PATTERN = /^Revert "(.*)"$/;
+
+/**
+ * Parses the header and breaking-change footers of a commit message
+ * @param {string} subject - First line of the commit message
+ * @param {string} [body=''] - Rest of the commit message
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string, breakingChanges: string[]}|null}
+ *   Lower-cased type, scope (null when absent or empty), whether the header has `!` or the body a breaking-change
+ *   footer, the description and the footer texts; null if the subject is not a conventional commit header.
+ *   A subject written by `git revert` is parsed as type `revert`.
+ */
+function parseConventionalCommit(subject, body = '') {
+  const header = (subject || '').trim();
+  const revert = header.match(GIT_REVERT_PATTERN);
+  const match = revert ? ['', 'revert', null, null, revert[1]] : header.match(HEADER_PATTERN);
+  if (!match) return null;
+
+  const breakingChanges = Array.from((body || '').matchAll(BREAKING_FOOTER_PATTERN), ([, text]) => text.trim());
+  const scope = match[2] ? match[2].trim() : '';
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: scope || null,
+    breaking: Boolean(match[3]) || breakingChanges.length > 0,
+    description: match[4].trim(),
+    breakingChanges
+  };
+}
+
+module.exports = {
+  parseConventionalCommit
+};
@@ -0,0 +1,144 @@
+/**
+ * @module diskCache
+ * @description Persistent JSON cache stored as one file per key, with size-bounded eviction
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Disk-backed cache for immutable data such as per-commit information.
+ * Cache failures are never fatal: unreadable entries are treated as misses.
+ * @class
+ */
+class DiskCache {
+  /**
+   * Creates a cache rooted at the given directory
+   * @constructor
+   * @param {string} directory - Directory to store entries in (created on first write)
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.maxBytes=52428800] - Total size the cache is pruned back to (default 50 MB)
+   */
+  constructor(directory, { maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+  }
+
+  /**
+   * Resolves the file that stores an entry
+   * @private
+   * @param {string} namespace - Entry namespace, e.g. `commits`
+   * @param {string} key - Entry key, e.g. a commit hash
+   * @returns {string|null} File path, or null if the namespace or key is not a safe file name
+   */
+  getEntryPath(namespace, key) {
+    const safeName = /^[\w.-]+$/;
+    if (!safeName.test(namespace) || !safeName.test(key) || key.startsWith('.')) {
+      return null;
+    }
+    return path.join(this.directory, namespace, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Retrieves an entry and marks it as recently used
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @returns {*} Cached value or null if not found
+   */
+  get(namespace, key) {
+    const filePath = this.getEntryPath(namespace, key);
+    if (!filePath) return null;
+
+    try {
+      const value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+      return value;
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        // Drop corrupt entries so they are rebuilt on the next write
+        fs.rmSync(filePath, { force: true });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Stores an entry
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serializable value
+   * @returns {boolean} True if the entry was written
+   */
+  set(namespace, key, value) {
+    const filePath = this.getEntryPath(namespace, key);
+    if (!filePath) return false;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file first so readers never see partial entries
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(value));
+      fs.renameSync(tempPath, filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Lists all cache entry files with their size and last use time
+   * @private
+   * @param {string} directory - Directory to scan
+   * @returns {Array<{filePath: string, size: number, lastUsed: number}>} Entry files
+   */
+  listEntries(directory = this.directory) {
+    let dirents;
+    try {
+      dirents = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    return dirents.flatMap(dirent => {
+      const filePath = path.join(directory, dirent.name);
+      if (dirent.isDirectory()) return this.listEntries(filePath);
+      if (!dirent.name.endsWith('.json')) return [];
+      try {
+        const { size, mtimeMs } = fs.statSync(filePath);
+        return [{ filePath, size, lastUsed: mtimeMs }];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Evicts least recently used entries until the cache fits within maxBytes
+   * @returns {number} Number of evicted entries
+   */
+  prune() {
+    const entries = this.listEntries();
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalSize <= this.maxBytes) return 0;
+
+    let evicted = 0;
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const entry of entries) {
+      if (totalSize <= this.maxBytes) break;
+      fs.rmSync(entry.filePath, { force: true });
+      totalSize -= entry.size;
+      evicted++;
+    }
+    return evicted;
+  }
+
+  /**
+   * Removes every entry from the cache
+   */
+  clear() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = DiskCache;
@@ -0,0 +1,52 @@
+/**
+ * @module glob
+ * @description Minimal path glob matching (`**`, `*`, `?` and `{a,b}`) for config-scoped rules
+ */
+
+/**
+ * Converts a path glob into a regular expression
+ * @param {string} glob - Glob such as `src/**\/*.{js,ts}`. A glob without a slash matches the file name in any directory.
+ * @returns {RegExp} Anchored regular expression matching repository-relative paths
+ */
+function globToRegExp(glob) {
+  const pattern = glob.replace(/^\.?\//, '');
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches any number of directories, a trailing `**` anything below
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (char === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = pattern.includes('/') ? '^' : '^(?:.*/)?';
+  return new RegExp(`${prefix}${source}$`);
+}
+
+module.exports = {
+  globToRegExp
+};
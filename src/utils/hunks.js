@@ -0,0 +1,65 @@
+/**
+ * @module hunks
+ * @description Helpers for the unified diff hunks collected by GitChangeService
+ */
+
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Reads the starting line numbers from a hunk header
+ * @param {string} header - Hunk header such as `@@ -10,4 +12,6 @@ function name`
+ * @returns {{oldStart: number, newStart: number}|null} Starting line numbers, or null if the line is not a hunk header
+ */
+function parseHunkHeader(header) {
+  const match = header && header.match(HUNK_HEADER_PATTERN);
+  return match ? { oldStart: parseInt(match[1], 10), newStart: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Annotates the lines of a hunk with their change type and line numbers
+ * @param {string[]} hunk - Hunk lines, starting with the `@@` header unless the hunk was split while parsing
+ * @returns {Array<{index: number, type: 'added'|'removed'|'context', content: string, oldLine: number|null, newLine: number|null}>}
+ *   One entry per line after the header. `newLine` of a removed line is the new-file line it was removed before;
+ *   line numbers are null when the hunk has no header.
+ */
+function numberHunkLines(hunk) {
+  const header = parseHunkHeader(hunk[0]);
+  let oldLine = header ? header.oldStart : null;
+  let newLine = header ? header.newStart : null;
+  const lines = [];
+
+  hunk.forEach((line, index) => {
+    if (index === 0 && line.startsWith('@@')) return;
+
+    const type = line.startsWith('+') ? 'added' : line.startsWith('-') ? 'removed' : 'context';
+    lines.push({ index, type, content: line.substring(1), oldLine: type === 'added' ? null : oldLine, newLine });
+
+    if (header) {
+      if (type !== 'added') oldLine++;
+      if (type !== 'removed') newLine++;
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Builds the header for the lines that follow a hunk, so a hunk split while parsing keeps its line numbers
+ * @param {string[]} hunk - Hunk lines, starting with the `@@` header
+ * @returns {string|null} Header such as `@@ -1010 +1012 @@`, or null if the hunk has no header
+ */
+function continuationHeader(hunk) {
+  const header = parseHunkHeader(hunk[0]);
+  if (!header) return null;
+
+  const lines = hunk.slice(1);
+  const oldLine = header.oldStart + lines.filter(line => !line.startsWith('+')).length;
+  const newLine = header.newStart + lines.filter(line => !line.startsWith('-')).length;
+  return `@@ -${oldLine} +${newLine} @@`;
+}
+
+module.exports = {
+  parseHunkHeader,
+  numberHunkLines,
+  continuationHeader
+};
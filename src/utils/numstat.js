@@ -0,0 +1,95 @@
+/**
+ * @module numstat
+ * @description Parsers for `git --numstat` output, including rename and binary file handling
+ */
+
+/**
+ * Removes git's C-style quoting from a path (used for paths with special characters)
+ * @param {string} filePath - Path as printed by git
+ * @returns {string} Unquoted path
+ */
+function unquotePath(filePath) {
+  if (!filePath.startsWith('"') || !filePath.endsWith('"')) return filePath;
+  const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+  return filePath
+    .slice(1, -1)
+    .replace(/\\(["\\nt])/g, (match, char) => escapes[char]);
+}
+
+/**
+ * Resolves a numstat rename notation into old and new paths
+ * @param {string} filePath - Path column from numstat, e.g. `src/{old => new}/file.js` or `a.js => b.js`
+ * @returns {{file: string, oldFile: string|null}} New path and, for renames, the previous path
+ */
+function resolveRenamePath(filePath) {
+  const braceMatch = filePath.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (braceMatch) {
+    const [, prefix, oldPart, newPart, suffix] = braceMatch;
+    const normalize = (value) => value.replace(/\/{2,}/g, '/').replace(/^\//, '');
+    return {
+      file: normalize(`${prefix}${newPart}${suffix}`),
+      oldFile: normalize(`${prefix}${oldPart}${suffix}`)
+    };
+  }
+
+  const arrowIndex = filePath.indexOf(' => ');
+  if (arrowIndex !== -1) {
+    return {
+      file: filePath.slice(arrowIndex + 4),
+      oldFile: filePath.slice(0, arrowIndex)
+    };
+  }
+
+  return { file: filePath, oldFile: null };
+}
+
+/**
+ * Parses a single numstat line
+ * @param {string} line - Line in the form `<insertions>\t<deletions>\t<path>`
+ * @returns {Object|null} File change entry or null if the line is not a numstat record
+ * @property {string} file - Path of the file after the change
+ * @property {string|null} oldFile - Previous path when the file was renamed
+ * @property {number} insertions - Lines added (0 for binary files)
+ * @property {number} deletions - Lines removed (0 for binary files)
+ * @property {number} changes - Sum of insertions and deletions
+ * @property {boolean} binary - True if git reported the file as binary
+ */
+function parseNumstatLine(line) {
+  const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+  if (!match) return null;
+
+  const [, added, removed, rawPath] = match;
+  const binary = added === '-' && removed === '-';
+  const insertions = binary ? 0 : parseInt(added, 10);
+  const deletions = binary ? 0 : parseInt(removed, 10);
+  const { file, oldFile } = resolveRenamePath(unquotePath(rawPath));
+
+  return {
+    file,
+    oldFile,
+    insertions,
+    deletions,
+    changes: insertions + deletions,
+    binary
+  };
+}
+
+/**
+ * Parses `git --numstat` output into file change entries
+ * @param {string} output - Raw numstat output (other lines are ignored)
+ * @returns {Object[]} File change entries, see {@link parseNumstatLine}
+ */
+function parseNumstat(output) {
+  if (!output) return [];
+  return output
+    .split('\n')
+    .map(line => parseNumstatLine(line.replace(/\r$/, '')))
+    .filter(entry => entry !== null);
+}
+
+module.exports = {
+  parseNumstat,
+  parseNumstatLine,
+  resolveRenamePath,
+  unquotePath
+};
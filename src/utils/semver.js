@@ -0,0 +1,66 @@
+/**
+ * @module semver
+ * @description Lenient version parsing for comparing dependency versions across manifests
+ */
+
+// First version number in a spec such as `^1.2.3`, `>=2.0,<3`, `v1.4.0-rc.1` or `1.x`
+const VERSION_PATTERN = /(?:^|[^\w.])v?(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?/;
+
+/**
+ * Reads the version a dependency spec pins or starts from
+ * @param {string} spec - Version or range from a manifest
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null}
+ *   Parsed version (wildcards count as 0), or null for tags, URLs and other specs without a version number
+ */
+function parseVersion(spec) {
+  if (typeof spec !== 'string' || /^(?:[a-z+]+:|[\w.-]+\/)/i.test(spec.trim())) {
+    // git URLs, `workspace:`, `file:` and `user/repo` specs name no version
+    return null;
+  }
+
+  const match = ` ${spec.trim()}`.match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const number = value => (value && /^\d+$/.test(value) ? parseInt(value, 10) : 0);
+  return {
+    major: number(match[1]),
+    minor: number(match[2]),
+    patch: number(match[3]),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Compares two parsed versions
+ * @param {Object} a - Version from parseVersion
+ * @param {Object} b - Version from parseVersion
+ * @returns {number} Negative if a is older, positive if a is newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) return a[part] - b[part];
+  }
+  // A pre-release sorts before its release
+  if (a.prerelease === b.prerelease) return 0;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+}
+
+/**
+ * Checks whether moving between two versions crosses a semver-major boundary.
+ * Below 1.0.0 a minor bump is breaking as well.
+ * @param {Object} from - Version from parseVersion
+ * @param {Object} to - Version from parseVersion
+ * @returns {boolean} True for a major jump
+ */
+function isMajorChange(from, to) {
+  if (from.major !== to.major) return true;
+  return from.major === 0 && from.minor !== to.minor;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  isMajorChange
+};
@@ -0,0 +1,28 @@
+/**
+ * @module trailers
+ * @description Parsers for git commit message trailers
+ */
+
+const CO_AUTHOR_PATTERN = /^co-authored-by:[ \t]*(.*?)[ \t]*<([^>\s]+)>[ \t]*$/gim;
+
+/**
+ * Extracts the people credited with `Co-authored-by:` trailers
+ * @param {string} message - Commit message or body
+ * @returns {Array<{name: string, email: string}>} Co-authors in order of appearance, without duplicate emails
+ */
+function parseCoAuthors(message) {
+  if (!message) return [];
+
+  const coAuthors = new Map();
+  for (const [, name, email] of message.matchAll(CO_AUTHOR_PATTERN)) {
+    const key = email.toLowerCase();
+    if (!coAuthors.has(key)) {
+      coAuthors.set(key, { name, email });
+    }
+  }
+  return Array.from(coAuthors.values());
+}
+
+module.exports = {
+  parseCoAuthors
+};